@@ -0,0 +1,180 @@
+// Append-only audit log of playlist mutations
+// Every add, remove and move is written to env.AUDIT_STORE (KV namespace, or
+// data/audit.json on Express) with who made it, a hash of their IP, the tracks
+// involved and the resulting snapshot_id. Entries are never rewritten, except that an
+// erasure request can unlink them from an erased submission (see privacy.js); an undo is
+// a new entry pointing at the one it reverses (see undo.js).
+//
+// Keys:
+// - audit:<id>          JSON entry, metadata { action, actor, timestamp }
+// - audit-undone:<id>   ID of the undo entry that reversed entry <id>, or "unrecorded"
+//                       when that entry could not be written
+//
+// IDs sort newest first, so listing the prefix pages backwards through time.
+
+import { jsonResponse, getClientIp } from './http.js';
+import { getStore } from './kv.js';
+import { sha256Hex, randomHex } from './crypto.js';
+import { getApiKey } from './auth.js';
+
+export const AUDIT_ACTIONS = ['add', 'remove', 'move', 'undo'];
+
+// Largest timestamp a Date can hold; subtracting from it makes newer IDs sort first
+const MAX_TIMESTAMP = 8640000000000000;
+
+export function getAuditStore(env) {
+  return getStore(env, 'AUDIT_STORE');
+}
+
+// Last time used in an ID, so entries written in the same millisecond by this
+// process still sort in the order they were written
+let lastIdTime = 0;
+
+function createAuditId(now) {
+  lastIdTime = Math.max(now, lastIdTime + 1);
+  const inverted = (MAX_TIMESTAMP - lastIdTime).toString(36).padStart(11, '0');
+  return `${inverted}-${randomHex(4)}`;
+}
+
+// Who is making a change: the API key's name (or "anonymous"), a hash of the client IP
+// and the route or job it came through
+export async function auditActor(request, via) {
+  return {
+    actor: getApiKey(request)?.name || 'anonymous',
+    ipHash: await sha256Hex(getClientIp(request)),
+    via
+  };
+}
+
+// Actor for changes made by scheduled jobs
+export function scheduledActor(via) {
+  return { actor: 'scheduler', ipHash: null, via };
+}
+
+// Track metadata kept in entries; accepts mapped track details or playlist entries
+export function auditTrack(track, position = track.position ?? null) {
+  return {
+    id: track.id,
+    name: track.name,
+    artist: track.artist,
+    album: track.album || null,
+    isrc: track.isrc || null,
+    uri: track.uri || `spotify:track:${track.id}`,
+    position
+  };
+}
+
+// Append an entry. The mutation has already happened, so a failure is logged, not thrown.
+export async function recordAudit(env, actor, { action, playlistId, tracks = [], snapshotId = null, details = null }) {
+  if (!actor) {
+    return null;
+  }
+
+  const now = Date.now();
+  const entry = {
+    id: createAuditId(now),
+    action,
+    actor: actor.actor,
+    ipHash: actor.ipHash,
+    via: actor.via,
+    playlistId,
+    tracks,
+    snapshotId,
+    details,
+    timestamp: new Date(now).toISOString()
+  };
+
+  try {
+    await getAuditStore(env).put(`audit:${entry.id}`, JSON.stringify(entry), {
+      metadata: { action, actor: entry.actor, timestamp: entry.timestamp }
+    });
+    return entry;
+  } catch (error) {
+    console.error('Error writing audit log entry:', error);
+    return null;
+  }
+}
+
+export function readAuditEntry(env, id) {
+  return getAuditStore(env).get(`audit:${id}`, 'json');
+}
+
+// Entries made through any of the given routes or jobs (via, e.g. submission:<id>).
+// IDs sort newest first, so the scan stops at the first entry older than `since`.
+export async function findAuditEntriesVia(env, vias, { since = null } = {}) {
+  const store = getAuditStore(env);
+  const wanted = new Set(vias);
+  const entries = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: 'audit:', cursor });
+    const keys = page.keys.filter(key => since === null || !key.metadata?.timestamp || key.metadata.timestamp >= since);
+    const records = await Promise.all(keys.map(key => store.get(key.name, 'json')));
+    entries.push(...records.filter(entry => entry && wanted.has(entry.via)));
+    cursor = page.list_complete || keys.length < page.keys.length ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+// Replace an entry's via; the change it records stays in the log
+export async function redactAuditEntry(env, entry, via) {
+  await getAuditStore(env).put(`audit:${entry.id}`, JSON.stringify({ ...entry, via }), {
+    metadata: { action: entry.action, actor: entry.actor, timestamp: entry.timestamp }
+  });
+}
+
+// GET /api/admin/audit?action=&actor=&track=&since=&until=&limit=50&cursor=
+export async function handleListAudit(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const action = urlParams.get('action');
+    const actor = urlParams.get('actor');
+    const track = urlParams.get('track');
+    const since = urlParams.get('since') ? Date.parse(urlParams.get('since')) : null;
+    const until = urlParams.get('until') ? Date.parse(urlParams.get('until')) : null;
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || 50, 1), 100);
+    const cursor = urlParams.get('cursor') || undefined;
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return jsonResponse({ error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` }, 400);
+    }
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      return jsonResponse({ error: 'since and until must be ISO 8601 dates' }, 400);
+    }
+
+    const store = getAuditStore(env);
+    const page = await store.list({ prefix: 'audit:', limit, cursor });
+
+    // Metadata filters first, so only matching entries are read
+    const keys = page.keys.filter(key => {
+      const metadata = key.metadata || {};
+      const time = Date.parse(metadata.timestamp);
+      return (!action || metadata.action === action) &&
+        (!actor || metadata.actor === actor) &&
+        (since === null || time >= since) &&
+        (until === null || time <= until);
+    });
+
+    let entries = (await Promise.all(keys.map(key => store.get(key.name, 'json')))).filter(Boolean);
+    if (track) {
+      entries = entries.filter(entry => entry.tracks.some(item => item.id === track));
+    }
+
+    // Flag entries that have been undone
+    const undone = await Promise.all(entries.map(entry => store.get(`audit-undone:${entry.id}`)));
+    entries = entries.map((entry, index) => ({ ...entry, undoneBy: undone[index] || null }));
+
+    // Entries are newest first: once past `since`, older pages cannot match
+    const pastRange = since !== null && page.keys.length > 0 &&
+      Date.parse(page.keys[page.keys.length - 1].metadata?.timestamp) < since;
+
+    return jsonResponse({
+      entries,
+      count: entries.length,
+      cursor: page.list_complete || pastRange ? null : page.cursor
+    });
+  } catch (error) {
+    console.error('Error listing audit log:', error);
+    return jsonResponse({ error: 'Failed to list audit log', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,98 @@
+// Admin authentication for mutation and management routes
+// Clients send "Authorization: Bearer <api key>". Only SHA-256 hashes of keys are stored:
+// - env.ADMIN_API_KEYS: JSON array of { name, hash, scopes }
+// - env.ADMIN_KEYS (KV namespace): key = hash, value = JSON { name, scopes }
+
+import { jsonResponse } from './http.js';
+import { sha256Hex } from './crypto.js';
+
+export const SCOPES = {
+  PLAYLIST_WRITE: 'playlist:write',
+  PLAYLIST_DELETE: 'playlist:delete',
+  NEWSLETTER_READ: 'newsletter:read',
+  NEWSLETTER_SEND: 'newsletter:send',
+  SUBMISSIONS_REVIEW: 'submissions:review',
+  AUDIT_READ: 'audit:read',
+  SPOTIFY_CONNECT: 'spotify:connect'
+};
+
+// API key resolved for a request by requireScope, keyed by the Request object
+const authenticatedKeys = new WeakMap();
+
+// Hex-encoded SHA-256 of an API key
+export function hashApiKey(key) {
+  return sha256Hex(key);
+}
+
+// Look up a key record by hash in env config, then in KV
+async function findApiKey(env, hash) {
+  if (env.ADMIN_API_KEYS) {
+    let configured;
+    try {
+      configured = JSON.parse(env.ADMIN_API_KEYS);
+    } catch {
+      throw new Error('ADMIN_API_KEYS must be a JSON array of { name, hash, scopes }');
+    }
+    const match = configured.find(entry => entry.hash === hash);
+    if (match) {
+      return { name: match.name, scopes: match.scopes || [] };
+    }
+  }
+
+  if (env.ADMIN_KEYS) {
+    const stored = await env.ADMIN_KEYS.get(hash, 'json');
+    if (stored) {
+      return { name: stored.name, scopes: stored.scopes || [] };
+    }
+  }
+
+  return null;
+}
+
+// Resolve the API key sent with a request, or null if missing or unknown
+export async function authenticate(env, request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const hash = await hashApiKey(match[1]);
+  const apiKey = await findApiKey(env, hash);
+  return apiKey ? { ...apiKey, hash } : null;
+}
+
+// The API key that passed requireScope for this request, if any
+export function getApiKey(request) {
+  return authenticatedKeys.get(request) || null;
+}
+
+// Router middleware: 401 without a valid key, 403 if the key lacks the scope
+export function requireScope(scope) {
+  return async (env, request, params, next) => {
+    let apiKey;
+    try {
+      apiKey = await authenticate(env, request);
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      return jsonResponse({ error: 'Failed to authenticate request', message: error.message }, 500);
+    }
+
+    if (!apiKey) {
+      return jsonResponse({
+        error: 'Unauthorized',
+        message: 'A valid API key is required'
+      }, 401, { 'WWW-Authenticate': 'Bearer realm="admin"' });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return jsonResponse({
+        error: 'Forbidden',
+        message: `API key is missing the "${scope}" scope`
+      }, 403, { 'WWW-Authenticate': `Bearer realm="admin", error="insufficient_scope", scope="${scope}"` });
+    }
+
+    authenticatedKeys.set(request, apiKey);
+    return next();
+  };
+}
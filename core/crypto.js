@@ -0,0 +1,90 @@
+// Hashing and token signing helpers built on Web Crypto (available in Workers and Node 20+)
+
+function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Hex-encoded SHA-256 of a string
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return toHex(new Uint8Array(digest));
+}
+
+// Hex string of byteLength random bytes, for IDs and cookies that must not be guessable
+export function randomHex(byteLength) {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function hmacKey(secret, usage) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+// Hex-encoded HMAC-SHA256 of a string, for lookup keys that must not reveal their input
+export async function hmacSha256Hex(secret, value) {
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret, 'sign'), new TextEncoder().encode(value));
+  return toHex(new Uint8Array(signature));
+}
+
+// Signed, expiring token: base64url(JSON payload).base64url(HMAC-SHA256)
+// payload.purpose keeps a token for one action from being replayed against another;
+// payload.issuedAt (ms) lets callers refuse tokens issued before some event
+export async function signToken(secret, purpose, data, ttlSeconds) {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    ...data,
+    purpose,
+    issuedAt: Date.now(),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })));
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret, 'sign'), new TextEncoder().encode(payload));
+  return `${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Check a token from signToken; resolves to { data } or { error: 'invalid' | 'expired' }
+export async function verifyToken(secret, purpose, token) {
+  const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature || extra !== undefined) {
+    return { error: 'invalid' };
+  }
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await hmacKey(secret, 'verify'),
+      base64UrlDecode(signature),
+      new TextEncoder().encode(payload)
+    );
+    if (!valid) {
+      return { error: 'invalid' };
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (data.purpose !== purpose) {
+      return { error: 'invalid' };
+    }
+    if (data.exp * 1000 <= Date.now()) {
+      return { error: 'expired' };
+    }
+    return { data };
+  } catch {
+    return { error: 'invalid' };
+  }
+}
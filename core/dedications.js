@@ -0,0 +1,104 @@
+// Dedications: who suggested a playlist track and what they said about it
+// Spotify's added_by is always the blog's own account, so the submitter's display name
+// and dedication are kept in env.DEDICATIONS_STORE under dedication:<playlistId>:<trackId>
+// and merged into /api/playlist-tracks. Dedications stored before playlists were managed,
+// under dedication:<trackId>, are still read (and removed) for the playlist ownsLegacyData names.
+
+import { getStore } from './kv.js';
+import { ownsLegacyData } from './playlists.js';
+
+export const MAX_NAME_LENGTH = 50;
+export const MAX_DEDICATION_LENGTH = 140;
+
+// Words masked in public text; extend with env.BLOCKED_WORDS (comma-separated)
+const DEFAULT_BLOCKED_WORDS = [
+  'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock',
+  'cunt', 'dick', 'fag', 'faggot', 'fuck', 'fucker', 'fucking', 'motherfucker',
+  'nigger', 'piss', 'prick', 'pussy', 'retard', 'shit', 'slut', 'twat', 'wanker', 'whore'
+];
+
+function getDedicationStore(env) {
+  return getStore(env, 'DEDICATIONS_STORE');
+}
+
+function blockedWords(env) {
+  const extra = (env.BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...DEFAULT_BLOCKED_WORDS, ...extra]);
+}
+
+// Replace blocked words with asterisks, ignoring case and accents
+export function filterProfanity(env, text) {
+  const blocked = blockedWords(env);
+  return text.replace(/[\p{L}\p{N}]+/gu, word => {
+    const plain = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return blocked.has(plain) ? '*'.repeat(word.length) : word;
+  });
+}
+
+// Validate an optional, trimmed free-text field
+export function optionalText(value, field, maxLength) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+  if (typeof value !== 'string' || value.trim().length > maxLength) {
+    return { error: `${field} must be a string of at most ${maxLength} characters` };
+  }
+  return { value: value.trim().replace(/\s+/g, ' ') || null };
+}
+
+// Read { name, dedication } from a request body; both are optional, public and filtered
+// Resolves to { value: { name, message } } or { error }
+export function parseDedication(env, body) {
+  const name = optionalText(body?.name, 'name', MAX_NAME_LENGTH);
+  const dedication = optionalText(body?.dedication, 'dedication', MAX_DEDICATION_LENGTH);
+  const invalid = name.error || dedication.error;
+  if (invalid) {
+    return { error: invalid };
+  }
+  return {
+    value: {
+      name: name.value && filterProfanity(env, name.value),
+      message: dedication.value && filterProfanity(env, dedication.value)
+    }
+  };
+}
+
+// Store the dedication for a track that was just added; empty dedications are skipped
+export async function saveDedication(env, playlistId, trackId, { name, message }) {
+  if (!name && !message) {
+    return null;
+  }
+  const record = { playlistId, trackId, name, message, createdAt: new Date().toISOString() };
+  await getDedicationStore(env).put(`dedication:${playlistId}:${trackId}`, JSON.stringify(record));
+  return record;
+}
+
+export async function deleteDedications(env, playlistId, trackIds) {
+  const store = getDedicationStore(env);
+  const legacy = ownsLegacyData(env, playlistId);
+  await Promise.all(trackIds.flatMap(trackId => [
+    store.delete(`dedication:${playlistId}:${trackId}`),
+    legacy && store.delete(`dedication:${trackId}`)
+  ]));
+}
+
+async function readDedication(store, env, playlistId, trackId) {
+  const record = await store.get(`dedication:${playlistId}:${trackId}`, 'json');
+  if (record || !ownsLegacyData(env, playlistId)) {
+    return record;
+  }
+  const legacy = await store.get(`dedication:${trackId}`, 'json');
+  return legacy && { ...legacy, playlistId };
+}
+
+// Dedications for a page of a playlist's tracks, keyed by track ID
+export async function getDedications(env, playlistId, trackIds) {
+  const store = getDedicationStore(env);
+  const records = await Promise.all(trackIds.map(trackId => readDedication(store, env, playlistId, trackId)));
+  return Object.fromEntries(
+    records.filter(Boolean).map(record => [record.trackId, record])
+  );
+}
@@ -0,0 +1,92 @@
+// Mail templates for newsletter digests
+// Both renderers take one recipient's digest ({ subject, since, until, posts, topTracks,
+// additions }, sections they did not opt into already emptied) and their
+// { unsubscribeUrl, preferencesUrl }, and return the mail body as a string.
+
+import { escapeHtml } from './http.js';
+
+function day(iso) {
+  return iso.slice(0, 10);
+}
+
+export function renderDigestText(digest, links) {
+  const lines = [digest.subject, `${day(digest.since)} to ${day(digest.until)}`, ''];
+
+  if (digest.posts.length > 0) {
+    lines.push('NEW POSTS', '');
+    for (const post of digest.posts) {
+      lines.push(`* ${post.title}`, `  ${post.url}`);
+      if (post.summary) {
+        lines.push(`  ${post.summary}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (digest.topTracks.length > 0) {
+    lines.push('ON REPEAT', '');
+    digest.topTracks.forEach((track, index) => {
+      lines.push(`${index + 1}. ${track.name} - ${track.artist}`, `   ${track.songUrl}`);
+    });
+    lines.push('');
+  }
+
+  for (const playlist of digest.additions) {
+    lines.push(`NEW IN ${playlist.title.toUpperCase()}`, `${playlist.url}`, '');
+    for (const track of playlist.tracks) {
+      lines.push(`* ${track.name} - ${track.artist}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(
+    '--',
+    `Change what you get: ${links.preferencesUrl}`,
+    `Unsubscribe: ${links.unsubscribeUrl}`
+  );
+  return lines.join('\n');
+}
+
+export function renderDigestHtml(digest, links) {
+  const link = (url, text) => `<a href="${escapeHtml(url)}" style="color: #1DB954;">${escapeHtml(text)}</a>`;
+  const heading = text => `<h2 style="font-size: 18px; margin: 24px 0 8px;">${escapeHtml(text)}</h2>`;
+  const sections = [];
+
+  if (digest.posts.length > 0) {
+    sections.push(heading('New posts'), ...digest.posts.map(post => `
+      <p style="margin: 0 0 12px;">
+        <strong>${link(post.url, post.title)}</strong>
+        ${post.summary ? `<br>${escapeHtml(post.summary)}` : ''}
+      </p>`));
+  }
+
+  if (digest.topTracks.length > 0) {
+    sections.push(heading('On repeat'), '<ol style="padding-left: 20px;">', ...digest.topTracks.map(track => `
+      <li>${link(track.songUrl, track.name)} - ${escapeHtml(track.artist)}</li>`), '</ol>');
+  }
+
+  for (const playlist of digest.additions) {
+    sections.push(heading(`New in ${playlist.title}`), '<ul style="padding-left: 20px;">', ...playlist.tracks.map(track => `
+      <li>${link(track.url, track.name)} - ${escapeHtml(track.artist)}</li>`), '</ul>',
+    `<p>${link(playlist.url, 'Open the playlist')}</p>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(digest.subject)}</title>
+  </head>
+  <body style="margin: 0; padding: 24px; background: #f4f4f4; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #191414;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; padding: 24px; border-radius: 8px;">
+      <h1 style="font-size: 22px; margin: 0 0 4px;">${escapeHtml(digest.subject)}</h1>
+      <p style="margin: 0; color: #666;">${day(digest.since)} to ${day(digest.until)}</p>
+      ${sections.join('\n')}
+      <p style="margin-top: 32px; font-size: 12px; color: #666;">
+        ${link(links.preferencesUrl, 'Change what you get')} &middot; ${link(links.unsubscribeUrl, 'Unsubscribe')}
+      </p>
+    </div>
+  </body>
+</html>
+`;
+}
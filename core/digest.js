@@ -0,0 +1,568 @@
+// Newsletter digests: new blog posts, the account's top tracks and playlist additions in one mail
+// Content is collected once per digest, then rendered for each recipient with their own
+// unsubscribe and preference links (digest-templates.js) and sent in batches through the
+// mail transport (mail.js). Recipients are confirmed subscribers whose preferred frequency
+// is the digest's; their topics pick the sections ("posts": blog posts, "music-roundups":
+// top tracks and playlist additions). Immediate subscribers get a daily digest.
+//
+// Posts come from env.BLOG_FEED_URL (JSON Feed, RSS or Atom), or from the send request.
+//
+// Every run is logged in NEWSLETTER_STORE under digest:<id>, where the id is the frequency
+// and the period the digest is sent in (immediate-2026-10-19, weekly-2026-W43, monthly-2026-10),
+// metadata { frequency, status, startedAt }. The log is rewritten after each batch and keeps
+// one delivery per recipient, so sending the same digest again only retries failed and
+// missing recipients. A run sends at most NEWSLETTER_MAX_PER_RUN mails (each one is a
+// subrequest on Workers); the rest are counted in the log's `remaining`, and the scheduled
+// job picks them up on its next runs.
+
+import { jsonResponse, htmlResponse, corsHeaders } from './http.js';
+import { getClientCredentialsToken, spotifyApiUrl } from './spotify.js';
+import { fetchPlaylistEntries } from './playlist.js';
+import { listManagedPlaylists } from './playlists.js';
+import { fetchTopTracks } from './handlers.js';
+import { getMailTransport } from './mail.js';
+import { renderDigestHtml, renderDigestText } from './digest-templates.js';
+import { DAY, isoWeek } from './dates.js';
+import {
+  getNewsletterStore,
+  getPreferences,
+  isConfirmed,
+  newsletterLinks,
+  NEWSLETTER_FREQUENCIES
+} from './newsletter.js';
+
+export const DIGEST_STATUS = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  PARTIAL: 'partial',
+  EMPTY: 'empty'
+};
+
+const DIGEST_PERIODS = {
+  immediate: { days: 1, key: date => date.toISOString().slice(0, 10) },
+  weekly: { days: 7, key: isoWeek },
+  monthly: { days: 30, key: date => date.toISOString().slice(0, 7) }
+};
+
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 500;
+// Below the Workers free plan's 50 subrequests per invocation
+const DEFAULT_MAX_PER_RUN = 40;
+const MAX_POSTS = 10;
+const MAX_TOP_TRACKS = 5;
+const MAX_ADDITIONS = 20;
+const MAX_SUMMARY_LENGTH = 280;
+const MAX_SUBJECT_LENGTH = 200;
+// A run that has not written its log for this long is assumed to have died
+const STALE_SEND = 15 * 60 * 1000;
+
+// Frequency and time window from query or body values; resolves to { options } or { error }
+function parseDigestOptions({ frequency, since, until }) {
+  frequency = frequency || 'weekly';
+  if (!NEWSLETTER_FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of ${NEWSLETTER_FREQUENCIES.join(', ')}` };
+  }
+
+  const period = DIGEST_PERIODS[frequency];
+  const untilDate = until ? new Date(until) : new Date();
+  const sinceDate = since ? new Date(since) : new Date(untilDate.getTime() - period.days * DAY);
+  if (Number.isNaN(untilDate.getTime()) || Number.isNaN(sinceDate.getTime())) {
+    return { error: 'since and until must be ISO 8601 dates' };
+  }
+  if (sinceDate >= untilDate) {
+    return { error: 'since must be before until' };
+  }
+
+  return {
+    options: {
+      id: `${frequency}-${period.key(untilDate)}`,
+      frequency,
+      since: sinceDate.toISOString(),
+      until: untilDate.toISOString()
+    }
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function summarize(text) {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return plain.length > MAX_SUMMARY_LENGTH ? `${plain.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : plain || null;
+}
+
+// Posts given with a send request: [{ title, url, summary? }]; resolves to { posts } or { error }
+function parsePosts(value) {
+  if (!Array.isArray(value) || value.length > MAX_POSTS ||
+    value.some(post => typeof post?.title !== 'string' || !post.title.trim() || !isHttpUrl(post.url))) {
+    return { error: `posts must be an array of at most ${MAX_POSTS} { title, url, summary? } with http(s) URLs` };
+  }
+  return {
+    posts: value.map(post => ({
+      title: post.title.trim(),
+      url: post.url,
+      publishedAt: post.publishedAt || null,
+      summary: summarize(post.summary)
+    }))
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text content of the first <tag> in an XML fragment, or null
+function xmlText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXml(match[1]).trim() : null;
+}
+
+// Items of an RSS 2.0 or Atom feed
+function parseXmlFeed(xml) {
+  const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+  return blocks.map(block => {
+    // Atom links are <link href="..."/>; the post itself is rel="alternate" (the default)
+    const atomLink = (block.match(/<link\b[^>]*>/gi) || [])
+      .find(tag => /href=/i.test(tag) && (!/rel=/i.test(tag) || /rel=["']alternate["']/i.test(tag)));
+    return {
+      title: xmlText(block, 'title'),
+      url: atomLink ? decodeXml(atomLink.match(/href=["']([^"']+)["']/i)[1]) : xmlText(block, 'link'),
+      publishedAt: xmlText(block, 'pubDate') || xmlText(block, 'published') || xmlText(block, 'updated'),
+      summary: xmlText(block, 'description') || xmlText(block, 'summary') || xmlText(block, 'content')
+    };
+  });
+}
+
+// Posts published in the digest window, newest first, from env.BLOG_FEED_URL
+async function fetchBlogPosts(env, { since, until }) {
+  if (!env.BLOG_FEED_URL) {
+    return [];
+  }
+
+  const response = await fetch(env.BLOG_FEED_URL, {
+    headers: { 'Accept': 'application/feed+json, application/json, application/rss+xml, application/atom+xml, text/xml' }
+  });
+  if (!response.ok) {
+    throw new Error(`Blog feed error: ${response.status}`);
+  }
+
+  const text = await response.text();
+  const items = text.trimStart().startsWith('{')
+    ? (JSON.parse(text).items || []).map(item => ({
+      title: item.title,
+      url: item.url,
+      publishedAt: item.date_published,
+      summary: item.summary || item.content_text || item.content_html
+    }))
+    : parseXmlFeed(text);
+
+  return items
+    .map(item => ({ ...item, publishedAt: item.publishedAt ? new Date(item.publishedAt) : null }))
+    .filter(item => item.title && isHttpUrl(item.url) && item.publishedAt?.getTime() >= Date.parse(since) &&
+      item.publishedAt.getTime() < Date.parse(until))
+    .sort((a, b) => b.publishedAt - a.publishedAt)
+    .slice(0, MAX_POSTS)
+    .map(item => ({
+      title: item.title,
+      url: item.url,
+      publishedAt: item.publishedAt.toISOString(),
+      summary: summarize(item.summary)
+    }));
+}
+
+// Tracks added to each managed playlist in the digest window; playlists without any are left out
+async function fetchPlaylistAdditions(env, { since, until }) {
+  const token = await getClientCredentialsToken(env);
+  const playlists = await listManagedPlaylists(env);
+
+  const additions = await Promise.all(playlists.map(async playlist => {
+    const entries = await fetchPlaylistEntries(env, token, playlist.playlistId);
+    const tracks = entries
+      .filter(entry => entry.id && Date.parse(entry.addedAt) >= Date.parse(since) && Date.parse(entry.addedAt) < Date.parse(until))
+      .slice(-MAX_ADDITIONS)
+      .map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        artist: entry.artist,
+        album: entry.album,
+        addedAt: entry.addedAt,
+        url: `https://open.spotify.com/track/${entry.id}`
+      }));
+    if (tracks.length === 0) {
+      return null;
+    }
+
+    let title = playlist.title;
+    if (!title) {
+      const response = await fetch(spotifyApiUrl(env, `/playlists/${playlist.playlistId}?fields=name`), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      title = response.ok ? (await response.json()).name : playlist.slug;
+    }
+    return { slug: playlist.slug, title, url: playlist.url, tracks };
+  }));
+
+  return additions.filter(Boolean);
+}
+
+// One section of the digest; a source that fails leaves its section empty and adds a warning
+async function collectSection(name, load, warnings) {
+  try {
+    return await load();
+  } catch (error) {
+    console.error(`Error collecting digest ${name}:`, error);
+    warnings.push(`${name}: ${error.message}`);
+    return [];
+  }
+}
+
+function defaultSubject(env, frequency) {
+  const label = { immediate: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[frequency];
+  return env.NEWSLETTER_NAME ? `${env.NEWSLETTER_NAME}: ${label.toLowerCase()} digest` : `${label} digest`;
+}
+
+// Content for a digest, shared by all of its recipients
+async function collectDigest(env, options, { posts = null, subject = null } = {}) {
+  const warnings = [];
+  const [feedPosts, topTracks, additions] = await Promise.all([
+    posts ? posts : collectSection('posts', () => fetchBlogPosts(env, options), warnings),
+    collectSection('topTracks', () => fetchTopTracks(env, { limit: MAX_TOP_TRACKS }), warnings),
+    collectSection('additions', () => fetchPlaylistAdditions(env, options), warnings)
+  ]);
+
+  return {
+    ...options,
+    subject: subject || defaultSubject(env, options.frequency),
+    posts: feedPosts,
+    topTracks,
+    additions,
+    warnings
+  };
+}
+
+// The digest as one recipient gets it, or null when none of their topics has content
+function digestFor(digest, subscriber) {
+  const { topics } = getPreferences(subscriber);
+  const music = topics.includes('music-roundups');
+  const personal = {
+    ...digest,
+    posts: topics.includes('posts') ? digest.posts : [],
+    topTracks: music ? digest.topTracks : [],
+    additions: music ? digest.additions : []
+  };
+  return personal.posts.length + personal.topTracks.length + personal.additions.length > 0 ? personal : null;
+}
+
+// Confirmed subscribers who chose this frequency
+async function listRecipients(env, frequency) {
+  const store = getNewsletterStore(env);
+  const recipients = [];
+  let cursor;
+  do {
+    const page = await store.list({ cursor });
+    // Addresses only, and skip keys whose metadata already rules them out
+    const keys = page.keys.filter(key => key.name.includes('@') && (!key.metadata?.status || isConfirmed(key.metadata)));
+    const records = await Promise.all(keys.map(key => store.get(key.name, 'json')));
+    recipients.push(...records.filter(record => isConfirmed(record) && getPreferences(record).frequency === frequency));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return recipients;
+}
+
+function writeLog(env, log) {
+  return getNewsletterStore(env).put(`digest:${log.id}`, JSON.stringify(log), {
+    metadata: { frequency: log.frequency, status: log.status, startedAt: log.startedAt }
+  });
+}
+
+function readLog(env, id) {
+  return getNewsletterStore(env).get(`digest:${id}`, 'json');
+}
+
+async function readAllLogs(env) {
+  const store = getNewsletterStore(env);
+  const logs = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: 'digest:', cursor });
+    logs.push(...(await Promise.all(page.keys.map(key => store.get(key.name, 'json')))).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return logs;
+}
+
+// Every digest delivery to an address, as { digest, subject, status, at, error? }
+export async function findDigestDeliveries(env, email) {
+  return (await readAllLogs(env)).flatMap(log => log.deliveries
+    .filter(delivery => delivery.email === email)
+    .map(({ email: address, ...delivery }) => ({ digest: log.id, subject: log.subject, ...delivery })));
+}
+
+// Remove an address from every digest log (erasure requests, see privacy.js)
+export async function forgetDigestRecipient(env, email) {
+  for (const log of await readAllLogs(env)) {
+    if (log.deliveries.some(delivery => delivery.email === email)) {
+      await writeLog(env, { ...log, deliveries: log.deliveries.filter(delivery => delivery.email !== email) });
+    }
+  }
+}
+
+// A log without its per-recipient deliveries, with counts instead
+function logSummary(log) {
+  const { deliveries = [], ...summary } = log;
+  return {
+    ...summary,
+    counts: {
+      sent: deliveries.filter(delivery => delivery.status === 'sent').length,
+      failed: deliveries.filter(delivery => delivery.status === 'failed').length,
+      skipped: log.skipped || 0
+    },
+    failures: deliveries.filter(delivery => delivery.status === 'failed')
+  };
+}
+
+async function deliverDigest(env, digest, subscriber, baseUrl) {
+  const links = await newsletterLinks(env, subscriber.email, baseUrl);
+  await getMailTransport(env).send({
+    to: subscriber.email,
+    subject: digest.subject,
+    text: renderDigestText(digest, links),
+    html: renderDigestHtml(digest, links),
+    headers: links.headers
+  });
+}
+
+function maxPerRun(env) {
+  return Math.max(parseInt(env.NEWSLETTER_MAX_PER_RUN) || DEFAULT_MAX_PER_RUN, 1);
+}
+
+// Collect, render and send a digest, logging each batch. baseUrl is the public origin used
+// in unsubscribe and preference links; at most maxSends mails go out. Resolves to
+// { log, attempted } (a log summary and the number of mails tried) or { error: { status, body } }.
+export async function sendDigest(env, options, { baseUrl, posts = null, subject = null, dryRun = false, maxSends = maxPerRun(env) }) {
+  const existing = await readLog(env, options.id);
+  if (existing?.status === DIGEST_STATUS.SENT) {
+    return { error: { status: 409, body: { error: 'This digest has already been sent', digest: logSummary(existing) } } };
+  }
+  if (existing?.status === DIGEST_STATUS.SENDING && Date.now() - Date.parse(existing.updatedAt) < STALE_SEND) {
+    return { error: { status: 409, body: { error: 'This digest is being sent', digest: logSummary(existing) } } };
+  }
+
+  const digest = await collectDigest(env, options, { posts, subject });
+  const deliveries = new Map((existing?.deliveries || []).map(delivery => [delivery.email, delivery]));
+
+  let skipped = 0;
+  const pending = [];
+  for (const subscriber of await listRecipients(env, options.frequency)) {
+    const personal = digestFor(digest, subscriber);
+    if (!personal) {
+      skipped++;
+    } else if (deliveries.get(subscriber.email)?.status !== 'sent') {
+      pending.push({ subscriber, digest: personal });
+    }
+  }
+
+  const now = new Date().toISOString();
+  const log = {
+    id: options.id,
+    frequency: options.frequency,
+    subject: digest.subject,
+    since: options.since,
+    until: options.until,
+    status: pending.length > 0 || deliveries.size > 0 ? DIGEST_STATUS.SENDING : DIGEST_STATUS.EMPTY,
+    startedAt: existing?.startedAt || now,
+    updatedAt: now,
+    finishedAt: null,
+    sections: {
+      posts: digest.posts.length,
+      topTracks: digest.topTracks.length,
+      additions: digest.additions.reduce((total, playlist) => total + playlist.tracks.length, 0)
+    },
+    warnings: digest.warnings,
+    skipped,
+    remaining: pending.length,
+    deliveries: [...deliveries.values()]
+  };
+
+  if (dryRun) {
+    return { log: { ...logSummary(log), dryRun: true, recipients: pending.map(({ subscriber }) => subscriber.email) } };
+  }
+
+  await writeLog(env, log);
+
+  const batchSize = Math.min(parseInt(env.NEWSLETTER_BATCH_SIZE) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE);
+  const sending = pending.slice(0, Math.max(maxSends, 0));
+  for (let start = 0; start < sending.length; start += batchSize) {
+    const batch = sending.slice(start, start + batchSize);
+    const results = await Promise.allSettled(batch.map(({ subscriber, digest: personal }) =>
+      deliverDigest(env, personal, subscriber, baseUrl)));
+
+    const at = new Date().toISOString();
+    results.forEach((result, index) => {
+      const email = batch[index].subscriber.email;
+      if (result.status === 'fulfilled') {
+        deliveries.set(email, { email, status: 'sent', at });
+      } else {
+        console.error(`Error sending digest ${options.id} to ${email}:`, result.reason);
+        deliveries.set(email, { email, status: 'failed', at, error: result.reason?.message || String(result.reason) });
+      }
+    });
+
+    log.deliveries = [...deliveries.values()];
+    log.remaining = pending.length - start - batch.length;
+    log.updatedAt = at;
+    await writeLog(env, log);
+  }
+
+  if (log.status === DIGEST_STATUS.SENDING) {
+    log.status = log.remaining > 0 || log.deliveries.some(delivery => delivery.status === 'failed')
+      ? DIGEST_STATUS.PARTIAL
+      : DIGEST_STATUS.SENT;
+  }
+  log.finishedAt = new Date().toISOString();
+  await writeLog(env, log);
+
+  console.log(`Digest ${options.id}: ${log.status}${log.remaining > 0 ? ` (${log.remaining} remaining)` : ''}`);
+  return { log: logSummary(log), attempted: sending.length };
+}
+
+// Scheduled job: send each frequency's digest once per period, and continue digests that
+// reached the per-run limit last time. Links point at env.PUBLIC_URL.
+export async function sendScheduledDigests(env) {
+  if (!env.PUBLIC_URL) {
+    throw new Error('PUBLIC_URL must be set to send scheduled digests');
+  }
+
+  // One limit for the whole run, shared by the frequencies
+  let budget = maxPerRun(env);
+  for (const frequency of NEWSLETTER_FREQUENCIES) {
+    const { options } = parseDigestOptions({ frequency });
+    const existing = await readLog(env, options.id);
+    if (budget <= 0 || (existing && !(existing.remaining > 0))) {
+      continue;
+    }
+    const result = await sendDigest(env, options, { baseUrl: env.PUBLIC_URL, maxSends: budget });
+    budget -= result.attempted || 0;
+  }
+}
+
+// GET /api/admin/newsletter/digest/preview?frequency=weekly&since=&until=&format=html|text|json
+// Renders the digest as a subscriber to every topic would get it, with placeholder links
+export async function handlePreviewDigest(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const format = urlParams.get('format') || 'html';
+    const parsed = parseDigestOptions(Object.fromEntries(urlParams));
+
+    if (!['html', 'text', 'json'].includes(format)) {
+      return jsonResponse({ error: 'format must be html, text or json' }, 400);
+    }
+    if (parsed.error) {
+      return jsonResponse({ error: parsed.error }, 400);
+    }
+
+    const digest = await collectDigest(env, parsed.options);
+    const links = { unsubscribeUrl: '#unsubscribe', preferencesUrl: '#preferences' };
+
+    if (format === 'html') {
+      return htmlResponse(renderDigestHtml(digest, links));
+    }
+    if (format === 'text') {
+      return new Response(renderDigestText(digest, links), {
+        headers: { ...corsHeaders, 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+    return jsonResponse({ digest });
+  } catch (error) {
+    console.error('Error previewing digest:', error);
+    return jsonResponse({ error: 'Failed to preview digest', message: error.message }, 500);
+  }
+}
+
+// POST /api/admin/newsletter/digest/send
+// (body: { frequency?, since?, until?, subject?, posts?, dry_run? })
+export async function handleSendDigest(env, request) {
+  try {
+    const body = (await request.json().catch(() => null)) || {};
+    const parsed = parseDigestOptions(body);
+    if (parsed.error) {
+      return jsonResponse({ error: parsed.error }, 400);
+    }
+
+    let posts = null;
+    if (body.posts !== undefined) {
+      const result = parsePosts(body.posts);
+      if (result.error) {
+        return jsonResponse({ error: result.error }, 400);
+      }
+      posts = result.posts;
+    }
+    if (body.subject !== undefined &&
+      (typeof body.subject !== 'string' || !body.subject.trim() || body.subject.length > MAX_SUBJECT_LENGTH)) {
+      return jsonResponse({ error: `subject must be a string of at most ${MAX_SUBJECT_LENGTH} characters` }, 400);
+    }
+
+    const result = await sendDigest(env, parsed.options, {
+      baseUrl: env.PUBLIC_URL || new URL(request.url).origin,
+      posts,
+      subject: body.subject?.trim() || null,
+      dryRun: body.dry_run === true
+    });
+    if (result.error) {
+      return jsonResponse(result.error.body, result.error.status);
+    }
+    return jsonResponse({ digest: result.log });
+  } catch (error) {
+    console.error('Error sending digest:', error);
+    return jsonResponse({ error: 'Failed to send digest', message: error.message }, 500);
+  }
+}
+
+// GET /api/admin/newsletter/digests (newest first)
+export async function handleListDigests(env) {
+  try {
+    const store = getNewsletterStore(env);
+    const digests = [];
+    let cursor;
+    do {
+      const page = await store.list({ prefix: 'digest:', cursor });
+      digests.push(...page.keys.map(key => ({ id: key.name.slice('digest:'.length), ...key.metadata })));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    digests.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+    return jsonResponse({ digests });
+  } catch (error) {
+    console.error('Error listing digests:', error);
+    return jsonResponse({ error: 'Failed to list digests', message: error.message }, 500);
+  }
+}
+
+// GET /api/admin/newsletter/digests/:id (the send log, with every delivery)
+export async function handleGetDigest(env, request, params) {
+  try {
+    const log = await readLog(env, params.id);
+    if (!log) {
+      return jsonResponse({ error: 'Digest not found' }, 404);
+    }
+    return jsonResponse({ digest: { ...logSummary(log), deliveries: log.deliveries } });
+  } catch (error) {
+    console.error('Error fetching digest:', error);
+    return jsonResponse({ error: 'Failed to fetch digest', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,31 @@
+// Disposable (throwaway) mail domains refused by validateEmail in email.js
+// A starter list of well-known services; run scripts/update-disposable-domains.js to replace
+// it with the full community-maintained blocklist. Do not edit by hand: extend it with
+// BLOCKED_EMAIL_DOMAINS and exempt domains with ALLOWED_EMAIL_DOMAINS instead.
+
+export const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', '10minutemail.net', '1secmail.com', '1secmail.net', '1secmail.org',
+  '20minutemail.com', 'anonbox.net', 'armyspy.com', 'binkmail.com', 'bobmail.info', 'burnermail.io',
+  'byom.de', 'chammy.info', 'cool.fr.nf', 'courriel.fr.nf', 'cuvox.de', 'dayrep.com',
+  'devnullmail.com', 'discard.email', 'discardmail.com', 'discardmail.de', 'dispostable.com',
+  'dropmail.me', 'einrot.com', 'emailfake.com', 'emailondeck.com', 'emltmp.com', 'fakeinbox.com',
+  'fakemailgenerator.com', 'fleckens.hu', 'getairmail.com', 'getnada.com', 'grr.la',
+  'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info',
+  'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com', 'gustr.com',
+  'harakirimail.com', 'inboxkitten.com', 'incognitomail.org', 'jetable.fr.nf', 'jetable.org',
+  'jourrapide.com', 'letthemeatspam.com', 'mailcatch.com', 'maildrop.cc', 'mailexpire.com',
+  'mailforspam.com', 'mailinater.com', 'mailinator.com', 'mailinator.net', 'mailinator.org',
+  'mailinator2.com', 'mailismagic.com', 'mailmetrash.com', 'mailnesia.com', 'mailnull.com',
+  'mailpoof.com', 'mailsac.com', 'mailtothis.com', 'meltmail.com', 'mintemail.com', 'mohmal.com',
+  'moncourrier.fr.nf', 'monemail.fr.nf', 'monmail.fr.nf', 'mt2014.com', 'mt2015.com',
+  'mytemp.email', 'nada.email', 'nomail.xl.cx', 'nospam.ze.tc', 'notmailinator.com', 'pokemail.net',
+  'reallymymail.com', 'rhyta.com', 'safetymail.info', 'sendspamhere.com', 'sharklasers.com',
+  'sogetthis.com', 'spam4.me', 'spambog.com', 'spambog.de', 'spambog.ru', 'spambox.us',
+  'spamgourmet.com', 'spamherelots.com', 'spamhereplease.com', 'speed.1s.fr', 'superrito.com',
+  'suremail.info', 'teleworm.us', 'temp-mail.io', 'temp-mail.org', 'tempail.com', 'tempinbox.com',
+  'tempmailo.com', 'tempr.email', 'thisisnotmyrealemail.com', 'throwawaymail.com', 'tmpmail.net',
+  'tmpmail.org', 'tradermail.info', 'trash-mail.com', 'trash-mail.de', 'trashmail.at',
+  'trashmail.com', 'trashmail.de', 'trashmail.io', 'trashmail.me', 'trashmail.net',
+  'trashymail.com', 'trbvm.com', 'veryrealemail.com', 'wegwerfmail.de', 'wegwerfmail.net',
+  'wegwerfmail.org', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'zippymail.info'
+];
@@ -0,0 +1,197 @@
+// Email address validation and normalization for newsletter subscriptions and privacy requests
+// validateEmail() accepts an RFC 5321 dot-atom local part at an ASCII or internationalized
+// domain, and returns the address lowercased with the domain in its punycode (ASCII) form;
+// that is what gets stored and mailed. Along with it come:
+// - key: the address with provider aliases folded (Gmail ignores dots and +tags, several
+//   providers ignore +tags), used to spot duplicate subscriptions when
+//   NEWSLETTER_NORMALIZE_ADDRESSES is true
+// - suggestion: the address with a likely typo in the domain fixed ("alice@gmial.com" ->
+//   "alice@gmail.com"), for a "did you mean" hint; never applied automatically
+// Addresses at a disposable domain (disposable-domains.js plus BLOCKED_EMAIL_DOMAINS, minus
+// ALLOWED_EMAIL_DOMAINS, subdomains included) are refused, and so are role addresses
+// (info@, support@, ...) when NEWSLETTER_REJECT_ROLE_ADDRESSES is true. normalizeEmail()
+// skips those rules, for requests about addresses that may already be stored.
+
+import { DISPOSABLE_DOMAINS } from './disposable-domains.js';
+
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'admin', 'administrator', 'billing', 'contact', 'help', 'hostmaster', 'info',
+  'jobs', 'legal', 'mailer-daemon', 'marketing', 'newsletter', 'no-reply', 'noreply',
+  'office', 'postmaster', 'privacy', 'root', 'sales', 'security', 'support', 'webmaster'
+]);
+
+// Providers that deliver every alias of an address to the same mailbox
+const PROVIDER_ALIASES = {
+  'gmail.com': { domain: 'gmail.com', ignoreDots: true },
+  'googlemail.com': { domain: 'gmail.com', ignoreDots: true },
+  'outlook.com': {},
+  'hotmail.com': {},
+  'live.com': {},
+  'icloud.com': {},
+  'fastmail.com': {},
+  'protonmail.com': {},
+  'proton.me': {}
+};
+
+// Domains most addresses are at, for typo suggestions
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com',
+  'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me', 'fastmail.com',
+  'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'mail.com', 'comcast.net', 'verizon.net',
+  'att.net', 'orange.fr', 'free.fr', 'laposte.net', 'yandex.ru', 'mail.ru', 'qq.com', '163.com'
+];
+
+// Top-level domain typos, fixed for any domain
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', comm: 'com', coom: 'com',
+  nte: 'net', ner: 'net', nett: 'net', ogr: 'org', orgg: 'org'
+};
+
+function domainList(value) {
+  return (value || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// The configured rules: { blockedDomains, rejectRoleAddresses }
+function emailRules(env) {
+  const allowed = new Set(domainList(env.ALLOWED_EMAIL_DOMAINS));
+  return {
+    blockedDomains: new Set([...DISPOSABLE_DOMAINS, ...domainList(env.BLOCKED_EMAIL_DOMAINS)]
+      .filter(domain => !allowed.has(domain))),
+    rejectRoleAddresses: env.NEWSLETTER_REJECT_ROLE_ADDRESSES === 'true'
+  };
+}
+
+// The ASCII (punycode) form of a domain, or null if it is not a valid mail domain
+function toAsciiDomain(domain) {
+  // URL would read these as a path, port, credentials or escapes rather than reject them
+  if (/[\s/\\?#:@%[\]]/.test(domain)) {
+    return null;
+  }
+  let ascii;
+  try {
+    // URL applies IDNA (UTS #46) in Node and Workers alike: "bücher.example" -> "xn--bcher-kva.example"
+    ascii = new URL(`http://${domain}`).hostname;
+  } catch {
+    return null;
+  }
+  const labels = ascii.split('.');
+  // At least two labels and a top-level domain that is not a number (rules out IP addresses)
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label)) || /^[0-9-]+$/.test(labels.at(-1))) {
+    return null;
+  }
+  return ascii;
+}
+
+// The address that reaches the same mailbox with provider aliases removed
+export function addressKey(email) {
+  const at = email.lastIndexOf('@');
+  let local = email.slice(0, at);
+  const provider = PROVIDER_ALIASES[email.slice(at + 1)];
+  if (!provider) {
+    return email;
+  }
+  local = local.split('+')[0] || local;
+  if (provider.ignoreDots) {
+    local = local.replace(/\./g, '');
+  }
+  return `${local}@${provider.domain || email.slice(at + 1)}`;
+}
+
+// Edit distance counting a swap of neighbouring characters as one edit
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// The domain the reader probably meant, or null
+export function suggestDomain(domain) {
+  if (POPULAR_DOMAINS.includes(domain)) {
+    return null;
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of POPULAR_DOMAINS) {
+    const distance = editDistance(domain, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  // One edit away, or two for longer domains ("hotmial.co" -> "hotmail.com")
+  if (bestDistance === 1 || (bestDistance === 2 && domain.length >= 8)) {
+    return best;
+  }
+
+  const tld = domain.slice(domain.lastIndexOf('.') + 1);
+  if (domain.includes('.') && TLD_TYPOS[tld]) {
+    return `${domain.slice(0, -tld.length)}${TLD_TYPOS[tld]}`;
+  }
+  return null;
+}
+
+function isBlockedDomain(domain, blockedDomains) {
+  const labels = domain.split('.');
+  return labels.some((_, index) => blockedDomains.has(labels.slice(index).join('.')));
+}
+
+// Check the syntax and normalize an address, without the configured rules.
+// Returns { email, key } or null.
+export function normalizeEmail(value) {
+  const address = typeof value === 'string' ? value.trim() : '';
+  const at = address.lastIndexOf('@');
+  const local = address.slice(0, at).toLowerCase();
+  const domain = at > 0 ? toAsciiDomain(address.slice(at + 1).toLowerCase()) : null;
+
+  if (!domain || local.length > MAX_LOCAL_LENGTH || !LOCAL_PART.test(local) ||
+    local.length + 1 + domain.length > MAX_ADDRESS_LENGTH) {
+    return null;
+  }
+  const email = `${local}@${domain}`;
+  return { email, key: addressKey(email) };
+}
+
+// Validate and normalize an address for subscribing.
+// Returns { email, key, suggestion } or { error, reason: invalid|disposable|role, suggestion }.
+export function validateEmail(env, value) {
+  const normalized = normalizeEmail(value);
+  const address = normalized?.email || (typeof value === 'string' ? value.trim().toLowerCase() : '');
+  const at = address.lastIndexOf('@');
+  const [local, domain] = [address.slice(0, at), address.slice(at + 1)];
+  const typo = at > 0 ? suggestDomain(domain) : null;
+  const suggestion = typo ? `${local}@${typo}` : null;
+
+  if (!normalized) {
+    return { error: 'Invalid email address', reason: 'invalid', suggestion };
+  }
+
+  const rules = emailRules(env);
+  if (isBlockedDomain(domain, rules.blockedDomains)) {
+    return { error: 'Disposable email addresses are not accepted', reason: 'disposable', suggestion: null };
+  }
+  if (rules.rejectRoleAddresses && ROLE_ACCOUNTS.has(local.split('+')[0])) {
+    return { error: 'Please use a personal address rather than a role address', reason: 'role', suggestion: null };
+  }
+  return { ...normalized, suggestion };
+}
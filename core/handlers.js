@@ -0,0 +1,624 @@
+// Route handlers shared by the Express server and the Worker
+// Every handler takes (env, request, params) and resolves to a Response
+
+import { jsonResponse, htmlResponse } from './http.js';
+import { tokenCache, getValidAccessToken, getClientCredentialsToken, spotifyApiUrl } from './spotify.js';
+import { fetchTrackDetails, searchTracks } from './tracks.js';
+import { addTrackToPlaylist, removeTrackFromPlaylist } from './playlist.js';
+import { resolveRequestPlaylist } from './playlists.js';
+import { auditActor } from './audit.js';
+import { parseDedication, getDedications } from './dedications.js';
+import { getScores } from './votes.js';
+
+export async function handleSearch(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const q = urlParams.get('q');
+    const limit = urlParams.get('limit') || '6';
+    const market = urlParams.get('market');
+
+    // Validate query
+    if (!q || q.trim().length < 2) {
+      return jsonResponse({ 
+        error: 'Query parameter "q" is required and must be at least 2 characters' 
+      }, 400);
+    }
+
+    const trimmedQuery = q.trim();
+    const searchLimit = Math.min(Math.max(parseInt(limit) || 6, 1), 10);
+
+    const tracks = await searchTracks(env, trimmedQuery, { limit: searchLimit, market });
+
+    // Map response to lightweight format
+    const suggestions = tracks.map(track => ({
+      id: track.id,
+      name: track.name,
+      artist: track.artist,
+      album: track.album,
+      albumArt: track.albumArt,
+      duration: track.duration,
+      url: track.url,
+      previewUrl: track.previewUrl
+    }));
+
+    const response = {
+      suggestions,
+      count: suggestions.length,
+      query: trimmedQuery
+    };
+
+    return jsonResponse(response);
+  } catch (error) {
+    console.error('Error searching tracks:', error);
+    return jsonResponse({ error: 'Failed to search tracks', message: error.message }, 500);
+  }
+}
+
+export async function handleGetTrack(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const id = urlParams.get('id');
+    const force = urlParams.get('force');
+
+    // Validate track ID
+    if (!id || typeof id !== 'string' || id.trim().length === 0) {
+      return jsonResponse({ 
+        error: 'Query parameter "id" is required and must be a valid Spotify track ID' 
+      }, 400);
+    }
+
+    const trackId = id.trim();
+    const forceRefresh = force === 'true' || force === '1';
+
+    const trackData = await fetchTrackDetails(env, trackId, { force: forceRefresh });
+    if (!trackData) {
+      return jsonResponse({ error: 'Track not found' }, 404);
+    }
+
+    return jsonResponse(trackData);
+  } catch (error) {
+    console.error('Error fetching track details:', error);
+    return jsonResponse({ error: 'Failed to fetch track details', message: error.message }, 500);
+  }
+}
+
+export async function handlePreview(env, request, params) {
+  try {
+    const trackId = params.id;
+
+    // Validate track ID
+    if (!trackId || trackId.trim().length === 0) {
+      return jsonResponse({ 
+        error: 'Track ID is required in the URL path' 
+      }, 400);
+    }
+
+    const cleanTrackId = trackId.trim();
+
+    // Get client credentials token
+    const token = await getClientCredentialsToken(env);
+
+    // Fetch track from Spotify API
+    const spotifyResponse = await fetch(spotifyApiUrl(env, `/tracks/${cleanTrackId}`), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!spotifyResponse.ok) {
+      if (spotifyResponse.status === 404) {
+        return jsonResponse({ error: 'Track not found' }, 404);
+      }
+      throw new Error(`Spotify API error: ${spotifyResponse.status}`);
+    }
+
+    const trackData = await spotifyResponse.json();
+
+    // Return only the preview URL
+    return jsonResponse({ 
+      preview_url: trackData.preview_url 
+    });
+
+  } catch (error) {
+    console.error('Error fetching preview URL:', error);
+    return jsonResponse({ 
+      error: 'Failed to fetch preview URL', 
+      message: error.message 
+    }, 500);
+  }
+}
+
+export async function handleNowPlaying(env) {
+  try {
+    const token = await getValidAccessToken(env);
+
+    const response = await fetch(spotifyApiUrl(env, '/me/player/currently-playing'), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (response.status === 204 || response.status === 404) {
+      return jsonResponse({ isPlaying: false, message: 'No song currently playing' });
+    }
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data || !data.item) {
+      return jsonResponse({ isPlaying: false, message: 'No song currently playing' });
+    }
+
+    const song = {
+      isPlaying: data.is_playing,
+      name: data.item.name,
+      artist: data.item.artists.map(artist => artist.name).join(', '),
+      album: data.item.album.name,
+      albumArt: data.item.album.images[0]?.url || null,
+      songUrl: data.item.external_urls.spotify,
+      previewUrl: data.item.preview_url,
+      duration: data.item.duration_ms,
+      progress: data.progress_ms,
+      popularity: data.item.popularity
+    };
+
+    return jsonResponse(song);
+  } catch (error) {
+    console.error('Error fetching now playing:', error);
+    return jsonResponse({ error: 'Failed to fetch currently playing song', message: error.message }, 500);
+  }
+}
+
+export async function handleRecentTracks(env) {
+  try {
+    const token = await getValidAccessToken(env);
+
+    const response = await fetch(spotifyApiUrl(env, '/me/player/recently-played?limit=10'), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const tracks = data.items.map(item => ({
+      name: item.track.name,
+      artist: item.track.artists.map(artist => artist.name).join(', '),
+      album: item.track.album.name,
+      albumArt: item.track.album.images[0]?.url || null,
+      playedAt: item.played_at,
+      songUrl: item.track.external_urls.spotify
+    }));
+
+    return jsonResponse({ tracks });
+  } catch (error) {
+    console.error('Error fetching recent tracks:', error);
+    return jsonResponse({ error: 'Failed to fetch recent tracks', message: error.message }, 500);
+  }
+}
+
+export async function handleLastPlayed(env) {
+  try {
+    const token = await getValidAccessToken(env);
+
+    const response = await fetch(spotifyApiUrl(env, '/me/player/recently-played?limit=1'), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.items || data.items.length === 0) {
+      return jsonResponse({ message: 'No recently played tracks found' });
+    }
+
+    const lastPlayed = data.items[0];
+    const song = {
+      name: lastPlayed.track.name,
+      artist: lastPlayed.track.artists.map(artist => artist.name).join(', '),
+      album: lastPlayed.track.album.name,
+      albumArt: lastPlayed.track.album.images[0]?.url || null,
+      songUrl: lastPlayed.track.external_urls.spotify,
+      playedAt: lastPlayed.played_at,
+      playedAtTimestamp: new Date(lastPlayed.played_at).getTime()
+    };
+
+    return jsonResponse(song);
+  } catch (error) {
+    console.error('Error fetching last played song:', error);
+    return jsonResponse({ error: 'Failed to fetch last played song', message: error.message }, 500);
+  }
+}
+
+// The account's most played tracks of the last few weeks (Spotify's short_term range)
+export async function fetchTopTracks(env, { limit = 10 } = {}) {
+  const token = await getValidAccessToken(env);
+
+  const response = await fetch(spotifyApiUrl(env, `/me/top/tracks?limit=${limit}&time_range=short_term`), {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  return data.items.map(track => ({
+    name: track.name,
+    artist: track.artists.map(artist => artist.name).join(', '),
+    album: track.album.name,
+    albumArt: track.album.images[0]?.url || null,
+    songUrl: track.external_urls.spotify,
+    popularity: track.popularity
+  }));
+}
+
+export async function handleTopTracks(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const limit = urlParams.get('limit') || 10;
+
+    const tracks = await fetchTopTracks(env, { limit });
+
+    return jsonResponse({ tracks });
+  } catch (error) {
+    console.error('Error fetching top tracks:', error);
+    return jsonResponse({ error: 'Failed to fetch top tracks', message: error.message }, 500);
+  }
+}
+
+export async function handleTopArtists(env, request) {
+  try {
+    const token = await getValidAccessToken(env);
+    const urlParams = new URL(request.url).searchParams;
+    const limit = urlParams.get('limit') || 10;
+
+    const response = await fetch(spotifyApiUrl(env, `/me/top/artists?limit=${limit}&time_range=short_term`), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const artists = data.items.map(artist => ({
+      name: artist.name,
+      image: artist.images[0]?.url || null,
+      genres: artist.genres,
+      popularity: artist.popularity,
+      url: artist.external_urls.spotify
+    }));
+
+    return jsonResponse({ artists });
+  } catch (error) {
+    console.error('Error fetching top artists:', error);
+    return jsonResponse({ error: 'Failed to fetch top artists', message: error.message }, 500);
+  }
+}
+
+export async function handlePlaylists(env) {
+  try {
+    const token = await getValidAccessToken(env);
+
+    const response = await fetch(spotifyApiUrl(env, '/me/playlists?limit=20'), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const playlists = data.items.map(playlist => ({
+      id: playlist.id,
+      name: playlist.name,
+      description: playlist.description,
+      image: playlist.images[0]?.url || null,
+      trackCount: playlist.tracks.total,
+      isPublic: playlist.public,
+      isCollaborative: playlist.collaborative,
+      url: playlist.external_urls.spotify,
+      owner: playlist.owner.display_name
+    }));
+
+    return jsonResponse({ playlists });
+  } catch (error) {
+    console.error('Error fetching playlists:', error);
+    return jsonResponse({ error: 'Failed to fetch playlists', message: error.message }, 500);
+  }
+}
+
+// GET /api/playlist-tracks?playlist=slug (a managed playlist) or ?id=playlistId (any playlist)
+export async function handleGetPlaylistTracks(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    let playlistId = urlParams.get('id');
+    let slug = null;
+    if (!playlistId) {
+      const target = await resolveRequestPlaylist(env, request);
+      if (target.error) {
+        return jsonResponse(target.error.body, target.error.status);
+      }
+      ({ slug, playlistId } = target.playlist);
+    }
+    const limit = urlParams.get('limit') || '50';
+    const offset = urlParams.get('offset') || '0';
+
+    // Get client credentials token (public endpoint)
+    const token = await getClientCredentialsToken(env);
+
+    // Fetch playlist tracks
+    const response = await fetch(
+      spotifyApiUrl(env, `/playlists/${playlistId}/tracks?limit=${limit}&offset=${offset}`),
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return jsonResponse({ error: 'Playlist not found' }, 404);
+      }
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const items = data.items.filter(item => item.track); // Filter out null tracks
+
+    // Who suggested each track, if anyone, and how readers voted on it
+    const trackIds = items.map(item => item.track.id).filter(Boolean);
+    const [dedications, scores] = await Promise.all([
+      getDedications(env, playlistId, trackIds),
+      getScores(env, playlistId, trackIds)
+    ]);
+
+    // Map tracks to a clean format
+    const tracks = items
+      .map(item => ({
+        id: item.track.id,
+        name: item.track.name,
+        artist: item.track.artists.map(artist => artist.name).join(', '),
+        artistIds: item.track.artists.map(artist => artist.id),
+        album: item.track.album.name,
+        albumId: item.track.album.id,
+        albumArt: item.track.album.images[0]?.url || null,
+        duration: item.track.duration_ms,
+        url: item.track.external_urls.spotify,
+        uri: item.track.uri,
+        previewUrl: item.track.preview_url,
+        addedAt: item.added_at,
+        addedBy: item.added_by?.id || null,
+        isLocal: item.is_local,
+        popularity: item.track.popularity,
+        explicit: item.track.explicit,
+        suggestedBy: dedications[item.track.id]?.name || null,
+        dedication: dedications[item.track.id]?.message || null,
+        votes: scores[item.track.id]
+          ? { up: scores[item.track.id].up, down: scores[item.track.id].down, score: scores[item.track.id].score }
+          : null
+      }));
+
+    return jsonResponse({
+      playlist: slug,
+      playlistId,
+      tracks,
+      total: data.total,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      next: data.next,
+      previous: data.previous
+    });
+  } catch (error) {
+    console.error('Error fetching playlist tracks:', error);
+    return jsonResponse({ error: 'Failed to fetch playlist tracks', message: error.message }, 500);
+  }
+}
+
+export async function handleAddTrack(env, request) {
+  try {
+    // Parse request body
+    const body = await request.json();
+    const { track_id } = body;
+
+    // Validate track_id
+    if (!track_id || typeof track_id !== 'string' || track_id.trim().length === 0) {
+      return jsonResponse({ 
+        error: 'track_id is required and must be a valid Spotify track ID' 
+      }, 400);
+    }
+
+    const dedication = parseDedication(env, body);
+    if (dedication.error) {
+      return jsonResponse({ error: dedication.error }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const trackId = track_id.trim();
+    const actor = await auditActor(request, 'addTrack');
+    const result = await addTrackToPlaylist(env, trackId, {
+      playlist: target.playlist,
+      dedication: dedication.value,
+      actor
+    });
+    return jsonResponse(result.body, result.status);
+
+  } catch (error) {
+    console.error('Error adding track to playlist:', error);
+    return jsonResponse({ 
+      error: 'Failed to add track to playlist', 
+      message: error.message 
+    }, 500);
+  }
+}
+
+export async function handleRemoveTrack(env, request) {
+  try {
+    // Parse request body
+    const body = await request.json();
+    const { track_id } = body;
+
+    // Validate track_id
+    if (!track_id || typeof track_id !== 'string' || track_id.trim().length === 0) {
+      return jsonResponse({ 
+        error: 'track_id is required and must be a valid Spotify track ID' 
+      }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const trackId = track_id.trim();
+    const actor = await auditActor(request, 'removeTrack');
+    const result = await removeTrackFromPlaylist(env, trackId, { playlist: target.playlist, actor });
+    return jsonResponse(result.body, result.status);
+
+  } catch (error) {
+    console.error('Error removing track from playlist:', error);
+    return jsonResponse({ 
+      error: 'Failed to remove track from playlist', 
+      message: error.message 
+    }, 500);
+  }
+}
+
+export function handleStatus() {
+  return jsonResponse({
+    authenticated: !!tokenCache.accessToken,
+    tokenExpires: tokenCache.tokenExpiresAt ? new Date(tokenCache.tokenExpiresAt).toISOString() : null
+  });
+}
+
+export function handleHome(env) {
+  const html = `
+    <html>
+      <head>
+        <title>Spotify Server</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #191414;
+            color: white;
+          }
+          .container {
+            text-align: center;
+            max-width: 500px;
+            padding: 2rem;
+          }
+          h1 { color: #1DB954; margin-bottom: 1rem; }
+          p { opacity: 0.8; margin-bottom: 2rem; }
+          .status { 
+            background: rgba(255,255,255,0.1); 
+            padding: 1rem; 
+            border-radius: 0.5rem; 
+            margin-bottom: 2rem;
+          }
+          a {
+            display: inline-block;
+            padding: 1rem 2rem;
+            background: #1DB954;
+            color: white;
+            text-decoration: none;
+            border-radius: 2rem;
+            font-weight: 600;
+            margin: 0.5rem;
+            transition: transform 0.2s;
+          }
+          a:hover { transform: scale(1.05); }
+          .endpoints {
+            margin-top: 2rem;
+            text-align: left;
+            background: rgba(255,255,255,0.05);
+            padding: 1rem;
+            border-radius: 0.5rem;
+            font-size: 0.875rem;
+          }
+          .endpoints code {
+            color: #1DB954;
+          }
+          .post { color: #ffa500; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Spotify Integration Server</h1>
+          <p>${env.SERVER_DESCRIPTION || 'Cloudflare Worker - Serverless Function'}</p>
+          <div class="status"> 
+            <strong>Status:</strong> Ready
+          </div>
+          <div class="endpoints">
+            <strong>Available Endpoints:</strong><br>
+            <code>GET /api/search?q=query</code> - Search for tracks (autocomplete)<br>
+            <code>GET /api/getTrack?id=trackId</code> - Get full track details by ID<br>
+            <code>GET /api/preview/:id</code> - Get preview URL for a track by ID<br>
+            <code>GET /api/managed-playlists</code> - List the managed playlists and their slugs<br>
+            <code>GET /api/playlist-tracks?playlist=slug</code> - Get all tracks from a managed playlist (or ?id=playlistId)<br>
+            <code>GET /api/playlist-tracks/export?format=json|csv|m3u|xspf</code> - Download the whole playlist<br>
+            <code class="post">POST /api/playlist-tracks/import?format=csv|m3u</code> - Add tracks from a CSV or M3U file (admin)<br>
+            <code class="post">POST /api/addTrack</code> - Add track to playlist (body: {track_id, playlist}, admin; queued for review without a key)<br>
+            <code class="post">POST /api/addTracks</code> - Add up to 500 tracks (body: {tracks: [ids, URIs or URLs]}, admin)<br>
+            <code class="post">DELETE /api/removeTracks</code> - Remove many tracks (body: {tracks: [...]}, admin)<br>
+            <code class="post">PUT /api/reorderTracks</code> - Move tracks (body: {range_start, insert_before, range_length, snapshot_id}, admin)<br>
+            <code class="post">POST /api/submissions</code> - Suggest a track for review (body: {track_id, playlist, name, dedication, note})<br>
+            <code>GET /api/submissions/:id</code> - Check a suggestion's review status<br>
+            <code class="post">DELETE /api/removeTrack</code> - Remove track from playlist (body: {track_id, playlist}, admin)<br>
+            <code class="post">PUT /api/admin/playlists/:slug</code> - Register a managed playlist (body: {playlist_id, title, rules, open}, admin)<br>
+            <code>GET /api/votes/:trackId</code> - Get a track's score and your vote<br>
+            <code class="post">POST /api/votes/:trackId</code> - Vote on a playlist track (body: {vote: up|down|none})<br>
+            <code>GET /api/leaderboard</code> - Playlist tracks ranked by votes<br>
+            <code>GET /api/now-playing</code> - Get currently playing song<br>
+            <code>GET /api/recent-tracks</code> - Get recently played tracks<br>
+            <code>GET /api/last-played</code> - Get last played song with timestamp<br>
+            <code>GET /api/history</code> - Archived listening history, newest first<br>
+            <code>GET /api/stats</code> - Listening statistics over the archived history<br>
+            <code>GET /api/top-tracks</code> - Get top 10 tracks<br>
+            <code>GET /api/top-artists</code> - Get top 10 artists<br>
+            <code>GET /api/playlists</code> - Get user playlists<br>
+            <code>GET /api/status</code> - Check server status<br>
+            <code>GET /auth/login</code> - Connect a Spotify account (admin)<br>
+            <code class="post">POST /api/newsletter/subscribe</code> - Subscribe to newsletter (body: {email, subscribedAt}); mails a confirmation link<br>
+            <code>GET /api/newsletter/confirm?token=...</code> - Confirm a subscription from the mailed link<br>
+            <code class="post">POST /api/newsletter/unsubscribe?token=...</code> - One-click unsubscribe from a mailed link (RFC 8058)<br>
+            <code>GET /api/newsletter/preferences?token=...</code> - Get newsletter topics and frequency (PUT to change them)<br>
+            <code class="post">POST /api/newsletter/privacy</code> - Get or erase your data (body: {email, action: export|erase, submissions}); mails a confirmation link
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+  return htmlResponse(html);
+}
@@ -0,0 +1,258 @@
+// Listening history archive
+// Spotify's recently-played endpoint only reaches back 50 plays, so a scheduled job
+// (ARCHIVE_HISTORY=true) polls it with the `after` cursor and appends new plays to
+// env.HISTORY_STORE (KV namespace, or data/history.json on Express). A play is identified
+// by its played_at, so polling the same window twice stores nothing twice.
+//
+// Keys:
+// - day:<YYYY-MM-DD>   JSON array of the plays of that UTC day, oldest first,
+//                      metadata { plays, duration } (count and total ms)
+// - artists            { <artist id>: { name, firstPlayedAt } } for every archived artist,
+//                      for counting discoveries (see stats.js)
+// - state              { after, lastRunAt, lastAdded }: played_at (ms) of the newest
+//                      archived play, and when the job last ran and how many it added
+// - stats:<hash>       a cached /api/stats response (see stats.js)
+
+import { jsonResponse } from './http.js';
+import { getStore } from './kv.js';
+import { getValidAccessToken, spotifyApiUrl } from './spotify.js';
+import { DAY } from './dates.js';
+
+const STATE_KEY = 'state';
+const ARTISTS_KEY = 'artists';
+const PAGE_SIZE = 50;
+// Spotify keeps 50 plays, so more pages than this in one run means the cursor is not moving
+const MAX_PAGES = 5;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const READ_BATCH_SIZE = 20;
+
+export function getHistoryStore(env) {
+  return getStore(env, 'HISTORY_STORE');
+}
+
+function dayOf(playedAt) {
+  return playedAt.slice(0, 10);
+}
+
+// The archived form of a recently-played item, with the fields /api/recent-tracks returns
+function archivedPlay(item) {
+  const { track } = item;
+  return {
+    playedAt: new Date(item.played_at).toISOString(),
+    id: track.id,
+    name: track.name,
+    artist: track.artists.map(artist => artist.name).join(', '),
+    artists: track.artists.map(artist => ({ id: artist.id, name: artist.name })),
+    album: track.album.name,
+    albumId: track.album.id,
+    albumArt: track.album.images[0]?.url || null,
+    duration: track.duration_ms,
+    songUrl: track.external_urls.spotify,
+    context: item.context?.uri || null
+  };
+}
+
+async function fetchRecentlyPlayed(env, after) {
+  const token = await getValidAccessToken(env);
+  const response = await fetch(spotifyApiUrl(env, `/me/player/recently-played?limit=${PAGE_SIZE}&after=${after}`), {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Merge plays into their day's record, keeping one play per played_at
+async function appendPlays(store, day, plays) {
+  const key = `day:${day}`;
+  const byTime = new Map((await store.get(key, 'json') || []).map(play => [play.playedAt, play]));
+  const before = byTime.size;
+  for (const play of plays) {
+    byTime.set(play.playedAt, play);
+  }
+
+  const merged = [...byTime.values()].sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  await store.put(key, JSON.stringify(merged), {
+    metadata: { plays: merged.length, duration: merged.reduce((sum, play) => sum + (play.duration || 0), 0) }
+  });
+  return merged.length - before;
+}
+
+// { after, lastRunAt, lastAdded } of the last run, or null before the first one
+export function readArchiveState(env) {
+  return getHistoryStore(env).get(STATE_KEY, 'json');
+}
+
+export function readArtistIndex(env) {
+  return getHistoryStore(env).get(ARTISTS_KEY, 'json');
+}
+
+// Note when each artist was first heard. Without an index yet (an archive from before it
+// existed), it is built from every archived play.
+async function updateArtistIndex(env, plays) {
+  let index = await readArtistIndex(env);
+  let changed = !index;
+  if (!index) {
+    index = {};
+    plays = await readPlays(env);
+  }
+
+  for (const play of plays) {
+    for (const artist of play.artists || []) {
+      const known = index[artist.id];
+      if (!known || play.playedAt < known.firstPlayedAt) {
+        index[artist.id] = { name: artist.name, firstPlayedAt: play.playedAt };
+        changed = true;
+      }
+    }
+  }
+  if (changed) {
+    await getHistoryStore(env).put(ARTISTS_KEY, JSON.stringify(index));
+  }
+}
+
+// Fetch the plays since the newest archived one and store them. Returns { added, after }.
+export async function archiveRecentPlays(env) {
+  const store = getHistoryStore(env);
+  const state = await store.get(STATE_KEY, 'json') || {};
+  let after = state.after || 0;
+  const plays = [];
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const data = await fetchRecentlyPlayed(env, after);
+    const items = (data.items || []).filter(item => item.track && Date.parse(item.played_at) > after);
+    if (items.length === 0) {
+      break;
+    }
+    plays.push(...items.map(archivedPlay));
+    after = Math.max(after, ...items.map(item => Date.parse(item.played_at)));
+    if (data.items.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const byDay = new Map();
+  for (const play of plays) {
+    byDay.set(dayOf(play.playedAt), [...(byDay.get(dayOf(play.playedAt)) || []), play]);
+  }
+  let added = 0;
+  for (const [day, dayPlays] of byDay) {
+    added += await appendPlays(store, day, dayPlays);
+  }
+  await updateArtistIndex(env, plays);
+
+  // Written last, so a run that fails halfway is repeated in full next time
+  await store.put(STATE_KEY, JSON.stringify({ after, lastRunAt: new Date().toISOString(), lastAdded: added }));
+  return { added, after };
+}
+
+// Archived days between two dates (inclusive, YYYY-MM-DD or null for open-ended), newest
+// first, as { day, plays, duration } from the key metadata
+export async function listHistoryDays(env, { since = null, until = null } = {}) {
+  const store = getHistoryStore(env);
+  const days = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: 'day:', cursor });
+    for (const key of page.keys) {
+      const day = key.name.slice('day:'.length);
+      if ((!since || day >= since) && (!until || day <= until)) {
+        days.push({ day, plays: key.metadata?.plays ?? null, duration: key.metadata?.duration ?? null });
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return days.reverse();
+}
+
+export async function readHistoryDay(env, day) {
+  return (await getHistoryStore(env).get(`day:${day}`, 'json')) || [];
+}
+
+// Archived plays between two times (ms, inclusive, null for open-ended), oldest first
+export async function readPlays(env, { since = null, until = null } = {}) {
+  const days = await listHistoryDays(env, {
+    since: since === null ? null : dayOf(new Date(since).toISOString()),
+    until: until === null ? null : dayOf(new Date(until).toISOString())
+  });
+  const plays = [];
+  // Oldest first, a few days at a time
+  const ordered = days.reverse();
+  for (let i = 0; i < ordered.length; i += READ_BATCH_SIZE) {
+    const batch = await Promise.all(ordered.slice(i, i + READ_BATCH_SIZE).map(({ day }) => readHistoryDay(env, day)));
+    plays.push(...batch.flat().filter(play => {
+      const time = Date.parse(play.playedAt);
+      return (since === null || time >= since) && (until === null || time <= until);
+    }));
+  }
+  return plays;
+}
+
+// Parse ?since= and ?until= (ISO 8601 dates or times) to ms, or { error } for a 400.
+// A bare date as `until` includes that whole day.
+export function parseHistoryRange(urlParams) {
+  const since = urlParams.get('since') ? Date.parse(urlParams.get('since')) : null;
+  let until = urlParams.get('until') ? Date.parse(urlParams.get('until')) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return { error: 'since and until must be ISO 8601 dates' };
+  }
+  if (until !== null && /^\d{4}-\d{2}-\d{2}$/.test(urlParams.get('until'))) {
+    until += DAY - 1;
+  }
+  if (since !== null && until !== null && since > until) {
+    return { error: 'since must not be after until' };
+  }
+  return { since, until };
+}
+
+// GET /api/history?since=2024-01-01&until=2024-01-31&limit=50&cursor=...
+// Archived plays newest first; pass the returned cursor to get older ones
+export async function handleHistory(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const range = parseHistoryRange(urlParams);
+    if (range.error) {
+      return jsonResponse({ error: range.error }, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    // The cursor is the played_at of the last play returned
+    const cursor = urlParams.get('cursor');
+    if (cursor !== null && Number.isNaN(Date.parse(cursor))) {
+      return jsonResponse({ error: 'Invalid cursor' }, 400);
+    }
+
+    const upper = Math.min(range.until ?? Infinity, cursor ? Date.parse(cursor) - 1 : Infinity);
+    const lower = range.since ?? -Infinity;
+    const days = upper < lower ? [] : await listHistoryDays(env, {
+      since: range.since === null ? null : dayOf(new Date(lower).toISOString()),
+      until: upper === Infinity ? null : dayOf(new Date(upper).toISOString())
+    });
+
+    // One play more than the page, to know whether there is another page
+    const plays = [];
+    for (const { day } of days) {
+      const dayPlays = (await readHistoryDay(env, day)).filter(play => {
+        const time = Date.parse(play.playedAt);
+        return time >= lower && time <= upper;
+      });
+      plays.push(...dayPlays.reverse());
+      if (plays.length > limit) {
+        break;
+      }
+    }
+
+    const page = plays.slice(0, limit);
+    return jsonResponse({
+      plays: page,
+      count: page.length,
+      cursor: plays.length > limit ? page[page.length - 1].playedAt : null
+    });
+  } catch (error) {
+    console.error('Error fetching listening history:', error);
+    return jsonResponse({ error: 'Failed to fetch listening history', message: error.message }, 500);
+  }
+}
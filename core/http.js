@@ -0,0 +1,109 @@
+// Response helpers shared by all route handlers
+
+// CORS headers
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Handle CORS preflight requests
+export function handleOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: corsHeaders
+  });
+}
+
+// JSON response helper
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders,
+      ...headers
+    }
+  });
+}
+
+// HTML response helper
+export function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+// Simple styled page for links opened from mails and redirects (OAuth callback, newsletter
+// and privacy links); extraHtml goes below the message
+export function htmlPage(title, message, status = 200, extraHtml = '') {
+  const html = `
+    <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #191414;
+            color: white;
+          }
+          .container { text-align: center; max-width: 500px; padding: 2rem; }
+          h1 { color: #1DB954; margin-bottom: 1rem; }
+          p { opacity: 0.8; }
+          button {
+            background: #1DB954;
+            color: white;
+            border: none;
+            border-radius: 2rem;
+            padding: 0.75rem 2rem;
+            font-weight: 600;
+            cursor: pointer;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>${title}</h1>
+          <p>${message}</p>
+          ${extraHtml}
+        </div>
+      </body>
+    </html>
+  `;
+  return htmlResponse(html, status);
+}
+
+// Escape text for use in HTML content and attribute values
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Client IP as seen by Cloudflare; the Express adapter sets the same header from req.ip
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+// Value of one cookie from the Cookie header, or null
+export function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
@@ -0,0 +1,184 @@
+// Runtime-agnostic request handling shared by the Express server and the Worker
+// Both runtimes hand a standard Request to handleRequest and send back the Response
+
+import { createRouter } from './router.js';
+import { requireScope, getApiKey, SCOPES } from './auth.js';
+import { rateLimit } from './rate-limit.js';
+import { handleAuthLogin, handleAuthCallback } from './oauth.js';
+import { handleAddTracks, handleRemoveTracks, handleReorderTracks } from './playlist-batch.js';
+import { handleListAudit, scheduledActor } from './audit.js';
+import { handleExportPlaylist, handleImportPlaylist } from './playlist-io.js';
+import {
+  handleListManagedPlaylists,
+  handlePutManagedPlaylist,
+  handleDeleteManagedPlaylist
+} from './playlists.js';
+import { handleUndoAudit } from './undo.js';
+import {
+  handleVote,
+  handleGetVotes,
+  handleLeaderboard,
+  handleReorderByVotes,
+  reorderPlaylistByVotes
+} from './votes.js';
+import {
+  handleCreateSubmission,
+  handleGetSubmission,
+  handleListSubmissions,
+  handleApproveSubmission,
+  handleRejectSubmission,
+  handleBulkSubmissions
+} from './submissions.js';
+import {
+  handleHome,
+  handleSearch,
+  handleGetTrack,
+  handlePreview,
+  handleGetPlaylistTracks,
+  handleAddTrack,
+  handleRemoveTrack,
+  handleNowPlaying,
+  handleRecentTracks,
+  handleLastPlayed,
+  handleTopTracks,
+  handleTopArtists,
+  handlePlaylists,
+  handleStatus
+} from './handlers.js';
+import {
+  handleNewsletterSubscribe,
+  handleNewsletterConfirm,
+  handleNewsletterUnsubscribePage,
+  handleNewsletterUnsubscribe,
+  handleGetNewsletterPreferences,
+  handleUpdateNewsletterPreferences
+} from './newsletter.js';
+import { handleListSubscribers, handleExportSubscribers } from './newsletter-admin.js';
+import { handlePrivacyRequest, handlePrivacyPage, handlePrivacyConfirm } from './privacy.js';
+import {
+  handlePreviewDigest,
+  handleSendDigest,
+  handleListDigests,
+  handleGetDigest,
+  sendScheduledDigests
+} from './digest.js';
+import { handleHistory, archiveRecentPlays } from './history.js';
+import { handleStats } from './stats.js';
+
+const requirePlaylistWrite = requireScope(SCOPES.PLAYLIST_WRITE);
+const requirePlaylistDelete = requireScope(SCOPES.PLAYLIST_DELETE);
+const requireSubmissionReview = requireScope(SCOPES.SUBMISSIONS_REVIEW);
+const requireNewsletterRead = requireScope(SCOPES.NEWSLETTER_READ);
+
+// Requests without an API key are visitor suggestions; a key must be valid and allowed to write
+function addTrackAuth(env, request, params, next) {
+  if (!request.headers.has('Authorization')) {
+    return next();
+  }
+  return requirePlaylistWrite(env, request, params, next);
+}
+
+// Admins add directly; visitors' suggestions are queued for review
+function handleAddTrackRoute(env, request, params, ctx) {
+  if (getApiKey(request)) {
+    return handleAddTrack(env, request, params, ctx);
+  }
+  return handleCreateSubmission(env, request, params, ctx);
+}
+
+// Route table
+export const router = createRouter()
+  .get('/', handleHome)
+  .get('/api/search', handleSearch, { middleware: [rateLimit('search')] })
+  .get('/api/getTrack', handleGetTrack)
+  .get('/api/preview/:id', handlePreview)
+  .get('/api/playlist-tracks', handleGetPlaylistTracks)
+  .get('/api/playlist-tracks/export', handleExportPlaylist)
+  .post('/api/playlist-tracks/import', handleImportPlaylist, { middleware: [requirePlaylistWrite] })
+  .post('/api/addTrack', handleAddTrackRoute, { middleware: [rateLimit('addTrack'), addTrackAuth] })
+  .delete('/api/removeTrack', handleRemoveTrack, { middleware: [requirePlaylistDelete] })
+  .post('/api/addTracks', handleAddTracks, { middleware: [requirePlaylistWrite] })
+  .delete('/api/removeTracks', handleRemoveTracks, { middleware: [requirePlaylistDelete] })
+  .put('/api/reorderTracks', handleReorderTracks, { middleware: [requirePlaylistWrite] })
+  .get('/api/managed-playlists', handleListManagedPlaylists)
+  .put('/api/admin/playlists/:slug', handlePutManagedPlaylist, { middleware: [requirePlaylistWrite] })
+  .delete('/api/admin/playlists/:slug', handleDeleteManagedPlaylist, { middleware: [requirePlaylistDelete] })
+  .post('/api/submissions', handleCreateSubmission, { middleware: [rateLimit('addTrack')] })
+  .get('/api/submissions/:id', handleGetSubmission)
+  .get('/api/admin/submissions', handleListSubmissions, { middleware: [requireSubmissionReview] })
+  .post('/api/admin/submissions/bulk', handleBulkSubmissions, { middleware: [requireSubmissionReview] })
+  .post('/api/admin/submissions/:id/approve', handleApproveSubmission, { middleware: [requireSubmissionReview] })
+  .post('/api/admin/submissions/:id/reject', handleRejectSubmission, { middleware: [requireSubmissionReview] })
+  .get('/api/votes/:trackId', handleGetVotes)
+  .post('/api/votes/:trackId', handleVote, { middleware: [rateLimit('vote')] })
+  .get('/api/leaderboard', handleLeaderboard)
+  .post('/api/admin/playlist/reorder-by-votes', handleReorderByVotes, { middleware: [requirePlaylistWrite] })
+  .get('/api/admin/audit', handleListAudit, { middleware: [requireScope(SCOPES.AUDIT_READ)] })
+  .post('/api/admin/audit/:id/undo', handleUndoAudit, { middleware: [requirePlaylistWrite, requirePlaylistDelete] })
+  .get('/api/now-playing', handleNowPlaying)
+  .get('/api/recent-tracks', handleRecentTracks)
+  .get('/api/last-played', handleLastPlayed)
+  .get('/api/history', handleHistory)
+  .get('/api/stats', handleStats, { middleware: [rateLimit('stats')] })
+  .get('/api/top-tracks', handleTopTracks)
+  .get('/api/top-artists', handleTopArtists)
+  .get('/api/playlists', handlePlaylists)
+  .get('/api/status', handleStatus)
+  .get('/auth/login', handleAuthLogin, { middleware: [requireScope(SCOPES.SPOTIFY_CONNECT)] })
+  .get('/auth/callback', handleAuthCallback)
+  .post('/api/newsletter/subscribe', handleNewsletterSubscribe, { middleware: [rateLimit('newsletterSubscribe')] })
+  .get('/api/newsletter/confirm', handleNewsletterConfirm)
+  .get('/api/newsletter/unsubscribe', handleNewsletterUnsubscribePage)
+  .post('/api/newsletter/unsubscribe', handleNewsletterUnsubscribe)
+  .get('/api/newsletter/preferences', handleGetNewsletterPreferences)
+  .put('/api/newsletter/preferences', handleUpdateNewsletterPreferences)
+  .post('/api/newsletter/privacy', handlePrivacyRequest, { middleware: [rateLimit('privacyRequest')] })
+  .get('/api/newsletter/privacy/confirm', handlePrivacyPage)
+  .post('/api/newsletter/privacy/confirm', handlePrivacyConfirm)
+  .get('/api/admin/newsletter/subscribers', handleListSubscribers, { middleware: [requireNewsletterRead] })
+  .get('/api/admin/newsletter/subscribers/export', handleExportSubscribers, { middleware: [requireNewsletterRead] })
+  .get('/api/admin/newsletter/digest/preview', handlePreviewDigest, { middleware: [requireNewsletterRead] })
+  .post('/api/admin/newsletter/digest/send', handleSendDigest, { middleware: [requireScope(SCOPES.NEWSLETTER_SEND)] })
+  .get('/api/admin/newsletter/digests', handleListDigests, { middleware: [requireNewsletterRead] })
+  .get('/api/admin/newsletter/digests/:id', handleGetDigest, { middleware: [requireNewsletterRead] });
+
+// Main request handler
+export function handleRequest(request, env, ctx) {
+  return router.handle(request, env, ctx);
+}
+
+// Scheduled jobs: run by the Worker's cron triggers and by an interval on the Express server.
+// Each job catches and logs its own errors, so one failing job does not stop the others.
+const scheduledJobs = [
+  {
+    name: 'vote reordering',
+    enabled: env => env.REORDER_BY_VOTES === 'true',
+    async run(env) {
+      const result = await reorderPlaylistByVotes(env, { actor: scheduledActor('reorder-by-votes') });
+      console.log(`Reordered playlist by votes (${result.moves} moves)`);
+    }
+  },
+  {
+    name: 'newsletter digests',
+    enabled: env => env.NEWSLETTER_DIGEST === 'true',
+    run: env => sendScheduledDigests(env)
+  },
+  {
+    name: 'history archive',
+    enabled: env => env.ARCHIVE_HISTORY === 'true',
+    async run(env) {
+      const result = await archiveRecentPlays(env);
+      console.log(`Archived listening history (${result.added} new plays)`);
+    }
+  }
+];
+
+export async function handleScheduled(event, env) {
+  for (const job of scheduledJobs.filter(job => job.enabled(env))) {
+    try {
+      await job.run(env);
+    } catch (error) {
+      console.error(`Error running scheduled ${job.name}:`, error);
+    }
+  }
+}
@@ -0,0 +1,137 @@
+// In-memory stand-in for a Cloudflare KV namespace
+// Implements the subset of the KV API the handlers use (get, getWithMetadata,
+// put, delete, list) so the Express server and tests can provide the same bindings
+//
+// options.entries seeds the store ({ key: { value, metadata, expiresAt } }) and
+// options.onChange(entries) is awaited after every write, e.g. to persist to disk
+
+// Expired entries are dropped when read, and swept out on writes at most this often, so
+// keys that are never read again (e.g. old rate limit windows) do not pile up
+const SWEEP_INTERVAL = 60 * 1000;
+
+export function createMemoryKV({ entries: initialEntries = {}, onChange } = {}) {
+  const entries = new Map(Object.entries(initialEntries));
+  let nextSweep = 0;
+
+  const changed = async () => {
+    if (onChange) {
+      await onChange(Object.fromEntries(entries));
+    }
+  };
+
+  const isExpired = (entry) => entry.expiresAt !== null && Date.now() >= entry.expiresAt;
+
+  const sweep = () => {
+    const now = Date.now();
+    if (now < nextSweep) {
+      return;
+    }
+    nextSweep = now + SWEEP_INTERVAL;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const readEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const decode = (value, type) => {
+    if (value === null) {
+      return null;
+    }
+    return type === 'json' ? JSON.parse(value) : value;
+  };
+
+  return {
+    async get(key, options) {
+      const type = typeof options === 'string' ? options : options?.type;
+      const entry = readEntry(key);
+      return decode(entry ? entry.value : null, type);
+    },
+
+    async getWithMetadata(key, options) {
+      const type = typeof options === 'string' ? options : options?.type;
+      const entry = readEntry(key);
+      return {
+        value: decode(entry ? entry.value : null, type),
+        metadata: entry ? entry.metadata : null
+      };
+    },
+
+    async put(key, value, options = {}) {
+      let expiresAt = null;
+      if (options.expirationTtl) {
+        expiresAt = Date.now() + (options.expirationTtl * 1000);
+      } else if (options.expiration) {
+        expiresAt = options.expiration * 1000;
+      }
+
+      sweep();
+      entries.set(key, {
+        value: typeof value === 'string' ? value : String(value),
+        metadata: options.metadata ?? null,
+        expiresAt
+      });
+      await changed();
+    },
+
+    async delete(key) {
+      entries.delete(key);
+      await changed();
+    },
+
+    // Keys are listed in lexicographic order, like KV; the cursor is the last key returned
+    async list(options = {}) {
+      const prefix = options.prefix || '';
+      const limit = options.limit || 1000;
+
+      const names = [...entries.keys()]
+        .filter(name => name.startsWith(prefix) && readEntry(name))
+        .sort()
+        .filter(name => !options.cursor || name > options.cursor);
+
+      const page = names.slice(0, limit);
+      const listComplete = names.length <= limit;
+
+      return {
+        keys: page.map(name => {
+          const entry = entries.get(name);
+          return {
+            name,
+            ...(entry.expiresAt !== null && { expiration: Math.floor(entry.expiresAt / 1000) }),
+            ...(entry.metadata !== null && { metadata: entry.metadata })
+          };
+        }),
+        list_complete: listComplete,
+        ...(!listComplete && { cursor: page[page.length - 1] })
+      };
+    }
+  };
+}
+
+// Fallback namespaces for bindings that are not configured, one per binding name
+const fallbackStores = new Map();
+
+// The KV namespace bound as env[binding], or a process-local memory store if there is none
+// (per isolate on the Worker, so only suitable for caches and local development)
+export function getStore(env, binding) {
+  if (env[binding]) {
+    return env[binding];
+  }
+  if (!fallbackStores.has(binding)) {
+    console.warn(`${binding} KV namespace not configured, using in-memory storage`);
+    fallbackStores.set(binding, createMemoryKV());
+  }
+  return fallbackStores.get(binding);
+}
@@ -0,0 +1,156 @@
+// Pluggable mail transport for newsletter mail
+// A transport is any object with send({ to, subject, text, html, headers }) that resolves
+// once the message is accepted. getMailTransport picks, in order:
+// - env.MAIL_TRANSPORT, a transport object supplied by the runtime (or tests)
+// - an HTTP transport when env.MAIL_API_URL is set: POSTs the message as JSON
+//   ({ from, to, subject, text, html, headers }) with env.MAIL_API_KEY as a bearer token,
+//   for a mail provider's send API or a relay
+// - a console transport that only logs, for local development
+// The Express server can also send over SMTP or write .eml files (server/mail-transports.js);
+// both use formatMimeMessage to build the raw message.
+
+const ASCII_HEADER = /^[\x20-\x7e]*$/;
+// Bytes of UTF-8 per RFC 2047 encoded-word, so each stays under 75 characters
+const ENCODED_WORD_BYTES = 45;
+
+function base64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+// Header value as-is when it is printable ASCII, else as UTF-8 encoded-words
+function encodeHeader(value) {
+  if (ASCII_HEADER.test(value)) {
+    return value;
+  }
+  const encoder = new TextEncoder();
+  const words = [];
+  let word = '';
+  for (const char of value) {
+    if (word && encoder.encode(word + char).length > ENCODED_WORD_BYTES) {
+      words.push(word);
+      word = '';
+    }
+    word += char;
+  }
+  words.push(word);
+  return words.map(part => `=?UTF-8?B?${base64(encoder.encode(part))}?=`).join('\r\n ');
+}
+
+// "Name <address>" with only the display name encoded
+function encodeAddressHeader(value) {
+  const match = value.match(/^(.*?)\s*<([^<>]+)>\s*$/);
+  return match && match[1] ? `${encodeHeader(match[1])} <${match[2]}>` : value;
+}
+
+// Body text as base64 in 76-character lines
+function encodeBody(text) {
+  return base64(new TextEncoder().encode(text)).match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+// Bare address from "Name <address>" or "address"
+export function mailAddress(value) {
+  const match = String(value).match(/<([^<>]+)>\s*$/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// Raw RFC 5322 message (CRLF line endings) for a transport message plus from;
+// text and html become a multipart/alternative body
+export function formatMimeMessage({ from, to, subject, text, html = null, headers = {} }, { date = new Date() } = {}) {
+  if (!from) {
+    throw new Error('MAIL_FROM is not configured');
+  }
+  const allHeaders = {
+    'From': from,
+    'To': to,
+    'Subject': subject,
+    'Date': date.toUTCString().replace(/GMT$/, '+0000'),
+    'Message-ID': `<${crypto.randomUUID()}@${mailAddress(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version': '1.0',
+    ...headers
+  };
+
+  const lines = [];
+  for (const [name, value] of Object.entries(allHeaders)) {
+    if (/[\r\n]/.test(String(value))) {
+      throw new Error(`Mail header ${name} must not contain line breaks`);
+    }
+    const encoded = name === 'From' || name === 'To' ? encodeAddressHeader(String(value)) : encodeHeader(String(value));
+    lines.push(`${name}: ${encoded}`);
+  }
+
+  const textPart = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', encodeBody(text)];
+  if (html === null) {
+    return [...lines, ...textPart, ''].join('\r\n');
+  }
+
+  const boundary = `=_${crypto.randomUUID()}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// Logs messages instead of sending them
+export function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+// Keeps messages in memory (newest last), e.g. for tests
+export function createMemoryTransport() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push({ ...message, sentAt: new Date().toISOString() });
+    }
+  };
+}
+
+export function createHttpTransport({ url, apiKey = null, from }) {
+  return {
+    async send(message) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({ from, ...message })
+      });
+      if (!response.ok) {
+        throw new Error(`Mail API error: ${response.status}`);
+      }
+    }
+  };
+}
+
+let consoleTransport = null;
+
+export function getMailTransport(env) {
+  if (env.MAIL_TRANSPORT) {
+    return env.MAIL_TRANSPORT;
+  }
+  if (env.MAIL_API_URL) {
+    return createHttpTransport({ url: env.MAIL_API_URL, apiKey: env.MAIL_API_KEY, from: env.MAIL_FROM });
+  }
+  consoleTransport ??= createConsoleTransport();
+  return consoleTransport;
+}
@@ -0,0 +1,185 @@
+// Admin view of the newsletter list: paged listing with filters and a streamed export
+// Both page through NEWSLETTER_STORE.list(). Filters on status and subscription date use
+// the key metadata where present, so only matching records are read; an address prefix
+// is passed to list() itself.
+
+import { jsonResponse, corsHeaders } from './http.js';
+import { getNewsletterStore, getPreferences, isConfirmed, SUBSCRIBER_STATUS } from './newsletter.js';
+import { csvCell } from './csv.js';
+
+const EXPORT_PAGE_SIZE = 1000;
+const CSV_COLUMNS = [
+  'email', 'status', 'subscribed_at', 'confirmed_at', 'unsubscribed_at', 'updated_at', 'topics', 'frequency'
+];
+
+// "active" records predate double opt-in and count as confirmed
+function statusOf(subscriber) {
+  return isConfirmed(subscriber) ? SUBSCRIBER_STATUS.CONFIRMED : subscriber.status;
+}
+
+// Parse the shared query filters; resolves to { filters } or { error }
+function parseFilters(urlParams) {
+  const status = urlParams.get('status');
+  const since = urlParams.get('since') ? Date.parse(urlParams.get('since')) : null;
+  const until = urlParams.get('until') ? Date.parse(urlParams.get('until')) : null;
+  const prefix = (urlParams.get('prefix') || '').trim().toLowerCase();
+  const domain = (urlParams.get('domain') || '').trim().toLowerCase().replace(/^@/, '');
+
+  if (status && !Object.values(SUBSCRIBER_STATUS).includes(status)) {
+    return { error: `status must be one of ${Object.values(SUBSCRIBER_STATUS).join(', ')}` };
+  }
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return { error: 'since and until must be ISO 8601 dates' };
+  }
+  return { filters: { status, since, until, prefix, domain } };
+}
+
+// Whether a subscriber (or the { email, status, subscribedAt } from key metadata) matches
+function matches(filters, subscriber) {
+  const subscribed = Date.parse(subscriber.subscribedAt);
+  return (!filters.status || statusOf(subscriber) === filters.status) &&
+    (!filters.domain || subscriber.email.endsWith(`@${filters.domain}`)) &&
+    (filters.since === null || subscribed >= filters.since) &&
+    (filters.until === null || subscribed <= filters.until);
+}
+
+// One page of matching subscribers; resolves to { subscribers, cursor }
+async function readPage(env, filters, { limit, cursor }) {
+  const store = getNewsletterStore(env);
+  const page = await store.list({ prefix: filters.prefix || undefined, limit, cursor });
+
+  // Addresses only, and skip keys whose metadata already rules them out
+  const keys = page.keys.filter(key => key.name.includes('@') &&
+    (!key.metadata?.subscribedAt || matches(filters, { email: key.name, ...key.metadata })));
+
+  const records = await Promise.all(keys.map(key => store.get(key.name, 'json')));
+  return {
+    subscribers: records.filter(record => record && matches(filters, record)),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+function exportRecord(subscriber) {
+  const preferences = getPreferences(subscriber);
+  return {
+    email: subscriber.email,
+    status: statusOf(subscriber),
+    subscribedAt: subscriber.subscribedAt || null,
+    confirmedAt: subscriber.confirmedAt || null,
+    unsubscribedAt: subscriber.unsubscribedAt || null,
+    updatedAt: subscriber.updatedAt || null,
+    preferences
+  };
+}
+
+function csvLine(record) {
+  return [
+    record.email,
+    record.status,
+    record.subscribedAt,
+    record.confirmedAt,
+    record.unsubscribedAt,
+    record.updatedAt,
+    record.preferences.topics.join(' '),
+    record.preferences.frequency
+  ].map(csvCell).join(',') + '\r\n';
+}
+
+// GET /api/admin/newsletter/subscribers?status=&since=&until=&prefix=&domain=&limit=50&cursor=
+export async function handleListSubscribers(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const parsed = parseFilters(urlParams);
+    if (parsed.error) {
+      return jsonResponse({ error: parsed.error }, 400);
+    }
+
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || 50, 1), 100);
+    const { subscribers, cursor } = await readPage(env, parsed.filters, {
+      limit,
+      cursor: urlParams.get('cursor') || undefined
+    });
+
+    return jsonResponse({
+      subscribers: subscribers.map(subscriber => ({ ...exportRecord(subscriber), history: subscriber.history || [] })),
+      count: subscribers.length,
+      cursor
+    });
+  } catch (error) {
+    console.error('Error listing subscribers:', error);
+    return jsonResponse({ error: 'Failed to list subscribers', message: error.message }, 500);
+  }
+}
+
+// GET /api/admin/newsletter/subscribers/export?format=csv|json&status=&since=&until=&prefix=&domain=
+// Streams every matching subscriber, reading one KV page per chunk
+export async function handleExportSubscribers(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const format = (urlParams.get('format') || 'csv').toLowerCase();
+    const parsed = parseFilters(urlParams);
+
+    if (format !== 'csv' && format !== 'json') {
+      return jsonResponse({ error: 'format must be csv or json' }, 400);
+    }
+    if (parsed.error) {
+      return jsonResponse({ error: parsed.error }, 400);
+    }
+
+    const encoder = new TextEncoder();
+    let cursor;
+    let first = true;
+    let done = false;
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode(format === 'csv' ? `${CSV_COLUMNS.join(',')}\r\n` : '['));
+      },
+      async pull(controller) {
+        if (done) {
+          return;
+        }
+        try {
+          const page = await readPage(env, parsed.filters, { limit: EXPORT_PAGE_SIZE, cursor });
+          const chunk = page.subscribers.map(subscriber => {
+            const record = exportRecord(subscriber);
+            if (format === 'csv') {
+              return csvLine(record);
+            }
+            const line = `${first ? '' : ','}\n${JSON.stringify(record)}`;
+            first = false;
+            return line;
+          }).join('');
+          if (chunk) {
+            controller.enqueue(encoder.encode(chunk));
+          }
+
+          cursor = page.cursor;
+          if (!cursor) {
+            done = true;
+            if (format === 'json') {
+              controller.enqueue(encoder.encode('\n]\n'));
+            }
+            controller.close();
+          }
+        } catch (error) {
+          console.error('Error exporting subscribers:', error);
+          controller.error(error);
+        }
+      }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(stream, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="subscribers-${date}.${format}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting subscribers:', error);
+    return jsonResponse({ error: 'Failed to export subscribers', message: error.message }, 500);
+  }
+}
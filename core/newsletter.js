@@ -0,0 +1,458 @@
+// Newsletter subscriptions with double opt-in, unsubscribe and preferences
+// Subscribing stores the address as pending and mails a signed, expiring confirmation
+// link (see signToken in crypto.js); GET /api/newsletter/confirm marks it confirmed.
+// Every mail can carry signed links (newsletterLinks) to unsubscribe in one click
+// (RFC 8058) and to manage topics and frequency.
+//
+// Records live in env.NEWSLETTER_STORE under the normalized address (see email.js), metadata
+// { status, subscribedAt, updatedAt }. Leaving does not delete the record: status
+// changes are appended to record.history. Only pending records expire. Records written
+// before double opt-in have status "active" and count as confirmed.
+//
+// Privacy requests (privacy.js) leave a tombstone under tombstone:<HMAC of the address>,
+// { erasedAt?, exportedAt?, confirmationSentAt? } and nothing else. Links signed before an
+// erasure stop working. After one, subscribing mails a fresh confirmation link but stores
+// nothing about the address until that link is used, so replayed requests cannot re-add it.
+//
+// With NEWSLETTER_NORMALIZE_ADDRESSES, alias:<HMAC of the address's provider key> points at
+// the address that first subscribed, and a later alias of it (a.b+news@gmail.com for
+// ab@gmail.com) counts as that subscriber instead of becoming a second one.
+
+import { jsonResponse, htmlPage, escapeHtml } from './http.js';
+import { getStore } from './kv.js';
+import { signToken, verifyToken, hmacSha256Hex } from './crypto.js';
+import { getMailTransport } from './mail.js';
+import { validateEmail, addressKey } from './email.js';
+
+export const SUBSCRIBER_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  UNSUBSCRIBED: 'unsubscribed'
+};
+
+export const NEWSLETTER_TOPICS = ['posts', 'music-roundups'];
+export const NEWSLETTER_FREQUENCIES = ['immediate', 'weekly', 'monthly'];
+
+const DEFAULT_PREFERENCES = { topics: NEWSLETTER_TOPICS, frequency: 'weekly' };
+
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+const MANAGE_PURPOSE = 'newsletter-manage';
+const DEFAULT_CONFIRM_TTL_HOURS = 48;
+const DEFAULT_RESEND_COOLDOWN_MINUTES = 15;
+// Unsubscribe and preference links have to keep working in old mails
+const MANAGE_LINK_TTL = 2 * 365 * 24 * 3600;
+// Unconfirmed addresses are forgotten a week after the last confirmation mail
+const PENDING_TTL = 7 * 24 * 3600;
+const MAX_HISTORY = 50;
+
+export function getNewsletterStore(env) {
+  return getStore(env, 'NEWSLETTER_STORE');
+}
+
+// Secret for signed newsletter links; there is no default, so links cannot be forged
+export function getNewsletterSecret(env) {
+  if (!env.NEWSLETTER_SECRET) {
+    throw new Error('NEWSLETTER_SECRET is not configured');
+  }
+  return env.NEWSLETTER_SECRET;
+}
+
+export function isConfirmed(subscriber) {
+  return subscriber?.status === SUBSCRIBER_STATUS.CONFIRMED || subscriber?.status === 'active';
+}
+
+export function readSubscriber(env, email) {
+  return getNewsletterStore(env).get(email, 'json');
+}
+
+export async function writeSubscriber(env, subscriber) {
+  await getNewsletterStore(env).put(subscriber.email, JSON.stringify(subscriber), {
+    metadata: { status: subscriber.status, subscribedAt: subscriber.subscribedAt, updatedAt: subscriber.updatedAt },
+    ...(subscriber.status === SUBSCRIBER_STATUS.PENDING && { expirationTtl: PENDING_TTL })
+  });
+}
+
+// Move a subscriber to a new status, stamping <status>At and recording the change
+export function transitionSubscriber(subscriber, status, via, now = new Date().toISOString()) {
+  const timestampField = {
+    [SUBSCRIBER_STATUS.PENDING]: 'confirmationSentAt',
+    [SUBSCRIBER_STATUS.CONFIRMED]: 'confirmedAt',
+    [SUBSCRIBER_STATUS.UNSUBSCRIBED]: 'unsubscribedAt'
+  }[status];
+
+  return {
+    ...subscriber,
+    status,
+    updatedAt: now,
+    [timestampField]: now,
+    history: [...(subscriber.history || []), { status, at: now, via }].slice(-MAX_HISTORY)
+  };
+}
+
+export function getPreferences(subscriber) {
+  return { ...DEFAULT_PREFERENCES, ...subscriber?.preferences };
+}
+
+// Signed links for a subscriber's mails: one-click unsubscribe and preferences,
+// plus the List-Unsubscribe headers (RFC 2369 / RFC 8058) that point at the former.
+// baseUrl is the public origin of this API.
+export async function newsletterLinks(env, email, baseUrl) {
+  const token = await signToken(getNewsletterSecret(env), MANAGE_PURPOSE, { email }, MANAGE_LINK_TTL);
+  const unsubscribeUrl = new URL(`/api/newsletter/unsubscribe?token=${encodeURIComponent(token)}`, baseUrl).toString();
+  const preferencesUrl = new URL(`/api/newsletter/preferences?token=${encodeURIComponent(token)}`, baseUrl).toString();
+  return {
+    unsubscribeUrl,
+    preferencesUrl,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+async function tombstoneKey(env, email) {
+  return `tombstone:${await hmacSha256Hex(getNewsletterSecret(env), email)}`;
+}
+
+// How a subscriber appears in logs: a short keyed hash of the address, so log lines about
+// the same subscriber can be matched up but hold nothing a privacy erasure would have to reach
+async function logSubscriber(env, email) {
+  return `subscriber ${(await hmacSha256Hex(getNewsletterSecret(env), `log|${email}`)).slice(0, 12)}`;
+}
+
+export async function readTombstone(env, email) {
+  return getNewsletterStore(env).get(await tombstoneKey(env, email), 'json');
+}
+
+// Merge fields ({ erasedAt } or { exportedAt }) into an address's tombstone
+export async function updateTombstone(env, email, fields) {
+  const key = await tombstoneKey(env, email);
+  const store = getNewsletterStore(env);
+  await store.put(key, JSON.stringify({ ...await store.get(key, 'json'), ...fields }));
+}
+
+async function aliasKey(env, key) {
+  return `alias:${await hmacSha256Hex(getNewsletterSecret(env), key)}`;
+}
+
+// The stored address a validated address ({ email, key } from validateEmail) belongs to:
+// itself, or with NEWSLETTER_NORMALIZE_ADDRESSES an alias of it that subscribed first
+export async function resolveSubscriberAddress(env, { email, key }) {
+  if (env.NEWSLETTER_NORMALIZE_ADDRESSES !== 'true') {
+    return email;
+  }
+  const known = await getNewsletterStore(env).get(await aliasKey(env, key));
+  return known && known !== email && await readSubscriber(env, known) ? known : email;
+}
+
+// Point the provider key at the address that holds the subscription
+async function rememberAlias(env, key, email) {
+  if (env.NEWSLETTER_NORMALIZE_ADDRESSES === 'true') {
+    await getNewsletterStore(env).put(await aliasKey(env, key), email);
+  }
+}
+
+export async function forgetAlias(env, { email, key }) {
+  const store = getNewsletterStore(env);
+  const name = await aliasKey(env, key);
+  if (await store.get(name) === email) {
+    await store.delete(name);
+  }
+}
+
+// Whether something dated `time` (ms) predates the address's erasure
+export function predatesErasure(tombstone, time) {
+  return Boolean(tombstone?.erasedAt) && (time || 0) <= Date.parse(tombstone.erasedAt);
+}
+
+// Check a signed newsletter token, refusing tokens issued before the address was erased.
+// Resolves to { data } or { error: 'invalid' | 'expired' }.
+export async function verifyNewsletterToken(env, purpose, token) {
+  const result = await verifyToken(getNewsletterSecret(env), purpose, token);
+  if (result.error) {
+    return result;
+  }
+  if (predatesErasure(await readTombstone(env, result.data.email), result.data.issuedAt)) {
+    return { error: 'invalid' };
+  }
+  return result;
+}
+
+// Resolve a manage token from ?token= to { email } or { error: 'invalid' | 'expired' }
+async function verifyManageToken(env, request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const result = await verifyNewsletterToken(env, MANAGE_PURPOSE, token);
+  return result.error ? { error: result.error } : { email: result.data.email };
+}
+
+export function newsletterName(env) {
+  return env.NEWSLETTER_NAME || 'the newsletter';
+}
+
+function confirmationMail(env, email, link, ttlHours) {
+  const name = newsletterName(env);
+  const safeEmail = escapeHtml(email);
+  return {
+    to: email,
+    subject: `Confirm your subscription to ${name}`,
+    text: [
+      `Please confirm that you want to receive ${name} at ${email}:`,
+      '',
+      link,
+      '',
+      `The link expires in ${ttlHours} hours. If you did not sign up, ignore this mail and you will not hear from us again.`
+    ].join('\n'),
+    html: [
+      `<p>Please confirm that you want to receive ${escapeHtml(name)} at ${safeEmail}:</p>`,
+      `<p><a href="${escapeHtml(link)}">Confirm my subscription</a></p>`,
+      `<p>The link expires in ${ttlHours} hours. If you did not sign up, ignore this mail and you will not hear from us again.</p>`
+    ].join('\n')
+  };
+}
+
+// Newsletter subscribe handler
+// Always answers the same way for a valid address, so it cannot be used to find out
+// who is subscribed
+export async function handleNewsletterSubscribe(env, request) {
+  try {
+    const { email, subscribedAt } = await request.json();
+
+    // Validate email
+    if (!email || typeof email !== 'string') {
+      return jsonResponse({
+        success: false,
+        message: 'Email is required'
+      }, 400);
+    }
+
+    const validated = validateEmail(env, email);
+    if (validated.error) {
+      return jsonResponse({
+        success: false,
+        message: validated.error,
+        reason: validated.reason,
+        ...(validated.suggestion && { suggestion: validated.suggestion })
+      }, 400);
+    }
+
+    // An alias of a known address is that subscriber; mails go to the address it subscribed with
+    const address = await resolveSubscriberAddress(env, validated);
+    const secret = getNewsletterSecret(env);
+    const existing = await readSubscriber(env, address);
+    const now = new Date();
+
+    // An erased address is not stored again until a fresh confirmation link is used; the
+    // tombstone keeps the resend cooldown meanwhile. Nothing the request says counts here.
+    const tombstone = existing ? null : await readTombstone(env, address);
+    const erased = Boolean(tombstone?.erasedAt);
+
+    // Confirmed addresses need nothing; pending ones get at most one mail per cooldown
+    const cooldown = (parseInt(env.NEWSLETTER_RESEND_COOLDOWN_MINUTES) || DEFAULT_RESEND_COOLDOWN_MINUTES) * 60000;
+    const lastSent = existing?.confirmationSentAt || (erased && tombstone.confirmationSentAt);
+    const recentlySent = lastSent && now.getTime() - Date.parse(lastSent) < cooldown;
+
+    if (!isConfirmed(existing) && !recentlySent) {
+      const ttlHours = parseInt(env.NEWSLETTER_CONFIRM_TTL_HOURS) || DEFAULT_CONFIRM_TTL_HOURS;
+      const token = await signToken(secret, CONFIRM_PURPOSE, { email: address }, ttlHours * 3600);
+      const link = new URL(`/api/newsletter/confirm?token=${encodeURIComponent(token)}`, request.url).toString();
+
+      await getMailTransport(env).send(confirmationMail(env, address, link, ttlHours));
+
+      if (erased) {
+        await updateTombstone(env, address, { confirmationSentAt: now.toISOString() });
+        console.log('Newsletter confirmation sent to an erased address');
+      } else {
+        await writeSubscriber(env, transitionSubscriber({
+          ...existing,
+          email: address,
+          subscribedAt: existing?.subscribedAt || subscribedAt || now.toISOString(),
+          confirmedAt: null
+        }, SUBSCRIBER_STATUS.PENDING, 'subscribe', now.toISOString()));
+
+        console.log(`Newsletter confirmation sent: ${await logSubscriber(env, address)}`);
+      }
+    }
+    if (!erased) {
+      await rememberAlias(env, validated.key, address);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Check your inbox to confirm your subscription',
+      email: validated.email,
+      ...(validated.suggestion && { suggestion: validated.suggestion })
+    }, 200);
+  } catch (error) {
+    console.error('Newsletter subscription error:', error);
+    return jsonResponse({
+      success: false,
+      message: 'Server error. Please try again later.'
+    }, 500);
+  }
+}
+
+// GET /api/newsletter/confirm?token=... (the link in the confirmation mail)
+export async function handleNewsletterConfirm(env, request) {
+  try {
+    const token = new URL(request.url).searchParams.get('token');
+    const result = await verifyNewsletterToken(env, CONFIRM_PURPOSE, token);
+    if (result.error === 'expired') {
+      return htmlPage('Link expired', 'This confirmation link has expired. Please subscribe again to get a new one.', 410);
+    }
+    if (result.error) {
+      return htmlPage('Invalid link', 'This confirmation link is not valid.', 400);
+    }
+
+    let subscriber = await readSubscriber(env, result.data.email);
+    if (!subscriber && (await readTombstone(env, result.data.email))?.erasedAt) {
+      // An erased address that subscribed again: the link (issued after the erasure, or
+      // verifyNewsletterToken would have refused it) is the new consent
+      const now = new Date().toISOString();
+      subscriber = { email: result.data.email, subscribedAt: now, updatedAt: now };
+      await rememberAlias(env, addressKey(subscriber.email), subscriber.email);
+    }
+    if (!subscriber) {
+      return htmlPage('Subscription not found', 'Please subscribe again to get a new confirmation link.', 404);
+    }
+
+    // A link from before an unsubscribe does not sign the address back up
+    if (subscriber.status === SUBSCRIBER_STATUS.UNSUBSCRIBED) {
+      return htmlPage('Link no longer valid', 'This address has been unsubscribed. Please subscribe again to get a new link.', 410);
+    }
+
+    if (!isConfirmed(subscriber)) {
+      await writeSubscriber(env, transitionSubscriber(subscriber, SUBSCRIBER_STATUS.CONFIRMED, 'confirm'));
+      console.log(`Newsletter subscription confirmed: ${await logSubscriber(env, subscriber.email)}`);
+    }
+
+    return htmlPage('Subscription confirmed', `Thanks! ${escapeHtml(subscriber.email)} will now receive ${escapeHtml(newsletterName(env))}.`);
+  } catch (error) {
+    console.error('Newsletter confirmation error:', error);
+    return htmlPage('Something went wrong', 'Please try again later.', 500);
+  }
+}
+
+// GET /api/newsletter/unsubscribe?token=... (the link in a mail): asks before unsubscribing,
+// since mail scanners follow links
+export async function handleNewsletterUnsubscribePage(env, request) {
+  try {
+    const result = await verifyManageToken(env, request);
+    if (result.error) {
+      return htmlPage('Invalid link', 'This unsubscribe link is not valid.', 400);
+    }
+
+    const url = new URL(request.url);
+    return htmlPage(
+      'Unsubscribe',
+      `Stop sending ${escapeHtml(newsletterName(env))} to ${escapeHtml(result.email)}?`,
+      200,
+      `<form method="POST" action="${escapeHtml(url.pathname + url.search)}"><button type="submit">Unsubscribe</button></form>`
+    );
+  } catch (error) {
+    console.error('Newsletter unsubscribe page error:', error);
+    return htmlPage('Something went wrong', 'Please try again later.', 500);
+  }
+}
+
+// POST /api/newsletter/unsubscribe?token=... (the page's button, or a mail client's
+// RFC 8058 one-click request with body List-Unsubscribe=One-Click)
+export async function handleNewsletterUnsubscribe(env, request) {
+  try {
+    const result = await verifyManageToken(env, request);
+    if (result.error) {
+      return htmlPage('Invalid link', 'This unsubscribe link is not valid.', 400);
+    }
+
+    const subscriber = await readSubscriber(env, result.email);
+    if (subscriber && subscriber.status !== SUBSCRIBER_STATUS.UNSUBSCRIBED) {
+      await writeSubscriber(env, transitionSubscriber(subscriber, SUBSCRIBER_STATUS.UNSUBSCRIBED, 'unsubscribe'));
+      console.log(`Newsletter unsubscribe: ${await logSubscriber(env, subscriber.email)}`);
+    }
+
+    return htmlPage('Unsubscribed', `${escapeHtml(result.email)} will no longer receive ${escapeHtml(newsletterName(env))}.`);
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    return htmlPage('Something went wrong', 'Please try again later.', 500);
+  }
+}
+
+function preferencesBody(subscriber) {
+  return {
+    email: subscriber.email,
+    status: isConfirmed(subscriber) ? SUBSCRIBER_STATUS.CONFIRMED : subscriber.status,
+    preferences: getPreferences(subscriber),
+    topics: NEWSLETTER_TOPICS,
+    frequencies: NEWSLETTER_FREQUENCIES
+  };
+}
+
+// GET /api/newsletter/preferences?token=...
+export async function handleGetNewsletterPreferences(env, request) {
+  try {
+    const result = await verifyManageToken(env, request);
+    if (result.error) {
+      return jsonResponse({ error: result.error === 'expired' ? 'Link expired' : 'Invalid link' }, result.error === 'expired' ? 410 : 400);
+    }
+
+    const subscriber = await readSubscriber(env, result.email);
+    if (!subscriber) {
+      return jsonResponse({ error: 'Subscriber not found' }, 404);
+    }
+    return jsonResponse(preferencesBody(subscriber));
+  } catch (error) {
+    console.error('Error fetching newsletter preferences:', error);
+    return jsonResponse({ error: 'Failed to fetch newsletter preferences', message: error.message }, 500);
+  }
+}
+
+// PUT /api/newsletter/preferences?token=... (body: { topics?, frequency?, subscribed? })
+// subscribed: false unsubscribes; true re-subscribes an unsubscribed address, since the
+// signed link already proves the reader owns it
+export async function handleUpdateNewsletterPreferences(env, request) {
+  try {
+    const result = await verifyManageToken(env, request);
+    if (result.error) {
+      return jsonResponse({ error: result.error === 'expired' ? 'Link expired' : 'Invalid link' }, result.error === 'expired' ? 410 : 400);
+    }
+
+    const body = await request.json().catch(() => null);
+    const { topics, frequency, subscribed } = body || {};
+    if (topics !== undefined &&
+      (!Array.isArray(topics) || topics.some(topic => !NEWSLETTER_TOPICS.includes(topic)))) {
+      return jsonResponse({ error: `topics must be a list of ${NEWSLETTER_TOPICS.join(', ')}` }, 400);
+    }
+    if (frequency !== undefined && !NEWSLETTER_FREQUENCIES.includes(frequency)) {
+      return jsonResponse({ error: `frequency must be one of ${NEWSLETTER_FREQUENCIES.join(', ')}` }, 400);
+    }
+    if (subscribed !== undefined && typeof subscribed !== 'boolean') {
+      return jsonResponse({ error: 'subscribed must be a boolean' }, 400);
+    }
+
+    let subscriber = await readSubscriber(env, result.email);
+    if (!subscriber) {
+      return jsonResponse({ error: 'Subscriber not found' }, 404);
+    }
+
+    const now = new Date().toISOString();
+    subscriber = {
+      ...subscriber,
+      updatedAt: now,
+      preferences: {
+        ...getPreferences(subscriber),
+        ...(topics !== undefined && { topics: [...new Set(topics)] }),
+        ...(frequency !== undefined && { frequency })
+      }
+    };
+    if (subscribed === false && subscriber.status !== SUBSCRIBER_STATUS.UNSUBSCRIBED) {
+      subscriber = transitionSubscriber(subscriber, SUBSCRIBER_STATUS.UNSUBSCRIBED, 'preferences', now);
+    } else if (subscribed === true && subscriber.status === SUBSCRIBER_STATUS.UNSUBSCRIBED) {
+      subscriber = transitionSubscriber(subscriber, SUBSCRIBER_STATUS.CONFIRMED, 'preferences', now);
+    }
+
+    await writeSubscriber(env, subscriber);
+    return jsonResponse({ status: 'success', ...preferencesBody(subscriber) });
+  } catch (error) {
+    console.error('Error updating newsletter preferences:', error);
+    return jsonResponse({ error: 'Failed to update newsletter preferences', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,143 @@
+// Spotify authorization-code flow with PKCE, used to mint the refresh token
+// GET /auth/login (admin) returns the Spotify authorize URL; Spotify redirects back to
+// GET /auth/callback, which checks the state, exchanges the code and stores the refresh token.
+
+import { jsonResponse, htmlPage } from './http.js';
+import { base64UrlEncode } from './crypto.js';
+import { getTokenStore, saveRefreshToken, storeUserAccessToken, spotifyAccountsUrl, spotifyApiUrl } from './spotify.js';
+
+// Scopes needed by the user-token handlers
+export const SPOTIFY_SCOPES = [
+  'user-read-currently-playing',
+  'user-read-playback-state',
+  'user-read-recently-played',
+  'user-top-read',
+  'playlist-read-private',
+  'playlist-modify-public',
+  'playlist-modify-private'
+];
+
+// Pending logins expire after 10 minutes
+const STATE_TTL = 600;
+
+function randomString(byteLength) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function codeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+function getRedirectUri(env, request) {
+  return env.SPOTIFY_REDIRECT_URI || new URL('/auth/callback', request.url).toString();
+}
+
+// Start the flow: remember state + PKCE verifier and hand back the authorize URL
+export async function handleAuthLogin(env, request) {
+  try {
+    if (!env.CLIENT_ID || !env.CLIENT_SECRET) {
+      return jsonResponse({ error: 'CLIENT_ID and CLIENT_SECRET must be configured' }, 500);
+    }
+
+    const state = randomString(16);
+    const codeVerifier = randomString(48);
+    const redirectUri = getRedirectUri(env, request);
+
+    await getTokenStore(env).put(
+      `oauth:state:${state}`,
+      JSON.stringify({ codeVerifier, redirectUri, createdAt: new Date().toISOString() }),
+      { expirationTtl: STATE_TTL }
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: env.CLIENT_ID,
+      scope: SPOTIFY_SCOPES.join(' '),
+      redirect_uri: redirectUri,
+      state,
+      code_challenge_method: 'S256',
+      code_challenge: await codeChallenge(codeVerifier)
+    });
+
+    return jsonResponse({
+      authorizeUrl: spotifyAccountsUrl(env, `/authorize?${params.toString()}`),
+      redirectUri,
+      scopes: SPOTIFY_SCOPES,
+      expiresIn: STATE_TTL
+    });
+  } catch (error) {
+    console.error('Error starting Spotify authorization:', error);
+    return jsonResponse({ error: 'Failed to start Spotify authorization', message: error.message }, 500);
+  }
+}
+
+// Finish the flow: validate state, exchange the code and persist the refresh token
+export async function handleAuthCallback(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const code = urlParams.get('code');
+    const state = urlParams.get('state');
+    const spotifyError = urlParams.get('error');
+
+    if (!state) {
+      return htmlPage('Authorization failed', 'Missing state parameter.', 400);
+    }
+
+    // States are single-use
+    const store = getTokenStore(env);
+    const pending = await store.get(`oauth:state:${state}`, 'json');
+    if (!pending) {
+      return htmlPage('Authorization failed', 'Unknown or expired login. Start again from /auth/login.', 400);
+    }
+    await store.delete(`oauth:state:${state}`);
+
+    if (spotifyError) {
+      return htmlPage('Authorization failed', `Spotify returned an error: ${spotifyError.replace(/[^\w-]/g, '')}`, 400);
+    }
+    if (!code) {
+      return htmlPage('Authorization failed', 'Missing authorization code.', 400);
+    }
+
+    const response = await fetch(spotifyAccountsUrl(env, '/api/token'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${btoa(`${env.CLIENT_ID}:${env.CLIENT_SECRET}`)}`
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        code_verifier: pending.codeVerifier
+      })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.error('Spotify API Error Response:', data);
+      return htmlPage('Authorization failed', 'Spotify rejected the authorization code.', 400);
+    }
+
+    // Optionally make sure the expected account was connected
+    if (env.SPOTIFY_USER_ID) {
+      const profileResponse = await fetch(spotifyApiUrl(env, '/me'), {
+        headers: {
+          'Authorization': `Bearer ${data.access_token}`
+        }
+      });
+      const profile = profileResponse.ok ? await profileResponse.json() : null;
+      if (!profile || profile.id !== env.SPOTIFY_USER_ID) {
+        return htmlPage('Authorization failed', 'This Spotify account is not the one configured in SPOTIFY_USER_ID.', 403);
+      }
+    }
+
+    await saveRefreshToken(env, data.refresh_token);
+    await storeUserAccessToken(env, data);
+
+    return htmlPage('Spotify connected', 'The refresh token has been stored. You can close this window.');
+  } catch (error) {
+    console.error('Error completing Spotify authorization:', error);
+    return htmlPage('Authorization failed', 'Server error. Please try again later.', 500);
+  }
+}
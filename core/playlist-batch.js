@@ -0,0 +1,375 @@
+// Batch playlist mutations for admin tools: add or remove many tracks at once and move
+// ranges of tracks. Items may be track IDs, spotify:track: URIs or open.spotify.com URLs.
+// Spotify takes at most 100 tracks per call, so the work is chunked and every item gets
+// its own result; the last snapshot_id is threaded through dependent calls. Track details
+// are looked up 50 at a time, keeping a full batch within the Worker subrequest limit.
+
+import { jsonResponse } from './http.js';
+import { getValidAccessToken, spotifyApiUrl } from './spotify.js';
+import { fetchTracksDetails, parseTrackRef } from './tracks.js';
+import {
+  fetchPlaylistEntries,
+  findDuplicate,
+  removeTracksFromPlaylist,
+  moveTracks
+} from './playlist.js';
+import { evaluateTrackRules, evaluatePlaylistRules } from './rules.js';
+import { deleteDedications } from './dedications.js';
+import { recordAudit, auditActor, auditTrack } from './audit.js';
+import { requireDefaultPlaylist, resolveRequestPlaylist } from './playlists.js';
+
+const SPOTIFY_CHUNK_SIZE = 100;
+const MAX_BATCH_TRACKS = 500;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Validate body.tracks and resolve each item to a track ID; resolves to
+// { items: [{ input, trackId }] } or { error }
+function parseBatch(body) {
+  const tracks = body?.tracks;
+  if (!Array.isArray(tracks) || tracks.length === 0 || tracks.length > MAX_BATCH_TRACKS) {
+    return { error: `tracks must be an array of 1 to ${MAX_BATCH_TRACKS} track IDs, URIs or URLs` };
+  }
+  return { items: tracks.map(input => ({ input, trackId: parseTrackRef(input) })) };
+}
+
+function summarize(results) {
+  const counts = {};
+  for (const result of results) {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// POST one chunk of URIs; resolves to { snapshotId } or { error }
+async function postChunk(env, token, playlistId, uris) {
+  const response = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ uris })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 403) {
+      return { error: 'Insufficient permissions to modify this playlist' };
+    }
+    return { error: `Spotify API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}` };
+  }
+
+  const data = await response.json();
+  return { snapshotId: data.snapshot_id };
+}
+
+// Add many tracks, applying the same duplicate and rules checks as addTrackToPlaylist.
+// Items ({ input, trackId, track? }) are checked in order against the playlist plus the
+// items accepted before them.
+// options.playlist is a managed playlist (see playlists.js), the default one if not given.
+export async function addTracksToPlaylist(env, items, { playlist = null, actor = null } = {}) {
+  const { slug, playlistId, rules } = playlist || await requireDefaultPlaylist(env);
+  const token = await getValidAccessToken(env);
+
+  // Working copy of the playlist as it will look after the batch
+  const working = await fetchPlaylistEntries(env, token, playlistId);
+  const initialLength = working.length;
+  const results = [];
+  const accepted = [];
+  // Entries each accepted item pushes out of the playlist (maxLength with removeOldest)
+  const removalsFor = new Map();
+  const trackFor = new Map();
+  // Items may carry the track already (imports get it from the search); look up the rest
+  const details = await fetchTracksDetails(env, items.filter(item => item.trackId && !item.track).map(item => item.trackId));
+
+  for (const { input, trackId, track: known } of items) {
+    if (!trackId) {
+      results.push({ input, status: 'invalid', error: 'Not a Spotify track ID, URI or URL' });
+      continue;
+    }
+
+    const track = known || details.get(trackId);
+    if (!track) {
+      results.push({ input, track_id: trackId, status: 'not_found', error: 'Track not found' });
+      continue;
+    }
+
+    const existing = findDuplicate(working, track);
+    if (existing) {
+      results.push({ input, track_id: trackId, status: 'duplicate', existing });
+      continue;
+    }
+
+    const trackReasons = evaluateTrackRules(rules, track);
+    const { reasons, removals: toRemove } = evaluatePlaylistRules(rules, track, working);
+    if (trackReasons.length > 0 || reasons.length > 0) {
+      results.push({ input, track_id: trackId, status: 'rejected', reasons: [...trackReasons, ...reasons] });
+      continue;
+    }
+
+    for (const entry of toRemove) {
+      working.splice(working.indexOf(entry), 1);
+    }
+
+    const result = { input, track_id: trackId, status: 'added', name: track.name, artist: track.artist };
+    results.push(result);
+    accepted.push(result);
+    removalsFor.set(result, toRemove);
+    trackFor.set(result, track);
+    // Not yet in Spotify: no URI, so it is never picked for removal
+    working.push({
+      id: track.id,
+      uri: null,
+      name: track.name,
+      artist: track.artist,
+      artistIds: track.artistIds,
+      isrc: track.isrc,
+      position: working.length,
+      addedAt: new Date().toISOString()
+    });
+  }
+
+  let snapshotId = null;
+  // Tracks are appended; removals only happen once everything is added
+  let position = initialLength;
+
+  for (const group of chunk(accepted, SPOTIFY_CHUNK_SIZE)) {
+    const outcome = await postChunk(env, token, playlistId, group.map(result => `spotify:track:${result.track_id}`));
+    for (const result of group) {
+      if (outcome.error) {
+        result.status = 'failed';
+        result.error = outcome.error;
+      } else {
+        result.snapshot_id = outcome.snapshotId;
+      }
+    }
+    if (!outcome.error) {
+      await recordAudit(env, actor, {
+        action: 'add',
+        playlistId,
+        tracks: group.map((result, index) => auditTrack(trackFor.get(result), position + index)),
+        snapshotId: outcome.snapshotId
+      });
+      position += group.length;
+    }
+    snapshotId = outcome.snapshotId || snapshotId;
+  }
+
+  // Make room for what was actually added
+  const removed = accepted
+    .filter(result => result.status === 'added')
+    .flatMap(result => removalsFor.get(result));
+  for (const group of chunk(removed, SPOTIFY_CHUNK_SIZE)) {
+    snapshotId = await removeTracksFromPlaylist(env, token, playlistId, group.map(entry => entry.uri), { snapshotId });
+    await recordAudit(env, actor, {
+      action: 'remove',
+      playlistId,
+      tracks: group.map(entry => auditTrack(entry)),
+      snapshotId,
+      details: { reason: 'maxLength' }
+    });
+  }
+  if (removed.length > 0) {
+    await deleteDedications(env, playlistId, removed.map(entry => entry.id));
+  }
+
+  return {
+    playlist: slug,
+    playlist_id: playlistId,
+    snapshot_id: snapshotId,
+    summary: summarize(results),
+    results,
+    ...(removed.length > 0 && {
+      removed_tracks: removed.map(entry => ({
+        spotify_id: entry.id,
+        name: entry.name,
+        artist: entry.artist,
+        added_at: entry.addedAt
+      }))
+    })
+  };
+}
+
+// Remove many tracks; items not in the playlist are reported rather than sent to Spotify
+export async function removeTracksFromPlaylistBatch(env, items, { playlist = null, actor = null } = {}) {
+  const { slug, playlistId } = playlist || await requireDefaultPlaylist(env);
+  const token = await getValidAccessToken(env);
+  const entries = await fetchPlaylistEntries(env, token, playlistId);
+  const inPlaylist = new Set(entries.map(entry => entry.id).filter(Boolean));
+
+  const results = [];
+  const pending = [];
+  const seen = new Set();
+
+  for (const { input, trackId } of items) {
+    if (!trackId) {
+      results.push({ input, status: 'invalid', error: 'Not a Spotify track ID, URI or URL' });
+    } else if (seen.has(trackId)) {
+      results.push({ input, track_id: trackId, status: 'duplicate', error: 'Listed more than once' });
+    } else if (!inPlaylist.has(trackId)) {
+      results.push({ input, track_id: trackId, status: 'not_in_playlist' });
+    } else {
+      const result = { input, track_id: trackId, status: 'removed' };
+      results.push(result);
+      pending.push(result);
+    }
+    if (trackId) {
+      seen.add(trackId);
+    }
+  }
+
+  let snapshotId = null;
+
+  for (const group of chunk(pending, SPOTIFY_CHUNK_SIZE)) {
+    try {
+      snapshotId = await removeTracksFromPlaylist(
+        env, token, playlistId,
+        group.map(result => `spotify:track:${result.track_id}`),
+        { snapshotId }
+      );
+      group.forEach(result => {
+        result.snapshot_id = snapshotId;
+      });
+      const trackIds = new Set(group.map(result => result.track_id));
+      await recordAudit(env, actor, {
+        action: 'remove',
+        playlistId,
+        tracks: entries.filter(entry => trackIds.has(entry.id)).map(entry => auditTrack(entry)),
+        snapshotId
+      });
+    } catch (error) {
+      group.forEach(result => {
+        result.status = 'failed';
+        result.error = error.message;
+      });
+    }
+  }
+
+  const removedIds = pending.filter(result => result.status === 'removed').map(result => result.track_id);
+  await deleteDedications(env, playlistId, removedIds);
+
+  return {
+    playlist: slug,
+    playlist_id: playlistId,
+    snapshot_id: snapshotId,
+    summary: summarize(results),
+    results
+  };
+}
+
+// POST /api/addTracks (body: { tracks: [...], playlist? })
+export async function handleAddTracks(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const batch = parseBatch(body);
+    if (batch.error) {
+      return jsonResponse({ error: batch.error }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const actor = await auditActor(request, 'addTracks');
+    const result = await addTracksToPlaylist(env, batch.items, { playlist: target.playlist, actor });
+    return jsonResponse({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Error adding tracks to playlist:', error);
+    return jsonResponse({ error: 'Failed to add tracks to playlist', message: error.message }, 500);
+  }
+}
+
+// DELETE /api/removeTracks (body: { tracks: [...], playlist? })
+export async function handleRemoveTracks(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const batch = parseBatch(body);
+    if (batch.error) {
+      return jsonResponse({ error: batch.error }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const actor = await auditActor(request, 'removeTracks');
+    const result = await removeTracksFromPlaylistBatch(env, batch.items, { playlist: target.playlist, actor });
+    return jsonResponse({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Error removing tracks from playlist:', error);
+    return jsonResponse({ error: 'Failed to remove tracks from playlist', message: error.message }, 500);
+  }
+}
+
+// PUT /api/reorderTracks (body: { range_start, insert_before, range_length?, snapshot_id?, playlist? })
+export async function handleReorderTracks(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const { range_start, insert_before, range_length = 1, snapshot_id } = body || {};
+
+    const isPosition = value => Number.isInteger(value) && value >= 0;
+    if (!isPosition(range_start) || !isPosition(insert_before) || !Number.isInteger(range_length) || range_length < 1) {
+      return jsonResponse({
+        error: 'range_start and insert_before must be non-negative integers and range_length a positive integer'
+      }, 400);
+    }
+    if (snapshot_id !== undefined && typeof snapshot_id !== 'string') {
+      return jsonResponse({ error: 'snapshot_id must be a string' }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const { slug, playlistId } = target.playlist;
+    const token = await getValidAccessToken(env);
+    const entries = await fetchPlaylistEntries(env, token, playlistId);
+
+    if (range_start + range_length > entries.length || insert_before > entries.length) {
+      return jsonResponse({
+        error: `Positions must lie within the playlist (${entries.length} tracks)`
+      }, 400);
+    }
+
+    const snapshotId = await moveTracks(env, token, playlistId, {
+      rangeStart: range_start,
+      insertBefore: insert_before,
+      rangeLength: range_length,
+      snapshotId: snapshot_id
+    });
+
+    await recordAudit(env, await auditActor(request, 'reorderTracks'), {
+      action: 'move',
+      playlistId,
+      tracks: entries.slice(range_start, range_start + range_length).map(entry => auditTrack(entry)),
+      snapshotId,
+      details: { moves: [{ rangeStart: range_start, insertBefore: insert_before, rangeLength: range_length }] }
+    });
+
+    return jsonResponse({
+      status: 'success',
+      playlist: slug,
+      playlist_id: playlistId,
+      snapshot_id: snapshotId,
+      moved_tracks: entries.slice(range_start, range_start + range_length).map(entry => ({
+        spotify_id: entry.id,
+        name: entry.name,
+        artist: entry.artist
+      })),
+      message: 'Tracks successfully moved'
+    });
+  } catch (error) {
+    console.error('Error reordering playlist:', error);
+    return jsonResponse({ error: 'Failed to reorder playlist', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,360 @@
+// Playlist export (JSON, CSV, extended M3U, XSPF) and import (CSV or M3U)
+// Exports cover every page of the playlist. Imports resolve each line to a Spotify track
+// (by URL, ISRC or title and artist, through searchTracks) and add the matches with the
+// same checks as /api/addTracks, returning a report line by line. Each search is a
+// subrequest, so a request works through one page of the file and says where to go on.
+
+import { jsonResponse } from './http.js';
+import { getClientCredentialsToken, spotifyApiUrl } from './spotify.js';
+import { searchTracks, parseTrackRef } from './tracks.js';
+import { fetchPlaylistEntries, normalizeTrackText } from './playlist.js';
+import { resolveRequestPlaylist } from './playlists.js';
+import { addTracksToPlaylist } from './playlist-batch.js';
+import { auditActor } from './audit.js';
+import { csvCell, parseCsv } from './csv.js';
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' }
+};
+
+const MAX_IMPORT_LINES = 500;
+// Tracks resolved per import request, keeping a request within the Worker subrequest limit
+const IMPORT_PAGE_SIZE = 25;
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/i;
+
+function exportTrack(entry) {
+  return {
+    title: entry.name,
+    artist: entry.artist,
+    album: entry.album,
+    duration: entry.duration,
+    isrc: entry.isrc,
+    url: `https://open.spotify.com/track/${entry.id}`,
+    addedAt: entry.addedAt
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toCsv(tracks) {
+  const columns = ['title', 'artist', 'album', 'duration', 'isrc', 'url', 'addedAt'];
+  const header = ['title', 'artist', 'album', 'duration_ms', 'isrc', 'url', 'added_at'];
+  const rows = tracks.map(track => columns.map(column => csvCell(track[column])).join(','));
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toM3u(playlist, tracks) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+  for (const track of tracks) {
+    const seconds = track.duration ? Math.round(track.duration / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${track.artist} - ${track.title}`);
+    lines.push(track.url);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toXspf(playlist, tracks) {
+  const items = tracks.map(track => [
+    '    <track>',
+    `      <location>${escapeXml(track.url)}</location>`,
+    ...(track.isrc ? [`      <identifier>isrc:${escapeXml(track.isrc)}</identifier>`] : []),
+    `      <title>${escapeXml(track.title)}</title>`,
+    `      <creator>${escapeXml(track.artist)}</creator>`,
+    `      <album>${escapeXml(track.album)}</album>`,
+    ...(track.duration ? [`      <duration>${track.duration}</duration>`] : []),
+    '    </track>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(playlist.name)}</title>`,
+    `  <location>${escapeXml(playlist.url)}</location>`,
+    `  <date>${new Date().toISOString()}</date>`,
+    '  <trackList>',
+    ...items,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+// One import line: a Spotify URL, an ISRC, or a title with an optional artist
+function importItem(line, { title = '', artist = '', isrc = '', url = '' }) {
+  const trackId = parseTrackRef(url) || parseTrackRef(title.startsWith('spotify:') || title.startsWith('http') ? title : '');
+  if (trackId) {
+    return { line, trackId };
+  }
+  if (ISRC_PATTERN.test(isrc.trim())) {
+    return { line, isrc: isrc.trim().toUpperCase() };
+  }
+  if (!artist && ISRC_PATTERN.test(title.trim())) {
+    return { line, isrc: title.trim().toUpperCase() };
+  }
+  return title.trim() ? { line, title: title.trim(), artist: artist.trim() } : null;
+}
+
+function parseCsvImport(text) {
+  const rows = parseCsv(text);
+  const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+  const column = names => header.findIndex(cell => names.includes(cell));
+  const columns = {
+    title: column(['title', 'name', 'track', 'track name']),
+    artist: column(['artist', 'artists', 'artist name', 'creator']),
+    isrc: column(['isrc']),
+    url: column(['url', 'uri', 'spotify url', 'spotify uri', 'location'])
+  };
+  const hasHeader = Object.values(columns).some(index => index !== -1);
+
+  // Without a header, lines are "title,artist" or a single ISRC / URL
+  const body = hasHeader ? rows.slice(1) : rows;
+  const pick = (cells, index, fallback) => (index === -1 ? fallback : cells[index]) || '';
+
+  return body.map((cells, index) => importItem(index + (hasHeader ? 2 : 1), hasHeader
+    ? {
+      title: pick(cells, columns.title),
+      artist: pick(cells, columns.artist),
+      isrc: pick(cells, columns.isrc),
+      url: pick(cells, columns.url)
+    }
+    : { title: cells[0] || '', artist: cells[1] || '' }
+  )).filter(Boolean);
+}
+
+// Extended M3U: "#EXTINF:<seconds>,<artist> - <title>" followed by a location line;
+// Spotify locations are used directly, otherwise the EXTINF title is searched
+function parseM3uImport(text) {
+  const items = [];
+  let info = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || (line.startsWith('#') && !line.startsWith('#EXTINF:'))) {
+      return;
+    }
+    if (line.startsWith('#EXTINF:')) {
+      const label = line.slice(line.indexOf(',') + 1).trim();
+      const separator = label.indexOf(' - ');
+      info = {
+        line: index + 1,
+        artist: separator === -1 ? '' : label.slice(0, separator),
+        title: separator === -1 ? label : label.slice(separator + 3)
+      };
+      return;
+    }
+
+    const item = parseTrackRef(line)
+      ? importItem(info?.line ?? index + 1, { url: line })
+      : info
+        ? importItem(info.line, info)
+        : importItem(index + 1, line.includes(' - ')
+          ? { artist: line.split(' - ')[0], title: line.split(' - ').slice(1).join(' - ') }
+          : { title: line });
+    if (item) {
+      items.push(item);
+    }
+    info = null;
+  });
+
+  return items;
+}
+
+// Find the Spotify track for an import item; resolves to { track, match } or null
+async function resolveItem(env, item) {
+  if (item.trackId) {
+    return { trackId: item.trackId, match: 'url' };
+  }
+
+  if (item.isrc) {
+    const results = await searchTracks(env, `isrc:${item.isrc}`, { limit: 5 });
+    const track = results.find(result => result.isrc?.toUpperCase() === item.isrc);
+    return track ? { trackId: track.id, track, match: 'isrc' } : null;
+  }
+
+  const query = item.artist
+    ? `track:"${item.title}" artist:"${item.artist}"`
+    : `track:"${item.title}"`;
+  const results = await searchTracks(env, query, { limit: 5 });
+  if (results.length === 0) {
+    return null;
+  }
+
+  // Prefer the same normalized title (and artist); otherwise take Spotify's best match
+  const title = normalizeTrackText(item.title);
+  const artist = normalizeTrackText(item.artist);
+  const exact = results.find(result =>
+    normalizeTrackText(result.name) === title &&
+    (!artist || normalizeTrackText(result.artist).includes(artist)));
+  const track = exact || results[0];
+  return { trackId: track.id, track, match: exact ? 'exact' : 'closest' };
+}
+
+// GET /api/playlist-tracks/export?format=json|csv|m3u|xspf&playlist=slug (or &id=playlistId)
+export async function handleExportPlaylist(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const format = (urlParams.get('format') || 'json').toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      return jsonResponse({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` }, 400);
+    }
+
+    let playlistId = urlParams.get('id');
+    if (!playlistId) {
+      const target = await resolveRequestPlaylist(env, request);
+      if (target.error) {
+        return jsonResponse(target.error.body, target.error.status);
+      }
+      playlistId = target.playlist.playlistId;
+    }
+
+    // Get client credentials token (public endpoint)
+    const token = await getClientCredentialsToken(env);
+
+    const response = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}?fields=id,name,description,external_urls`), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return jsonResponse({ error: 'Playlist not found' }, 404);
+      }
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const details = await response.json();
+    const playlist = {
+      id: playlistId,
+      name: details.name,
+      description: details.description || '',
+      url: details.external_urls?.spotify || `https://open.spotify.com/playlist/${playlistId}`
+    };
+    const tracks = (await fetchPlaylistEntries(env, token, playlistId))
+      .filter(entry => entry.id)
+      .map(exportTrack);
+
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify({ playlist, exportedAt: new Date().toISOString(), total: tracks.length, tracks }, null, 2);
+    } else if (format === 'csv') {
+      content = toCsv(tracks);
+    } else if (format === 'm3u') {
+      content = toM3u(playlist, tracks);
+    } else {
+      content = toXspf(playlist, tracks);
+    }
+
+    return new Response(content, {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="playlist-${playlistId}.${EXPORT_FORMATS[format].extension}"`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting playlist:', error);
+    return jsonResponse({ error: 'Failed to export playlist', message: error.message }, 500);
+  }
+}
+
+// POST /api/playlist-tracks/import?format=csv|m3u&dry_run=true&offset=0&playlist=slug (body: the file)
+export async function handleImportPlaylist(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const text = await request.text();
+    const contentType = request.headers.get('Content-Type') || '';
+    const dryRun = urlParams.get('dry_run') === 'true';
+    const offset = Number(urlParams.get('offset') || 0);
+
+    let format = (urlParams.get('format') || '').toLowerCase();
+    if (!format) {
+      format = /mpegurl/i.test(contentType) || text.trimStart().startsWith('#EXTM3U') ? 'm3u' : 'csv';
+    }
+    if (format !== 'csv' && format !== 'm3u') {
+      return jsonResponse({ error: 'format must be csv or m3u' }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const items = format === 'm3u' ? parseM3uImport(text) : parseCsvImport(text);
+    if (items.length === 0 || items.length > MAX_IMPORT_LINES) {
+      return jsonResponse({ error: `The file must contain 1 to ${MAX_IMPORT_LINES} tracks` }, 400);
+    }
+    if (!Number.isInteger(offset) || offset < 0 || offset >= items.length) {
+      return jsonResponse({ error: `offset must be an integer from 0 to ${items.length - 1}` }, 400);
+    }
+
+    // Resolve one at a time to stay well inside Spotify's rate limits
+    const page = items.slice(offset, offset + IMPORT_PAGE_SIZE);
+    const nextOffset = offset + page.length < items.length ? offset + page.length : null;
+    const report = [];
+    const tracks = new Map();
+    for (const item of page) {
+      const { line, ...input } = item;
+      const resolved = await resolveItem(env, item);
+      report.push({
+        line,
+        input,
+        status: resolved ? 'resolved' : 'unresolved',
+        match: resolved?.match || null,
+        track_id: resolved?.trackId || null,
+        ...(resolved?.track && { name: resolved.track.name, artist: resolved.track.artist })
+      });
+      if (resolved?.track) {
+        tracks.set(line, resolved.track);
+      }
+    }
+
+    const resolved = report.filter(entry => entry.track_id);
+    let batch = null;
+    if (!dryRun && resolved.length > 0) {
+      // Pass on the tracks the search returned so they are not looked up again
+      batch = await addTracksToPlaylist(
+        env,
+        resolved.map(entry => ({ input: `line ${entry.line}`, trackId: entry.track_id, track: tracks.get(entry.line) })),
+        { playlist: target.playlist, actor: await auditActor(request, 'import') }
+      );
+      // Carry the add outcome (added, duplicate, rejected, ...) back onto each line
+      batch.results.forEach((result, index) => {
+        const { input, track_id, ...outcome } = result;
+        Object.assign(resolved[index], outcome);
+      });
+    }
+
+    const summary = {};
+    for (const entry of report) {
+      summary[entry.status] = (summary[entry.status] || 0) + 1;
+    }
+
+    return jsonResponse({
+      status: 'success',
+      playlist: target.playlist.slug,
+      format,
+      dry_run: dryRun,
+      total: items.length,
+      offset,
+      next_offset: nextOffset,
+      snapshot_id: batch?.snapshot_id || null,
+      summary,
+      results: report
+    });
+  } catch (error) {
+    console.error('Error importing playlist:', error);
+    return jsonResponse({ error: 'Failed to import playlist', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,372 @@
+// Playlist mutations shared by the direct admin routes and the submission queue
+// Helpers resolve to { status, body } so callers can turn them into a Response or record them
+
+import { getValidAccessToken, spotifyApiUrl } from './spotify.js';
+import { fetchTrackDetails } from './tracks.js';
+import { saveDedication, deleteDedications } from './dedications.js';
+import { recordAudit, auditTrack } from './audit.js';
+import { evaluateTrackRules, evaluatePlaylistRules, rulesRejection } from './rules.js';
+import { requireDefaultPlaylist } from './playlists.js';
+
+// Version suffixes that do not make a different recording, e.g.
+// "Song - Remastered 2011", "Song (feat. Someone)", "Song - Single Version"
+const TITLE_SUFFIX_PATTERN = /\s*(?:-\s*|\(|\[)\s*(?:(?:\d{4}\s+)?remaster(?:ed)?(?:\s+\d{4})?(?:\s+version)?|single version|album version|feat\.?[^)\]]*|ft\.?[^)\]]*|with [^)\]]*)\s*[)\]]?\s*$/i;
+
+// Lowercase, strip accents, version suffixes and punctuation for fuzzy title/artist matching
+export function normalizeTrackText(text) {
+  let normalized = (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(TITLE_SUFFIX_PATTERN, '');
+  } while (normalized !== previous);
+  return normalized.replace(/&/g, 'and').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Keys a track can be matched on: its ID, its ISRC and normalized "title|artists"
+function duplicateKeys(track) {
+  return {
+    id: track.id,
+    isrc: track.isrc ? track.isrc.toUpperCase() : null,
+    title: `${normalizeTrackText(track.name)}|${normalizeTrackText(track.artist)}`
+  };
+}
+
+// Read every page of the playlist into flat entries, in playlist order
+export async function fetchPlaylistEntries(env, token, playlistId) {
+  const fields = 'items(added_at,track(id,name,uri,duration_ms,artists(id,name),album(name),external_ids(isrc))),next';
+  let nextUrl = spotifyApiUrl(env, `/playlists/${playlistId}/tracks?limit=100&offset=0&fields=${encodeURIComponent(fields)}`);
+  const entries = [];
+
+  while (nextUrl) {
+    const response = await fetch(nextUrl, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const page = await response.json();
+
+    for (const item of page.items) {
+      const track = item.track;
+      entries.push({
+        position: entries.length,
+        id: track?.id || null,
+        uri: track?.uri || null,
+        name: track?.name || null,
+        artist: (track?.artists || []).map(artist => artist.name).join(', '),
+        artistIds: (track?.artists || []).map(artist => artist.id),
+        album: track?.album?.name || null,
+        duration: track?.duration_ms ?? null,
+        isrc: track?.external_ids?.isrc || null,
+        addedAt: item.added_at
+      });
+    }
+
+    nextUrl = page.next;
+  }
+
+  return entries;
+}
+
+// Find the same track, the same recording (ISRC) or the same normalized title and
+// artists among playlist entries. Resolves to the first match or null.
+export function findDuplicate(entries, candidate) {
+  const wanted = duplicateKeys(candidate);
+
+  for (const entry of entries) {
+    if (!entry.id) {
+      continue;
+    }
+    const existing = duplicateKeys(entry);
+
+    let matchedBy = null;
+    if (existing.id === wanted.id) {
+      matchedBy = 'id';
+    } else if (wanted.isrc && existing.isrc === wanted.isrc) {
+      matchedBy = 'isrc';
+    } else if (existing.title === wanted.title) {
+      matchedBy = 'title';
+    }
+
+    if (matchedBy) {
+      return {
+        matchedBy,
+        id: entry.id,
+        name: entry.name,
+        artist: entry.artist,
+        isrc: entry.isrc,
+        position: entry.position,
+        addedAt: entry.addedAt,
+        url: `https://open.spotify.com/track/${entry.id}`
+      };
+    }
+  }
+
+  return null;
+}
+
+// Remove every occurrence of the given track URIs (at most 100), optionally against a
+// known snapshot; resolves to the new snapshot ID
+export async function removeTracksFromPlaylist(env, token, playlistId, uris, { snapshotId } = {}) {
+  const response = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      tracks: uris.map(uri => ({ uri })),
+      ...(snapshotId && { snapshot_id: snapshotId })
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.snapshot_id;
+}
+
+// Insert tracks (at most 100) at a position, or append them; resolves to the new snapshot ID
+export async function insertTracks(env, token, playlistId, uris, { position } = {}) {
+  const response = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      uris,
+      ...(Number.isInteger(position) && { position })
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.snapshot_id;
+}
+
+// Move rangeLength tracks starting at rangeStart so they sit before insertBefore
+// (positions as they are before the move); resolves to the new snapshot ID
+export async function moveTracks(env, token, playlistId, { rangeStart, insertBefore, rangeLength = 1, snapshotId }) {
+  const response = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      range_start: rangeStart,
+      insert_before: insertBefore,
+      range_length: rangeLength,
+      ...(snapshotId && { snapshot_id: snapshotId })
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.snapshot_id;
+}
+
+// Add one track unless it (or the same recording) is already in the playlist
+// or it breaks the playlist rules (see rules.js). options.dedication ({ name, message })
+// is stored once the track is in; options.actor (see audit.js) is recorded in the audit log.
+// options.playlist is a managed playlist (see playlists.js), the default one if not given.
+export async function addTrackToPlaylist(env, trackId, { playlist = null, dedication = null, actor = null } = {}) {
+  const { slug, playlistId, rules } = playlist || await requireDefaultPlaylist(env);
+
+  const track = await fetchTrackDetails(env, trackId);
+  if (!track) {
+    return { status: 404, body: { error: 'Track not found' } };
+  }
+
+  const trackReasons = evaluateTrackRules(rules, track);
+  if (trackReasons.length > 0) {
+    return rulesRejection(trackId, trackReasons);
+  }
+
+  // Get valid access token (with refresh if needed)
+  const token = await getValidAccessToken(env);
+
+  // Check the whole playlist for the same track or recording
+  const entries = await fetchPlaylistEntries(env, token, playlistId);
+  const existing = findDuplicate(entries, track);
+
+  if (existing) {
+    return {
+      status: 409,
+      body: {
+        error: 'Track already exists in playlist',
+        message: existing.matchedBy === 'id'
+          ? 'This track is already in the playlist'
+          : `"${existing.name}" by ${existing.artist} is already in the playlist`,
+        track_id: trackId,
+        existing
+      }
+    };
+  }
+
+  const { reasons, removals } = evaluatePlaylistRules(rules, track, entries);
+  if (reasons.length > 0) {
+    return rulesRejection(trackId, reasons);
+  }
+
+  // Construct Spotify track URI
+  const trackUri = `spotify:track:${trackId}`;
+
+  // Add track to playlist
+  const spotifyResponse = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      uris: [trackUri]
+    })
+  });
+
+  if (!spotifyResponse.ok) {
+    const errorData = await spotifyResponse.json();
+    
+    if (spotifyResponse.status === 404) {
+      return { status: 404, body: { error: 'Playlist not found or track not found' } };
+    }
+    if (spotifyResponse.status === 403) {
+      return { status: 403, body: { error: 'Insufficient permissions to modify this playlist' } };
+    }
+    
+    throw new Error(`Spotify API error: ${spotifyResponse.status} - ${errorData.error?.message || 'Unknown error'}`);
+  }
+
+  const data = await spotifyResponse.json();
+  let snapshotId = data.snapshot_id;
+
+  await recordAudit(env, actor, {
+    action: 'add',
+    playlistId,
+    tracks: [auditTrack(track, entries.length)],
+    snapshotId
+  });
+
+  // Over maxLength with removeOldest: drop the oldest tracks to make room
+  if (removals.length > 0) {
+    snapshotId = await removeTracksFromPlaylist(env, token, playlistId, removals.map(entry => entry.uri));
+    await deleteDedications(env, playlistId, removals.map(entry => entry.id));
+    await recordAudit(env, actor, {
+      action: 'remove',
+      playlistId,
+      tracks: removals.map(entry => auditTrack(entry)),
+      snapshotId,
+      details: { reason: 'maxLength' }
+    });
+  }
+
+  const savedDedication = dedication ? await saveDedication(env, playlistId, trackId, dedication) : null;
+
+  // Return success response
+  return {
+    status: 200,
+    body: {
+      status: 'success',
+      playlist: slug,
+      playlist_id: playlistId,
+      snapshot_id: snapshotId,
+      added_track: {
+        spotify_id: trackId,
+        spotify_url: `https://open.spotify.com/track/${trackId}`,
+        playlist_url: `https://open.spotify.com/playlist/${playlistId}`
+      },
+      ...(savedDedication && {
+        dedication: { name: savedDedication.name, message: savedDedication.message }
+      }),
+      ...(removals.length > 0 && {
+        removed_tracks: removals.map(entry => ({
+          spotify_id: entry.id,
+          name: entry.name,
+          artist: entry.artist,
+          added_at: entry.addedAt
+        }))
+      }),
+      message: 'Track successfully added to playlist'
+    }
+  };
+}
+
+// Remove one track (every occurrence of it) from the playlist
+export async function removeTrackFromPlaylist(env, trackId, { playlist = null, actor = null } = {}) {
+  const { slug, playlistId } = playlist || await requireDefaultPlaylist(env);
+
+  // Get valid access token (with refresh if needed)
+  const token = await getValidAccessToken(env);
+
+  // Find where the track sits, for the audit log and undo
+  const entries = await fetchPlaylistEntries(env, token, playlistId);
+  const removed = entries.filter(entry => entry.id === trackId);
+  if (removed.length === 0) {
+    return { status: 404, body: { error: 'Track not found in playlist' } };
+  }
+
+  // Remove track from playlist
+  const spotifyResponse = await fetch(spotifyApiUrl(env, `/playlists/${playlistId}/tracks`), {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      tracks: [{ uri: `spotify:track:${trackId}` }]
+    })
+  });
+
+  if (!spotifyResponse.ok) {
+    const errorData = await spotifyResponse.json();
+
+    if (spotifyResponse.status === 404) {
+      return { status: 404, body: { error: 'Playlist not found or track not found' } };
+    }
+    if (spotifyResponse.status === 403) {
+      return { status: 403, body: { error: 'Insufficient permissions to modify this playlist' } };
+    }
+
+    throw new Error(`Spotify API error: ${spotifyResponse.status} - ${errorData.error?.message || 'Unknown error'}`);
+  }
+
+  const data = await spotifyResponse.json();
+  await deleteDedications(env, playlistId, [trackId]);
+  await recordAudit(env, actor, {
+    action: 'remove',
+    playlistId,
+    tracks: removed.map(entry => auditTrack(entry)),
+    snapshotId: data.snapshot_id
+  });
+
+  // Return success response
+  return {
+    status: 200,
+    body: {
+      status: 'success',
+      playlist: slug,
+      playlist_id: playlistId,
+      snapshot_id: data.snapshot_id,
+      removed_track: {
+        spotify_id: trackId,
+        spotify_url: `https://open.spotify.com/track/${trackId}`,
+        playlist_url: `https://open.spotify.com/playlist/${playlistId}`
+      },
+      message: 'Track successfully removed from playlist'
+    }
+  };
+}
@@ -0,0 +1,265 @@
+// Registry of managed playlists, so each blog post can have its own soundtrack
+// A managed playlist has a slug (used in URLs and request bodies), a Spotify playlist ID,
+// its own rules (see rules.js) and is open or closed for visitor submissions.
+//
+// Sources, later ones winning for the same slug:
+// - env.PLAYLIST_ID, registered as the "default" slug with env.PLAYLIST_RULES; without it,
+//   the suggestions playlist earlier versions had built in (deprecated, logged once)
+// - env.PLAYLISTS, a JSON object: { "<slug>": { "id", "title", "rules", "open" } }
+// - env.PLAYLISTS_STORE (KV), managed through /api/admin/playlists/:slug
+//
+// Keys:
+// - playlist:<slug>   JSON record { slug, playlistId, title, rules, open, updatedAt }
+//
+// Requests without a slug use env.DEFAULT_PLAYLIST (default "default").
+
+import { jsonResponse } from './http.js';
+import { getStore } from './kv.js';
+import { getPlaylistRules } from './rules.js';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_TITLE_LENGTH = 100;
+
+// Used when PLAYLIST_ID is unset, for deployments that relied on it before playlists were managed
+const FALLBACK_PLAYLIST_ID = '5iw7Tk89Q0p9a5waGqJFLG';
+let fallbackWarned = false;
+
+function getPlaylistStore(env) {
+  return getStore(env, 'PLAYLISTS_STORE');
+}
+
+export function getDefaultSlug(env) {
+  return env.DEFAULT_PLAYLIST || 'default';
+}
+
+// Accept a bare playlist ID, a spotify:playlist: URI or an open.spotify.com URL
+export function parsePlaylistRef(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  const match = trimmed.match(/^spotify:playlist:([A-Za-z0-9]+)$/) ||
+    trimmed.match(/^https:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?playlist\/([A-Za-z0-9]+)(?:[/?#].*)?$/) ||
+    trimmed.match(/^([A-Za-z0-9]+)$/);
+  return match ? match[1] : null;
+}
+
+// Log once per process (per isolate on the Worker) that the built-in playlist is in use
+function warnPlaylistFallback() {
+  if (fallbackWarned) {
+    return;
+  }
+  fallbackWarned = true;
+  console.warn(`PLAYLIST_ID is not set, using the built-in playlist ${FALLBACK_PLAYLIST_ID}. ` +
+    'This fallback is deprecated and will be removed: set PLAYLIST_ID');
+}
+
+// Registry records from env.PLAYLIST_ID and env.PLAYLISTS, keyed by slug
+function configuredPlaylists(env) {
+  const playlists = {
+    default: { slug: 'default', playlistId: env.PLAYLIST_ID || FALLBACK_PLAYLIST_ID, title: null, rules: null, open: true }
+  };
+
+  if (env.PLAYLISTS) {
+    let config;
+    try {
+      config = JSON.parse(env.PLAYLISTS);
+    } catch {
+      throw new Error('PLAYLISTS must be a JSON object');
+    }
+    for (const [slug, entry] of Object.entries(config)) {
+      playlists[slug] = {
+        slug,
+        playlistId: parsePlaylistRef(entry.id),
+        title: entry.title || null,
+        rules: entry.rules || null,
+        open: entry.open !== false
+      };
+    }
+  }
+
+  if (playlists.default.playlistId === FALLBACK_PLAYLIST_ID && !env.PLAYLIST_ID) {
+    warnPlaylistFallback();
+  }
+  return playlists;
+}
+
+// Check the configured playlists when a server starts, so the deprecation warning shows up
+// right away rather than on the first request
+export function checkPlaylistConfig(env) {
+  try {
+    configuredPlaylists(env);
+  } catch (error) {
+    console.error(error.message);
+  }
+}
+
+// Fill in what callers rely on: rules fall back to env.PLAYLIST_RULES
+function withDefaults(env, record, source) {
+  return {
+    ...record,
+    rules: record.rules || getPlaylistRules(env),
+    url: `https://open.spotify.com/playlist/${record.playlistId}`,
+    isDefault: record.slug === getDefaultSlug(env),
+    source
+  };
+}
+
+// Resolve a slug (or the default playlist when none is given) to its record, or null
+export async function getManagedPlaylist(env, slug = null) {
+  const key = slug || getDefaultSlug(env);
+  if (!SLUG_PATTERN.test(key)) {
+    return null;
+  }
+
+  const stored = await getPlaylistStore(env).get(`playlist:${key}`, 'json');
+  if (stored) {
+    return withDefaults(env, stored, 'store');
+  }
+
+  const configured = configuredPlaylists(env)[key];
+  return configured?.playlistId ? withDefaults(env, configured, 'config') : null;
+}
+
+// Like getManagedPlaylist for the default playlist, for jobs and routes that only work on
+// it; only a DEFAULT_PLAYLIST slug that is not registered anywhere is an error
+export async function requireDefaultPlaylist(env) {
+  const playlist = await getManagedPlaylist(env);
+  if (!playlist) {
+    throw new Error(`No playlist configured for "${getDefaultSlug(env)}": set PLAYLIST_ID or PLAYLISTS`);
+  }
+  return playlist;
+}
+
+// Whether records kept without a playlist ID in their key (from before playlists were
+// managed, when env.PLAYLIST_ID or the built-in playlist was the only one) belong to this playlist
+export function ownsLegacyData(env, playlistId) {
+  return playlistId === (env.PLAYLIST_ID || FALLBACK_PLAYLIST_ID);
+}
+
+export async function listManagedPlaylists(env) {
+  const playlists = Object.fromEntries(
+    Object.values(configuredPlaylists(env))
+      .filter(record => record.playlistId)
+      .map(record => [record.slug, withDefaults(env, record, 'config')])
+  );
+
+  const store = getPlaylistStore(env);
+  let cursor;
+  do {
+    const page = await store.list({ prefix: 'playlist:', cursor });
+    const records = await Promise.all(page.keys.map(key => store.get(key.name, 'json')));
+    for (const record of records.filter(Boolean)) {
+      playlists[record.slug] = withDefaults(env, record, 'store');
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return Object.values(playlists).sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// The playlist a request targets: ?playlist=<slug>, else body.playlist, else the default.
+// Resolves to { playlist } or { error: { status, body } }.
+export async function resolveRequestPlaylist(env, request, body = null) {
+  const slug = new URL(request.url).searchParams.get('playlist') || body?.playlist || null;
+  if (slug !== null && typeof slug !== 'string') {
+    return { error: { status: 400, body: { error: 'playlist must be a playlist slug' } } };
+  }
+
+  const playlist = await getManagedPlaylist(env, slug);
+  if (!playlist) {
+    return {
+      error: {
+        status: 404,
+        body: { error: slug ? 'Playlist not found' : 'No default playlist configured', playlist: slug || getDefaultSlug(env) }
+      }
+    };
+  }
+  return { playlist };
+}
+
+// Public view of a registry record
+export function publicPlaylist(playlist) {
+  return {
+    slug: playlist.slug,
+    title: playlist.title,
+    playlistId: playlist.playlistId,
+    url: playlist.url,
+    open: playlist.open,
+    isDefault: playlist.isDefault,
+    rules: playlist.rules
+  };
+}
+
+// GET /api/managed-playlists
+export async function handleListManagedPlaylists(env) {
+  try {
+    const playlists = await listManagedPlaylists(env);
+    return jsonResponse({ playlists: playlists.map(publicPlaylist), defaultPlaylist: getDefaultSlug(env) });
+  } catch (error) {
+    console.error('Error listing managed playlists:', error);
+    return jsonResponse({ error: 'Failed to list managed playlists', message: error.message }, 500);
+  }
+}
+
+// PUT /api/admin/playlists/:slug (body: { playlist_id, title?, rules?, open? })
+export async function handlePutManagedPlaylist(env, request, params) {
+  try {
+    const slug = params.slug;
+    if (!SLUG_PATTERN.test(slug)) {
+      return jsonResponse({ error: 'Slugs are 1 to 64 lowercase letters, digits and dashes' }, 400);
+    }
+
+    const body = await request.json().catch(() => null);
+    const playlistId = parsePlaylistRef(body?.playlist_id);
+    if (!playlistId) {
+      return jsonResponse({ error: 'playlist_id must be a Spotify playlist ID, URI or URL' }, 400);
+    }
+    if (body.title !== undefined && body.title !== null &&
+      (typeof body.title !== 'string' || body.title.length > MAX_TITLE_LENGTH)) {
+      return jsonResponse({ error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` }, 400);
+    }
+    if (body.rules !== undefined && body.rules !== null &&
+      (typeof body.rules !== 'object' || Array.isArray(body.rules))) {
+      return jsonResponse({ error: 'rules must be an object (see Playlist Rules)' }, 400);
+    }
+    if (body.open !== undefined && typeof body.open !== 'boolean') {
+      return jsonResponse({ error: 'open must be a boolean' }, 400);
+    }
+
+    const record = {
+      slug,
+      playlistId,
+      title: body.title || null,
+      rules: body.rules || null,
+      open: body.open !== false,
+      updatedAt: new Date().toISOString()
+    };
+    await getPlaylistStore(env).put(`playlist:${slug}`, JSON.stringify(record));
+
+    return jsonResponse({ status: 'success', playlist: publicPlaylist(withDefaults(env, record, 'store')) });
+  } catch (error) {
+    console.error('Error saving managed playlist:', error);
+    return jsonResponse({ error: 'Failed to save managed playlist', message: error.message }, 500);
+  }
+}
+
+// DELETE /api/admin/playlists/:slug (only playlists added through the API)
+export async function handleDeleteManagedPlaylist(env, request, params) {
+  try {
+    const store = getPlaylistStore(env);
+    const stored = await store.get(`playlist:${params.slug}`);
+    if (!stored) {
+      const configured = configuredPlaylists(env)[params.slug];
+      return configured
+        ? jsonResponse({ error: 'Playlist is defined in PLAYLIST_ID or PLAYLISTS and cannot be deleted here' }, 409)
+        : jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+
+    await store.delete(`playlist:${params.slug}`);
+    return jsonResponse({ status: 'success', deleted: params.slug });
+  } catch (error) {
+    console.error('Error deleting managed playlist:', error);
+    return jsonResponse({ error: 'Failed to delete managed playlist', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,253 @@
+// Self-service access and erasure requests for newsletter subscribers
+// POST /api/newsletter/privacy mails a signed link (purpose newsletter-privacy, 24 hours)
+// to the address. The link opens a page that asks before acting, since mail scanners
+// follow links; its button downloads everything stored about the address or erases it.
+// Submissions are not tied to an address, so a request may list the IDs of the reader's
+// own submissions (from their unguessable status URLs) to include those too.
+//
+// A request covers:
+// - the subscriber record (and its alias, see newsletter.js) in NEWSLETTER_STORE and the
+//   address's deliveries in digest logs
+// - the listed submissions in SUBMISSIONS_STORE, and the dedications they left on playlists
+// - the audit-log entries of those submissions' approvals
+// Erasure deletes all of it except the audit entries, which record an admin's playlist
+// change and stay, unlinked from the submission. Each action updates the address's
+// tombstone (see newsletter.js), which also makes every link single-use.
+
+import { jsonResponse, htmlPage, escapeHtml, corsHeaders } from './http.js';
+import { signToken } from './crypto.js';
+import { getMailTransport } from './mail.js';
+import { findAuditEntriesVia, redactAuditEntry } from './audit.js';
+import { readSubmission, deleteSubmission, SUBMISSION_STATUS } from './submissions.js';
+import { getDedications, deleteDedications } from './dedications.js';
+import { getManagedPlaylist } from './playlists.js';
+import { findDigestDeliveries, forgetDigestRecipient } from './digest.js';
+import { normalizeEmail, addressKey } from './email.js';
+import {
+  getNewsletterSecret,
+  getNewsletterStore,
+  readSubscriber,
+  readTombstone,
+  updateTombstone,
+  resolveSubscriberAddress,
+  forgetAlias,
+  verifyNewsletterToken,
+  newsletterName
+} from './newsletter.js';
+
+export const PRIVACY_ACTIONS = ['export', 'erase'];
+
+const PRIVACY_PURPOSE = 'newsletter-privacy';
+const PRIVACY_LINK_TTL = 24 * 3600;
+const MAX_SUBMISSION_IDS = 50;
+const ERASED_VIA = 'submission:erased';
+
+// The listed submissions that still exist, each with the dedication it left (if any)
+async function findSubmissions(env, ids) {
+  const submissions = (await Promise.all(ids.map(id => readSubmission(env, id)))).filter(Boolean);
+
+  return Promise.all(submissions.map(async submission => {
+    const { name, dedication } = submission.submitter;
+    const playlist = submission.status === SUBMISSION_STATUS.APPROVED && (name || dedication)
+      ? await getManagedPlaylist(env, submission.playlist)
+      : null;
+    if (!playlist) {
+      return { submission, dedication: null };
+    }
+    // Only the dedication this submission left, not one written since by someone else
+    const stored = (await getDedications(env, playlist.playlistId, [submission.trackId]))[submission.trackId];
+    const own = stored && stored.name === name && stored.message === (dedication || null);
+    return { submission, dedication: own ? stored : null };
+  }));
+}
+
+// Everything stored about an address and the listed submissions
+async function collectPersonalData(env, email, submissionIds) {
+  const [subscriber, digestDeliveries, submissions] = await Promise.all([
+    readSubscriber(env, email),
+    findDigestDeliveries(env, email),
+    findSubmissions(env, submissionIds)
+  ]);
+
+  const earliest = submissions.map(({ submission }) => submission.submittedAt).sort()[0] || null;
+  const auditEntries = submissions.length > 0
+    ? await findAuditEntriesVia(env, submissions.map(({ submission }) => `submission:${submission.id}`), { since: earliest })
+    : [];
+
+  return { subscriber, digestDeliveries, submissions, auditEntries };
+}
+
+async function erasePersonalData(env, email, data) {
+  await getNewsletterStore(env).delete(email);
+  await forgetAlias(env, { email, key: addressKey(email) });
+  await forgetDigestRecipient(env, email);
+
+  for (const { submission, dedication } of data.submissions) {
+    if (dedication) {
+      await deleteDedications(env, dedication.playlistId, [dedication.trackId]);
+    }
+    await deleteSubmission(env, submission);
+  }
+  for (const entry of data.auditEntries) {
+    await redactAuditEntry(env, entry, ERASED_VIA);
+  }
+}
+
+function privacyMail(env, email, action, link) {
+  const name = newsletterName(env);
+  const request = action === 'export' ? 'a copy of the data we hold about' : 'the erasure of all data we hold about';
+  return {
+    to: email,
+    subject: action === 'export' ? `Your data from ${name}` : `Confirm erasing your data from ${name}`,
+    text: [
+      `Someone asked for ${request} ${email}. If it was you, open this link within 24 hours:`,
+      '',
+      link,
+      '',
+      'If you did not ask for this, ignore this mail and nothing will happen.'
+    ].join('\n'),
+    html: [
+      `<p>Someone asked for ${request} ${escapeHtml(email)}. If it was you, open this link within 24 hours:</p>`,
+      `<p><a href="${escapeHtml(link)}">${action === 'export' ? 'Get my data' : 'Erase my data'}</a></p>`,
+      '<p>If you did not ask for this, ignore this mail and nothing will happen.</p>'
+    ].join('\n')
+  };
+}
+
+// Resolve the link's token to { email, action, submissions } or { page } to show instead.
+// A link stops working once its action has been carried out.
+async function verifyPrivacyLink(env, request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const result = await verifyNewsletterToken(env, PRIVACY_PURPOSE, token);
+  if (result.error === 'expired') {
+    return { page: htmlPage('Link expired', 'This link has expired. Please make a new request.', 410) };
+  }
+  if (result.error) {
+    return { page: htmlPage('Invalid link', 'This link is not valid.', 400) };
+  }
+
+  const { email, action, submissions, issuedAt } = result.data;
+  const tombstone = await readTombstone(env, email);
+  if (action === 'export' && tombstone?.exportedAt && issuedAt <= Date.parse(tombstone.exportedAt)) {
+    return { page: htmlPage('Link already used', 'Your data has already been downloaded with this link. Please make a new request.', 410) };
+  }
+  return { email, action, submissions };
+}
+
+// POST /api/newsletter/privacy (body: { email, action: export|erase, submissions?: [ids] })
+// Answers the same way whether or not anything is stored about the address
+export async function handlePrivacyRequest(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const { email, action, submissions = [] } = body || {};
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return jsonResponse({ error: 'email is required' }, 400);
+    }
+    // Only the syntax: addresses stored before a domain was blocked can still be erased
+    const normalized = normalizeEmail(email);
+    if (!normalized) {
+      return jsonResponse({ error: 'Invalid email address' }, 400);
+    }
+    if (!PRIVACY_ACTIONS.includes(action)) {
+      return jsonResponse({ error: `action must be one of ${PRIVACY_ACTIONS.join(', ')}` }, 400);
+    }
+    if (!Array.isArray(submissions) || submissions.length > MAX_SUBMISSION_IDS ||
+      submissions.some(id => typeof id !== 'string' || !/^[a-z0-9-]{1,64}$/.test(id))) {
+      return jsonResponse({ error: `submissions must be an array of at most ${MAX_SUBMISSION_IDS} submission IDs` }, 400);
+    }
+
+    const address = await resolveSubscriberAddress(env, normalized);
+    const ids = [...new Set(submissions)];
+    const [subscriber, found] = await Promise.all([
+      readSubscriber(env, address),
+      Promise.all(ids.map(id => readSubmission(env, id)))
+    ]);
+
+    // Only mail addresses that have something to act on
+    if (subscriber || found.some(Boolean)) {
+      const token = await signToken(getNewsletterSecret(env), PRIVACY_PURPOSE, {
+        email: address,
+        action,
+        submissions: ids.filter((id, index) => found[index])
+      }, PRIVACY_LINK_TTL);
+      const link = new URL(`/api/newsletter/privacy/confirm?token=${encodeURIComponent(token)}`, request.url).toString();
+      await getMailTransport(env).send(privacyMail(env, address, action, link));
+      console.log(`Privacy ${action} link sent`);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'If we hold data about this address, we have sent it a link to confirm the request'
+    });
+  } catch (error) {
+    console.error('Privacy request error:', error);
+    return jsonResponse({ error: 'Failed to process privacy request', message: error.message }, 500);
+  }
+}
+
+// GET /api/newsletter/privacy/confirm?token=... (the mailed link): asks before acting
+export async function handlePrivacyPage(env, request) {
+  try {
+    const link = await verifyPrivacyLink(env, request);
+    if (link.page) {
+      return link.page;
+    }
+
+    const url = new URL(request.url);
+    const form = label => `<form method="POST" action="${escapeHtml(url.pathname + url.search)}"><button type="submit">${label}</button></form>`;
+    if (link.action === 'export') {
+      return htmlPage('Your data', `Download everything we hold about ${escapeHtml(link.email)} as JSON.`, 200, form('Download my data'));
+    }
+    return htmlPage(
+      'Erase your data',
+      `Permanently erase everything we hold about ${escapeHtml(link.email)}? This unsubscribes the address and cannot be undone.`,
+      200,
+      form('Erase my data')
+    );
+  } catch (error) {
+    console.error('Privacy page error:', error);
+    return htmlPage('Something went wrong', 'Please try again later.', 500);
+  }
+}
+
+// POST /api/newsletter/privacy/confirm?token=... (the page's button)
+export async function handlePrivacyConfirm(env, request) {
+  try {
+    const link = await verifyPrivacyLink(env, request);
+    if (link.page) {
+      return link.page;
+    }
+
+    const data = await collectPersonalData(env, link.email, link.submissions);
+    const now = new Date().toISOString();
+
+    if (link.action === 'erase') {
+      await erasePersonalData(env, link.email, data);
+      await updateTombstone(env, link.email, { erasedAt: now });
+      console.log('Privacy erasure completed');
+      return htmlPage('Data erased', `Everything we held about ${escapeHtml(link.email)} has been erased.`);
+    }
+
+    await updateTombstone(env, link.email, { exportedAt: now });
+    const date = now.slice(0, 10);
+    return new Response(JSON.stringify({
+      email: link.email,
+      exportedAt: now,
+      subscriber: data.subscriber,
+      digestDeliveries: data.digestDeliveries,
+      submissions: data.submissions.map(({ submission, dedication }) => ({ ...submission, storedDedication: dedication })),
+      auditEntries: data.auditEntries
+    }, null, 2), {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="my-data-${date}.json"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Privacy request error:', error);
+    return htmlPage('Something went wrong', 'Please try again later.', 500);
+  }
+}
@@ -0,0 +1,120 @@
+// Per-client rate limiting for public routes
+// Uses a sliding window counter: the previous window's count is weighted by how much
+// of it still overlaps the sliding window, plus the current window's count.
+// Counters live in env.RATE_LIMIT_STORE (KV namespace) or, without a binding,
+// in process memory (Express server, local development).
+
+import { jsonResponse, getClientIp } from './http.js';
+import { sha256Hex } from './crypto.js';
+import { getStore } from './kv.js';
+
+// Defaults per limiter name; override with env.RATE_LIMITS, e.g.
+// {"search": {"limit": 60, "window": 60}, "newsletterSubscribe": {"limit": 3, "window": 3600}}
+export const DEFAULT_RATE_LIMITS = {
+  search: { limit: 30, window: 60 },
+  addTrack: { limit: 10, window: 3600 },
+  vote: { limit: 60, window: 3600 },
+  newsletterSubscribe: { limit: 5, window: 3600 },
+  privacyRequest: { limit: 5, window: 3600 },
+  stats: { limit: 30, window: 3600 }
+};
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_KV_TTL = 60;
+
+function getLimit(env, name) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch {
+      console.error('RATE_LIMITS is not valid JSON, using defaults');
+    }
+  }
+  return { ...DEFAULT_RATE_LIMITS[name], ...overrides[name] };
+}
+
+// Count this request against the limiter and report the outcome
+export async function checkRateLimit(env, name, clientId) {
+  const { limit, window } = getLimit(env, name);
+  const store = getStore(env, 'RATE_LIMIT_STORE');
+
+  const windowMs = window * 1000;
+  const now = Date.now();
+  const currentWindow = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  const keyPrefix = `ratelimit:${name}:${clientId}`;
+  const [previousCount, currentCount] = await Promise.all([
+    store.get(`${keyPrefix}:${currentWindow - 1}`),
+    store.get(`${keyPrefix}:${currentWindow}`)
+  ]);
+
+  const previous = parseInt(previousCount) || 0;
+  const current = parseInt(currentCount) || 0;
+  const estimated = previous * (1 - elapsed) + current;
+  const resetAt = (currentWindow + 1) * windowMs;
+
+  if (estimated >= limit) {
+    // Time until enough of the previous window slides out to free one request
+    let retryAfterMs = resetAt - now;
+    if (previous > 0 && current < limit) {
+      const freeAt = (1 - (limit - current) / previous) * windowMs;
+      retryAfterMs = Math.max(freeAt - (now % windowMs), 0);
+    }
+
+    return {
+      allowed: false,
+      limit,
+      remaining: 0,
+      resetAt,
+      retryAfter: Math.max(Math.ceil(retryAfterMs / 1000), 1)
+    };
+  }
+
+  await store.put(`${keyPrefix}:${currentWindow}`, String(current + 1), {
+    expirationTtl: Math.max(window * 2, MIN_KV_TTL)
+  });
+
+  return {
+    allowed: true,
+    limit,
+    remaining: Math.max(Math.floor(limit - estimated - 1), 0),
+    resetAt
+  };
+}
+
+// Router middleware limiting requests per client IP for the named limiter
+export function rateLimit(name) {
+  return async (env, request, params, next) => {
+    let result;
+    try {
+      const clientId = await sha256Hex(getClientIp(request));
+      result = await checkRateLimit(env, name, clientId);
+    } catch (error) {
+      // Never take a route down because the limiter's store is unavailable
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
+
+    const headers = {
+      'X-RateLimit-Limit': String(result.limit),
+      'X-RateLimit-Remaining': String(result.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+    };
+
+    if (!result.allowed) {
+      return jsonResponse({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded, retry in ${result.retryAfter} seconds`
+      }, 429, { ...headers, 'Retry-After': String(result.retryAfter) });
+    }
+
+    const response = await next();
+    const limited = new Response(response.body, response);
+    for (const [header, value] of Object.entries(headers)) {
+      limited.headers.set(header, value);
+    }
+    return limited;
+  };
+}
@@ -0,0 +1,167 @@
+// Declarative router for the shared handlers
+// Routes are matched by path pattern first, then by method, so a known path
+// with the wrong method answers 405 with an Allow header instead of 404
+
+import { jsonResponse, handleOptions } from './http.js';
+
+// Turn '/api/preview/:id' into a matcher that returns { id } or null
+function compilePath(path) {
+  const segments = path.split('/').filter(Boolean);
+
+  return (pathname) => {
+    const parts = pathname.split('/').filter(Boolean);
+    if (parts.length !== segments.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return null;
+        }
+      } else if (segment !== parts[i]) {
+        return null;
+      }
+    }
+    return params;
+  };
+}
+
+// Run middleware in order, then the handler
+// Middleware signature: (env, request, params, next) => Response
+// Handler signature: (env, request, params, ctx) => Response
+function runChain(middleware, handler, env, request, params, ctx) {
+  const dispatch = (index) => {
+    if (index === middleware.length) {
+      return handler(env, request, params, ctx);
+    }
+    return middleware[index](env, request, params, () => dispatch(index + 1));
+  };
+  return dispatch(0);
+}
+
+export function createRouter() {
+  const routes = [];
+  const globalMiddleware = [];
+
+  const router = {
+    // Register a handler for one or more methods on a path pattern
+    // options.middleware runs only for this route, after global middleware
+    add(methods, path, handler, options = {}) {
+      routes.push({
+        methods: [].concat(methods).map(method => method.toUpperCase()),
+        path,
+        match: compilePath(path),
+        handler,
+        middleware: options.middleware || []
+      });
+      return router;
+    },
+
+    get(path, handler, options) {
+      return router.add('GET', path, handler, options);
+    },
+
+    post(path, handler, options) {
+      return router.add('POST', path, handler, options);
+    },
+
+    put(path, handler, options) {
+      return router.add('PUT', path, handler, options);
+    },
+
+    patch(path, handler, options) {
+      return router.add('PATCH', path, handler, options);
+    },
+
+    delete(path, handler, options) {
+      return router.add('DELETE', path, handler, options);
+    },
+
+    // Register middleware that runs for every matched route
+    use(middleware) {
+      globalMiddleware.push(middleware);
+      return router;
+    },
+
+    // List registered routes (method + path), e.g. for index pages
+    routes() {
+      return routes.map(route => ({ methods: [...route.methods], path: route.path }));
+    },
+
+    async handle(request, env, ctx) {
+      const { pathname } = new URL(request.url);
+      const method = request.method.toUpperCase();
+
+      const allowed = new Set();
+      let matched = null;
+      let matchedParams = null;
+
+      for (const route of routes) {
+        const params = route.match(pathname);
+        if (!params) {
+          continue;
+        }
+        route.methods.forEach(routeMethod => allowed.add(routeMethod));
+        if (!matched && (route.methods.includes(method) || (method === 'HEAD' && route.methods.includes('GET')))) {
+          matched = route;
+          matchedParams = params;
+        }
+      }
+
+      if (allowed.size === 0) {
+        // Unknown paths still get a CORS preflight answer
+        if (method === 'OPTIONS') {
+          return handleOptions();
+        }
+        return jsonResponse({ error: 'Not Found' }, 404);
+      }
+
+      if (allowed.has('GET')) {
+        allowed.add('HEAD');
+      }
+      allowed.add('OPTIONS');
+      const allowHeader = [...allowed].join(', ');
+
+      // Handle OPTIONS requests (CORS preflight)
+      if (method === 'OPTIONS') {
+        const response = handleOptions();
+        response.headers.set('Allow', allowHeader);
+        return response;
+      }
+
+      if (!matched) {
+        return jsonResponse({
+          error: 'Method Not Allowed',
+          message: `${method} is not supported for ${pathname}`,
+          allowed: [...allowed]
+        }, 405, { 'Allow': allowHeader });
+      }
+
+      const response = await runChain(
+        [...globalMiddleware, ...matched.middleware],
+        matched.handler,
+        env,
+        request,
+        matchedParams,
+        ctx
+      );
+
+      // HEAD: same status and headers as GET, no body
+      if (method === 'HEAD') {
+        return new Response(null, {
+          status: response.status,
+          headers: response.headers
+        });
+      }
+
+      return response;
+    }
+  };
+
+  return router;
+}
@@ -0,0 +1,132 @@
+// Playlist content rules, checked before a track is written to the playlist
+// Configured as a JSON object in env.PLAYLIST_RULES, or per managed playlist in its
+// registry record (see playlists.js); every rule is optional:
+// {
+//   "maxLength": 200, "removeOldest": true,
+//   "blockExplicit": true,
+//   "minDuration": 60000, "maxDuration": 600000,
+//   "blockedArtists": ["<artist id>"], "blockedTracks": ["<track id>"],
+//   "maxTracksPerArtist": 3,
+//   "requiredMarkets": ["US", "GB"]
+// }
+// Durations are in milliseconds.
+
+export function getPlaylistRules(env) {
+  if (!env.PLAYLIST_RULES) {
+    return {};
+  }
+  try {
+    return JSON.parse(env.PLAYLIST_RULES);
+  } catch {
+    throw new Error('PLAYLIST_RULES must be a JSON object');
+  }
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Rules that only need the track's own metadata (as mapped by fetchTrackDetails)
+export function evaluateTrackRules(rules, track) {
+  const reasons = [];
+
+  if (rules.blockedTracks?.includes(track.id)) {
+    reasons.push({ rule: 'blockedTracks', message: 'This track is not allowed in the playlist' });
+  }
+
+  const blockedArtistIds = track.artistIds.filter(artistId => rules.blockedArtists?.includes(artistId));
+  if (blockedArtistIds.length > 0) {
+    reasons.push({
+      rule: 'blockedArtists',
+      message: 'Tracks by this artist are not allowed in the playlist',
+      artistIds: blockedArtistIds
+    });
+  }
+
+  if (rules.blockExplicit && track.explicit) {
+    reasons.push({ rule: 'blockExplicit', message: 'Explicit tracks are not allowed' });
+  }
+
+  if (rules.minDuration && track.duration < rules.minDuration) {
+    reasons.push({
+      rule: 'minDuration',
+      message: `Track is shorter than ${formatDuration(rules.minDuration)}`,
+      duration: track.duration,
+      limit: rules.minDuration
+    });
+  }
+
+  if (rules.maxDuration && track.duration > rules.maxDuration) {
+    reasons.push({
+      rule: 'maxDuration',
+      message: `Track is longer than ${formatDuration(rules.maxDuration)}`,
+      duration: track.duration,
+      limit: rules.maxDuration
+    });
+  }
+
+  if (rules.requiredMarkets?.length > 0) {
+    const missingMarkets = rules.requiredMarkets.filter(market => !track.markets.includes(market));
+    if (missingMarkets.length > 0) {
+      reasons.push({
+        rule: 'requiredMarkets',
+        message: `Track is not available in ${missingMarkets.join(', ')}`,
+        missingMarkets
+      });
+    }
+  }
+
+  return reasons;
+}
+
+// Rules that depend on the current playlist contents (entries from fetchPlaylistEntries)
+// Resolves to { reasons, removals }; removals are the oldest entries to drop to make room
+export function evaluatePlaylistRules(rules, track, entries) {
+  const reasons = [];
+  let removals = [];
+
+  if (rules.maxTracksPerArtist) {
+    for (const artistId of track.artistIds) {
+      const count = entries.filter(entry => entry.artistIds.includes(artistId)).length;
+      if (count >= rules.maxTracksPerArtist) {
+        reasons.push({
+          rule: 'maxTracksPerArtist',
+          message: `The playlist already has ${count} tracks by this artist`,
+          artistId,
+          limit: rules.maxTracksPerArtist
+        });
+      }
+    }
+  }
+
+  if (rules.maxLength && entries.length >= rules.maxLength) {
+    const excess = entries.length + 1 - rules.maxLength;
+    const removable = entries.filter(entry => entry.uri);
+    if (rules.removeOldest && removable.length >= excess) {
+      removals = removable
+        .sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt))
+        .slice(0, excess);
+    } else {
+      reasons.push({
+        rule: 'maxLength',
+        message: `The playlist is full (${rules.maxLength} tracks)`,
+        limit: rules.maxLength
+      });
+    }
+  }
+
+  return { reasons, removals };
+}
+
+// Result for a track that breaks one or more rules
+export function rulesRejection(trackId, reasons) {
+  return {
+    status: 422,
+    body: {
+      error: 'Track does not meet the playlist rules',
+      track_id: trackId,
+      reasons
+    }
+  };
+}
@@ -0,0 +1,59 @@
+// Regenerates core/disposable-domains.js from the community-maintained blocklist
+// Usage: node core/scripts/update-disposable-domains.js [list URL or file, one domain per line]
+// Domains in ALLOWED_EMAIL_DOMAINS are exempted at runtime, so the generated file is never
+// edited by hand; review the diff before committing it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_SOURCE = 'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf';
+const target = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'disposable-domains.js');
+const source = process.argv[2] || DEFAULT_SOURCE;
+
+const readSource = async () => {
+  if (!/^https?:\/\//.test(source)) {
+    return fs.readFileSync(source, 'utf8');
+  }
+  const response = await fetch(source);
+  if (!response.ok) {
+    console.error(`Failed to fetch ${source}: ${response.status}`);
+    process.exit(1);
+  }
+  return response.text();
+};
+
+const domains = [...new Set((await readSource())
+  .split('\n')
+  .map(line => line.trim().toLowerCase())
+  .filter(line => line && !line.startsWith('#')))]
+  .sort();
+
+if (domains.length < 100) {
+  console.error(`Refusing to write a list of only ${domains.length} domains`);
+  process.exit(1);
+}
+
+// Pack the quoted domains into lines of at most 100 characters
+const lines = [];
+let line = '';
+for (const domain of domains) {
+  const item = `'${domain}',`;
+  if (line && line.length + item.length + 1 > 98) {
+    lines.push(line);
+    line = '';
+  }
+  line = line ? `${line} ${item}` : item;
+}
+lines.push(line.replace(/,$/, ''));
+
+fs.writeFileSync(target, `// Disposable (throwaway) mail domains refused by validateEmail in email.js
+// Generated by scripts/update-disposable-domains.js from
+// ${source}
+// on ${new Date().toISOString().slice(0, 10)}; do not edit by hand.
+
+export const DISPOSABLE_DOMAINS = [
+${lines.map(entry => `  ${entry}`).join('\n')}
+];
+`);
+console.log(`Wrote ${domains.length} domains to ${path.relative(process.cwd(), target)}`);
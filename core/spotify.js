@@ -0,0 +1,211 @@
+// Spotify token management shared by the Express server and the Worker
+
+import { getStore } from './kv.js';
+
+// In-memory token cache (will reset on restart)
+export const tokenCache = {
+  accessToken: null,
+  tokenExpiresAt: null
+};
+
+// Client Credentials token cache for search
+const clientCredentialsCache = {
+  accessToken: null,
+  tokenExpiresAt: null
+};
+
+// Spotify base URLs, overridable through env (e.g. to point at a local stand-in)
+const DEFAULT_API_URL = 'https://api.spotify.com/v1';
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+
+// Build a Web API URL, e.g. spotifyApiUrl(env, '/me/playlists')
+export function spotifyApiUrl(env, path) {
+  return `${(env.SPOTIFY_API_URL || DEFAULT_API_URL).replace(/\/$/, '')}${path}`;
+}
+
+// Build an Accounts service URL, e.g. spotifyAccountsUrl(env, '/api/token')
+export function spotifyAccountsUrl(env, path) {
+  return `${(env.SPOTIFY_ACCOUNTS_URL || DEFAULT_ACCOUNTS_URL).replace(/\/$/, '')}${path}`;
+}
+
+// Refresh tokens minted through /auth/login (or rotated by Spotify) are kept in
+// env.TOKEN_STORE (KV namespace, or a JSON file on Express) and win over env.REFRESH_TOKEN.
+// They are read from the store on every refresh, never from memory, so a token rotated
+// by another isolate or process is picked up.
+export const REFRESH_TOKEN_KEY = 'spotify:refresh_token';
+
+export function getTokenStore(env) {
+  return getStore(env, 'TOKEN_STORE');
+}
+
+export async function loadRefreshToken(env) {
+  const stored = await getTokenStore(env).get(REFRESH_TOKEN_KEY);
+  return stored || env.REFRESH_TOKEN || null;
+}
+
+export async function saveRefreshToken(env, refreshToken) {
+  await getTokenStore(env).put(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+// Access tokens are shared across isolates/processes through the token store, with
+// the in-memory caches above as a front. Keys for the two token kinds:
+const USER_TOKEN_KEY = 'spotify:access_token';
+const CLIENT_TOKEN_KEY = 'spotify:client_token';
+
+// Refresh 60 seconds before a token actually expires
+const EXPIRY_MARGIN = 60000;
+
+// Token fetches in progress, keyed by store key, so concurrent callers share one request
+const inflightTokens = new Map();
+
+function isFresh(cache) {
+  return !!cache.accessToken && !!cache.tokenExpiresAt && Date.now() < cache.tokenExpiresAt - EXPIRY_MARGIN;
+}
+
+// Write a freshly issued access token to the memory cache and the token store
+async function storeAccessToken(env, cache, storeKey, data) {
+  cache.accessToken = data.access_token;
+  cache.tokenExpiresAt = Date.now() + (data.expires_in * 1000);
+
+  try {
+    await getTokenStore(env).put(
+      storeKey,
+      JSON.stringify({ accessToken: cache.accessToken, tokenExpiresAt: cache.tokenExpiresAt }),
+      { expirationTtl: Math.max(data.expires_in, 60) }
+    );
+  } catch (error) {
+    // The memory cache still works; other isolates will just fetch their own token
+    console.error('Error persisting access token:', error);
+  }
+}
+
+// Memory cache -> token store -> fetch, with a single fetch in flight per token kind
+function getCachedToken(env, cache, storeKey, fetchToken) {
+  if (isFresh(cache)) {
+    return Promise.resolve(cache.accessToken);
+  }
+
+  if (inflightTokens.has(storeKey)) {
+    return inflightTokens.get(storeKey);
+  }
+
+  const pending = (async () => {
+    const stored = await getTokenStore(env).get(storeKey, 'json');
+    if (stored && isFresh(stored)) {
+      cache.accessToken = stored.accessToken;
+      cache.tokenExpiresAt = stored.tokenExpiresAt;
+      return cache.accessToken;
+    }
+    return fetchToken(env);
+  })().finally(() => {
+    inflightTokens.delete(storeKey);
+  });
+
+  inflightTokens.set(storeKey, pending);
+  return pending;
+}
+
+// Cache a user access token obtained outside refreshAccessToken (e.g. the OAuth callback)
+export function storeUserAccessToken(env, data) {
+  return storeAccessToken(env, tokenCache, USER_TOKEN_KEY, data);
+}
+
+// Drop all cached tokens so the next request fetches fresh ones
+export function clearTokenCache() {
+  tokenCache.accessToken = null;
+  tokenCache.tokenExpiresAt = null;
+  clientCredentialsCache.accessToken = null;
+  clientCredentialsCache.tokenExpiresAt = null;
+}
+
+// Helper function to refresh access token
+export async function refreshAccessToken(env) {
+  const CLIENT_ID = env.CLIENT_ID;
+  const CLIENT_SECRET = env.CLIENT_SECRET;
+  const REFRESH_TOKEN = await loadRefreshToken(env);
+
+  if (!CLIENT_ID || !CLIENT_SECRET || !REFRESH_TOKEN) {
+    throw new Error('Missing CLIENT_ID, CLIENT_SECRET, or a refresh token (set REFRESH_TOKEN or connect an account at /auth/login)');
+  }
+
+  const authString = btoa(`${CLIENT_ID}:${CLIENT_SECRET}`);
+  
+  const authOptions = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${authString}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: REFRESH_TOKEN
+    })
+  };
+
+  try {
+    const response = await fetch(spotifyAccountsUrl(env, '/api/token'), authOptions);
+    const data = await response.json();
+
+    if (response.ok) {
+      await storeAccessToken(env, tokenCache, USER_TOKEN_KEY, data);
+      if (data.refresh_token && data.refresh_token !== REFRESH_TOKEN) {
+        await saveRefreshToken(env, data.refresh_token);
+      }
+      return tokenCache.accessToken;
+    } else {
+      console.error('Spotify API Error Response:', data);
+      throw new Error(`Failed to refresh token: ${data.error} - ${data.error_description || 'No description'}`);
+    }
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    throw error;
+  }
+}
+
+// Helper function to get valid access token
+export function getValidAccessToken(env) {
+  return getCachedToken(env, tokenCache, USER_TOKEN_KEY, refreshAccessToken);
+}
+
+// Get Client Credentials token for public API access (search)
+export function getClientCredentialsToken(env) {
+  return getCachedToken(env, clientCredentialsCache, CLIENT_TOKEN_KEY, requestClientCredentialsToken);
+}
+
+// Helper function to request a new Client Credentials token
+async function requestClientCredentialsToken(env) {
+  const CLIENT_ID = env.CLIENT_ID;
+  const CLIENT_SECRET = env.CLIENT_SECRET;
+
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error('Missing required environment variables: CLIENT_ID or CLIENT_SECRET');
+  }
+
+  const authString = btoa(`${CLIENT_ID}:${CLIENT_SECRET}`);
+  
+  const authOptions = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${authString}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials'
+    })
+  };
+
+  try {
+    const response = await fetch(spotifyAccountsUrl(env, '/api/token'), authOptions);
+    const data = await response.json();
+
+    if (response.ok) {
+      await storeAccessToken(env, clientCredentialsCache, CLIENT_TOKEN_KEY, data);
+      return clientCredentialsCache.accessToken;
+    } else {
+      throw new Error(`Failed to get client credentials token: ${data.error}`);
+    }
+  } catch (error) {
+    console.error('Error getting client credentials token:', error);
+    throw error;
+  }
+}
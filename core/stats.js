@@ -0,0 +1,242 @@
+// Listening statistics over the archived history (see history.js)
+// GET /api/stats counts the plays in a date range, bucketed in a time zone (?tz=, else
+// HISTORY_TIME_ZONE, else UTC): plays and minutes per day, ISO week and month, hour-of-day
+// and weekday heatmaps, top artists, tracks and albums, listening streaks, and artists
+// heard for the first time. Each archived day in the range is one read from HISTORY_STORE,
+// so ranges default to the last DEFAULT_RANGE_DAYS days and are limited to MAX_RANGE_DAYS.
+// Responses for whole-day ranges are cached in HISTORY_STORE per canonical query and
+// archive run, so repeated requests read nothing else until the archive job adds plays.
+// Ranges with exact times are computed every time; the route is rate limited either way.
+
+import { jsonResponse } from './http.js';
+import { sha256Hex } from './crypto.js';
+import { getHistoryStore, readPlays, readArtistIndex, readArchiveState, parseHistoryRange } from './history.js';
+import { DAY, isoWeek, addDays } from './dates.js';
+
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Cached responses are replaced after an archive run anyway; this only clears out old ones
+const CACHE_TTL = 24 * 3600;
+// Enough margin around the range for any time zone's offset from UTC
+const ZONE_MARGIN = DAY;
+
+// Local date and time parts of instants in a time zone; throws RangeError for unknown zones
+function createZoneClock(timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  return (time) => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const utcDate = new Date(`${date}T00:00:00Z`);
+    return {
+      date,
+      month: date.slice(0, 7),
+      week: isoWeek(utcDate),
+      hour: parseInt(parts.hour) % 24,
+      // Monday first
+      weekday: (utcDate.getUTCDay() + 6) % 7
+    };
+  };
+}
+
+function minutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+// Count plays and listening time per key, in key order
+function countBy(entries, key) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const bucket = counts.get(entry[key]) || { plays: 0, ms: 0 };
+    bucket.plays += 1;
+    bucket.ms += entry.play.duration || 0;
+    counts.set(entry[key], bucket);
+  }
+  return [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, { plays, ms }]) => ({ [key]: value, plays, minutes: minutes(ms) }));
+}
+
+// The most played items, each play giving an item (or several, for artists)
+function topItems(plays, itemsOf, limit) {
+  const items = new Map();
+  for (const play of plays) {
+    for (const item of itemsOf(play)) {
+      const entry = items.get(item.id) || { ...item, plays: 0, ms: 0 };
+      entry.plays += 1;
+      entry.ms += play.duration || 0;
+      items.set(item.id, entry);
+    }
+  }
+  return [...items.values()]
+    .sort((a, b) => b.plays - a.plays || b.ms - a.ms || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ ms, ...item }) => ({ ...item, minutes: minutes(ms) }));
+}
+
+// Runs of consecutive local days with plays: the longest, and the one reaching `today`
+// (or yesterday, since today may not have had a play yet)
+function listeningStreaks(dates, today) {
+  const runs = [];
+  for (const date of [...new Set(dates)].sort()) {
+    const last = runs[runs.length - 1];
+    if (last && addDays(last.to, 1) === date) {
+      last.to = date;
+      last.days += 1;
+    } else {
+      runs.push({ days: 1, from: date, to: date });
+    }
+  }
+
+  const longest = runs.reduce((best, run) => (!best || run.days > best.days ? run : best), null);
+  const latest = runs[runs.length - 1];
+  const current = latest && (latest.to === today || latest.to === addDays(today, -1)) ? latest : null;
+  return { longest, current };
+}
+
+// GET /api/stats?since=2024-01-01&until=2024-12-31&tz=Europe/Berlin&limit=10
+export async function handleStats(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const range = parseHistoryRange(urlParams);
+    if (range.error) {
+      return jsonResponse({ error: range.error }, 400);
+    }
+    let timeZone = urlParams.get('tz') || env.HISTORY_TIME_ZONE || 'UTC';
+    let clock;
+    try {
+      clock = createZoneClock(timeZone);
+      // Canonical spelling, so europe/berlin and Europe/Berlin share a cache entry
+      timeZone = new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch {
+      return jsonResponse({ error: `Unknown time zone: ${timeZone}` }, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || DEFAULT_TOP, 1), MAX_TOP);
+
+    // Bare dates are days in the time zone, times are exact. Without an end the range ends
+    // today; without a start it covers DEFAULT_RANGE_DAYS days up to its end.
+    const bareDate = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+    let localSince = bareDate(urlParams.get('since'));
+    let localUntil = bareDate(urlParams.get('until'));
+    let { since, until } = range;
+    if (until === null) {
+      localUntil = clock(Date.now()).date;
+      until = Date.parse(`${localUntil}T00:00:00Z`) + DAY - 1;
+    }
+    if (since === null) {
+      if (localUntil) {
+        localSince = addDays(localUntil, 1 - DEFAULT_RANGE_DAYS);
+        since = Date.parse(`${localSince}T00:00:00Z`);
+      } else {
+        since = until - DEFAULT_RANGE_DAYS * DAY + 1;
+      }
+    }
+    if (since > until) {
+      return jsonResponse({ error: 'since must not be after until' }, 400);
+    }
+    if (until - since >= MAX_RANGE_DAYS * DAY) {
+      return jsonResponse({ error: `The range must not be longer than ${MAX_RANGE_DAYS} days` }, 400);
+    }
+
+    // Only whole-day ranges are cached, by the dates they parse to (2024-02-30 is 2024-03-01),
+    // so a client cannot mint cache entries from exact times or odd spellings. Keyed by the
+    // last archive run, so new plays never meet an old answer.
+    const store = getHistoryStore(env);
+    let cacheKey = null;
+    if (localSince && localUntil) {
+      localSince = new Date(since).toISOString().slice(0, 10);
+      localUntil = new Date(until).toISOString().slice(0, 10);
+      const state = await readArchiveState(env);
+      cacheKey = `stats:${await sha256Hex(JSON.stringify([
+        localSince, localUntil, timeZone, limit, state?.after ?? null, state?.lastRunAt ?? null
+      ]))}`;
+      const cached = await store.get(cacheKey, 'json');
+      if (cached) {
+        return jsonResponse(cached);
+      }
+    }
+
+    // Read a day more on each side of bare dates and keep the plays on the requested local days
+    const inRange = ({ time, date }) =>
+      (localSince ? date >= localSince : time >= since) &&
+      (localUntil ? date <= localUntil : time <= until);
+    const at = time => ({ time, ...clock(time) });
+
+    const plays = (await readPlays(env, {
+      since: since - (localSince ? ZONE_MARGIN : 0),
+      until: until + (localUntil ? ZONE_MARGIN : 0)
+    }))
+      .map(play => ({ play, ...at(Date.parse(play.playedAt)) }))
+      .filter(inRange);
+    const playList = plays.map(entry => entry.play);
+
+    const hourOfDay = new Array(24).fill(0);
+    const weekday = new Array(7).fill(0);
+    const weekdayHour = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    for (const entry of plays) {
+      hourOfDay[entry.hour] += 1;
+      weekday[entry.weekday] += 1;
+      weekdayHour[entry.weekday][entry.hour] += 1;
+    }
+
+    // Artists whose first archived play falls in the range
+    const index = await readArtistIndex(env) || {};
+    const discovered = Object.entries(index)
+      .map(([id, artist]) => ({ id, name: artist.name, firstPlayedAt: artist.firstPlayedAt, ...at(Date.parse(artist.firstPlayedAt)) }))
+      .filter(inRange)
+      .sort((a, b) => a.firstPlayedAt.localeCompare(b.firstPlayedAt));
+    const discoveriesPerMonth = new Map();
+    for (const artist of discovered) {
+      discoveriesPerMonth.set(artist.month, (discoveriesPerMonth.get(artist.month) || 0) + 1);
+    }
+
+    const today = localUntil || clock(until).date;
+
+    const stats = {
+      since: localSince || new Date(since).toISOString(),
+      until: localUntil || new Date(until).toISOString(),
+      timeZone,
+      totals: {
+        plays: plays.length,
+        minutes: minutes(playList.reduce((sum, play) => sum + (play.duration || 0), 0)),
+        tracks: new Set(playList.map(play => play.id)).size,
+        artists: new Set(playList.flatMap(play => (play.artists || []).map(artist => artist.id))).size,
+        albums: new Set(playList.map(play => play.albumId)).size,
+        days: new Set(plays.map(entry => entry.date)).size,
+        firstPlayedAt: playList[0]?.playedAt || null,
+        lastPlayedAt: playList[playList.length - 1]?.playedAt || null
+      },
+      perDay: countBy(plays, 'date'),
+      perWeek: countBy(plays, 'week'),
+      perMonth: countBy(plays, 'month'),
+      heatmaps: { hourOfDay, weekday, weekdayHour },
+      top: {
+        artists: topItems(playList, play => play.artists || [], limit),
+        tracks: topItems(playList, play => [{ id: play.id, name: play.name, artist: play.artist, songUrl: play.songUrl }], limit),
+        albums: topItems(playList, play => [{ id: play.albumId, name: play.album, artist: play.artists?.[0]?.name || play.artist, albumArt: play.albumArt }], limit)
+      },
+      streaks: listeningStreaks(plays.map(entry => entry.date), today),
+      discoveries: {
+        newArtists: discovered.length,
+        perMonth: [...discoveriesPerMonth.entries()].map(([month, newArtists]) => ({ month, newArtists })),
+        artists: discovered.slice(-limit).reverse().map(({ id, name, firstPlayedAt }) => ({ id, name, firstPlayedAt }))
+      }
+    };
+    if (cacheKey) {
+      await store.put(cacheKey, JSON.stringify(stats), { expirationTtl: CACHE_TTL });
+    }
+    return jsonResponse(stats);
+  } catch (error) {
+    console.error('Error computing listening stats:', error);
+    return jsonResponse({ error: 'Failed to compute listening stats', message: error.message }, 500);
+  }
+}
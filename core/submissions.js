@@ -0,0 +1,392 @@
+// Moderated submission queue for playlist suggestions
+// Visitors submit tracks into env.SUBMISSIONS_STORE; admins approve (which adds the track
+// to the playlist), reject or bulk-process them. Submitters poll a public status URL.
+// Each submission targets one managed playlist (see playlists.js), which must be open.
+//
+// Keys:
+// - submission:<id>                   JSON record, metadata { status, trackId, playlist, submittedAt }
+// - submission-track:<slug>:<trackId> ID of the pending submission for a track, to avoid duplicates
+
+import { jsonResponse } from './http.js';
+import { getStore } from './kv.js';
+import { randomHex } from './crypto.js';
+import { getApiKey } from './auth.js';
+import { auditActor } from './audit.js';
+import { fetchTrackDetails } from './tracks.js';
+import { addTrackToPlaylist } from './playlist.js';
+import { optionalText, parseDedication } from './dedications.js';
+import { evaluateTrackRules, rulesRejection } from './rules.js';
+import { getManagedPlaylist, getDefaultSlug, resolveRequestPlaylist } from './playlists.js';
+
+export const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const MAX_NOTE_LENGTH = 280;
+const MAX_BULK_IDS = 50;
+
+function getSubmissionStore(env) {
+  return getStore(env, 'SUBMISSIONS_STORE');
+}
+
+// Sortable, unguessable ID: base36 timestamp + random suffix
+function createSubmissionId() {
+  return `${Date.now().toString(36)}-${randomHex(6)}`;
+}
+
+export async function readSubmission(env, id) {
+  return getSubmissionStore(env).get(`submission:${id}`, 'json');
+}
+
+// Delete a submission and, if it is the pending one for its track, that index entry
+export async function deleteSubmission(env, submission) {
+  const store = getSubmissionStore(env);
+  const trackKey = `submission-track:${submission.playlist || getDefaultSlug(env)}:${submission.trackId}`;
+  if (await store.get(trackKey) === submission.id) {
+    await store.delete(trackKey);
+  }
+  await store.delete(`submission:${submission.id}`);
+}
+
+async function writeSubmission(env, submission) {
+  await getSubmissionStore(env).put(`submission:${submission.id}`, JSON.stringify(submission), {
+    metadata: {
+      status: submission.status,
+      trackId: submission.trackId,
+      playlist: submission.playlist,
+      submittedAt: submission.submittedAt
+    }
+  });
+}
+
+function statusUrl(request, id) {
+  return new URL(`/api/submissions/${id}`, request.url).toString();
+}
+
+// Public view of a submission: no reviewer details or private note
+function publicSubmission(submission) {
+  return {
+    id: submission.id,
+    status: submission.status,
+    playlist: submission.playlist,
+    track: {
+      id: submission.track.id,
+      name: submission.track.name,
+      artist: submission.track.artist,
+      albumArt: submission.track.albumArt,
+      url: submission.track.url
+    },
+    submittedBy: submission.submitter.name,
+    dedication: submission.submitter.dedication || null,
+    submittedAt: submission.submittedAt,
+    reviewedAt: submission.reviewedAt,
+    ...(submission.status === SUBMISSION_STATUS.REJECTED && { reason: submission.reason })
+  };
+}
+
+// Record a new pending submission for a managed playlist, or return the one already
+// pending for the track
+export async function createSubmission(env, { playlist, trackId, name, dedication = null, note }) {
+  const store = getSubmissionStore(env);
+
+  if (!playlist.open) {
+    return {
+      error: { status: 403, body: { error: 'This playlist is not taking suggestions right now', playlist: playlist.slug } }
+    };
+  }
+
+  const pendingId = await store.get(`submission-track:${playlist.slug}:${trackId}`);
+  if (pendingId) {
+    const pending = await readSubmission(env, pendingId);
+    if (pending && pending.status === SUBMISSION_STATUS.PENDING) {
+      return { submission: pending, created: false };
+    }
+  }
+
+  const track = await fetchTrackDetails(env, trackId);
+  if (!track) {
+    return { error: { status: 404, body: { error: 'Track not found' } } };
+  }
+
+  // Turn away tracks that could never be approved; rules that depend on the
+  // playlist contents are checked again at approval time
+  const reasons = evaluateTrackRules(playlist.rules, track);
+  if (reasons.length > 0) {
+    return { error: rulesRejection(trackId, reasons) };
+  }
+
+  const now = new Date().toISOString();
+  const submission = {
+    id: createSubmissionId(),
+    status: SUBMISSION_STATUS.PENDING,
+    playlist: playlist.slug,
+    trackId,
+    track: {
+      id: track.id,
+      name: track.name,
+      artist: track.artist,
+      album: track.album,
+      albumArt: track.albumArt,
+      duration: track.duration,
+      url: track.url,
+      isrc: track.isrc,
+      explicit: track.explicit
+    },
+    submitter: { name, dedication, note },
+    submittedAt: now,
+    updatedAt: now,
+    reviewedAt: null,
+    reviewedBy: null,
+    reason: null,
+    snapshotId: null
+  };
+
+  await writeSubmission(env, submission);
+  await store.put(`submission-track:${playlist.slug}:${trackId}`, submission.id);
+
+  return { submission, created: true };
+}
+
+// Approve or reject one submission; resolves to a per-item result
+// actor (see audit.js) is recorded in the audit log when an approval changes the playlist
+export async function reviewSubmission(env, id, action, { reason = null, reviewer = null, actor = null } = {}) {
+  const submission = await readSubmission(env, id);
+  if (!submission) {
+    return { id, ok: false, status: 404, error: 'Submission not found' };
+  }
+  if (submission.status !== SUBMISSION_STATUS.PENDING) {
+    return { id, ok: false, status: 409, error: `Submission already ${submission.status}` };
+  }
+
+  let nextStatus = SUBMISSION_STATUS.REJECTED;
+  let snapshotId = null;
+  const slug = submission.playlist || getDefaultSlug(env);
+
+  if (action === 'approve') {
+    const playlist = await getManagedPlaylist(env, slug);
+    if (!playlist) {
+      return { id, ok: false, status: 404, error: `Playlist "${slug}" is no longer managed` };
+    }
+
+    const result = await addTrackToPlaylist(env, submission.trackId, {
+      playlist,
+      dedication: { name: submission.submitter.name, message: submission.submitter.dedication || null },
+      actor: actor && { ...actor, via: `submission:${id}` }
+    });
+    if (result.status === 409) {
+      // Already in the playlist: nothing left to approve
+      reason = 'Track is already in the playlist';
+    } else if (result.status !== 200) {
+      return { id, ok: false, status: result.status, error: result.body.error, reasons: result.body.reasons };
+    } else {
+      nextStatus = SUBMISSION_STATUS.APPROVED;
+      snapshotId = result.body.snapshot_id;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const reviewed = {
+    ...submission,
+    status: nextStatus,
+    updatedAt: now,
+    reviewedAt: now,
+    reviewedBy: reviewer,
+    reason: nextStatus === SUBMISSION_STATUS.REJECTED ? reason : null,
+    snapshotId
+  };
+
+  await writeSubmission(env, reviewed);
+  await getSubmissionStore(env).delete(`submission-track:${slug}:${submission.trackId}`);
+
+  return { id, ok: true, status: 200, submission: reviewed };
+}
+
+// POST /api/submissions (and anonymous POST /api/addTrack)
+// Body: { track_id, name?, dedication?, note?, playlist? }
+export async function handleCreateSubmission(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const { track_id } = body || {};
+
+    // Validate track_id
+    if (!track_id || typeof track_id !== 'string' || !/^[A-Za-z0-9]+$/.test(track_id.trim())) {
+      return jsonResponse({
+        error: 'track_id is required and must be a valid Spotify track ID'
+      }, 400);
+    }
+
+    // name and dedication are shown publicly; note is only for reviewers
+    const dedication = parseDedication(env, body);
+    const note = optionalText(body.note, 'note', MAX_NOTE_LENGTH);
+    const invalid = dedication.error || note.error;
+    if (invalid) {
+      return jsonResponse({ error: invalid }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request, body);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+
+    const result = await createSubmission(env, {
+      playlist: target.playlist,
+      trackId: track_id.trim(),
+      name: dedication.value.name,
+      dedication: dedication.value.message,
+      note: note.value
+    });
+    if (result.error) {
+      return jsonResponse(result.error.body, result.error.status);
+    }
+
+    const { submission, created } = result;
+    return jsonResponse({
+      status: 'pending',
+      submission_id: submission.id,
+      status_url: statusUrl(request, submission.id),
+      submission: publicSubmission(submission),
+      message: created
+        ? 'Thanks! Your suggestion will be reviewed before it is added to the playlist'
+        : 'This track has already been suggested and is waiting for review'
+    }, created ? 202 : 200);
+  } catch (error) {
+    console.error('Error creating submission:', error);
+    return jsonResponse({ error: 'Failed to submit track', message: error.message }, 500);
+  }
+}
+
+// GET /api/submissions/:id
+export async function handleGetSubmission(env, request, params) {
+  try {
+    const submission = await readSubmission(env, params.id);
+    if (!submission) {
+      return jsonResponse({ error: 'Submission not found' }, 404);
+    }
+    return jsonResponse(publicSubmission(submission));
+  } catch (error) {
+    console.error('Error fetching submission:', error);
+    return jsonResponse({ error: 'Failed to fetch submission', message: error.message }, 500);
+  }
+}
+
+// GET /api/admin/submissions?status=pending&playlist=slug&limit=50&cursor=...
+export async function handleListSubmissions(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const status = urlParams.get('status') || SUBMISSION_STATUS.PENDING;
+    const playlist = urlParams.get('playlist');
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || 50, 1), 100);
+    const cursor = urlParams.get('cursor') || undefined;
+
+    if (status !== 'all' && !Object.values(SUBMISSION_STATUS).includes(status)) {
+      return jsonResponse({ error: `status must be one of ${Object.values(SUBMISSION_STATUS).join(', ')}, all` }, 400);
+    }
+
+    const page = await getSubmissionStore(env).list({ prefix: 'submission:', limit, cursor });
+    const keys = page.keys.filter(key =>
+      (status === 'all' || key.metadata?.status === status) &&
+      (!playlist || (key.metadata?.playlist || getDefaultSlug(env)) === playlist));
+    const submissions = (await Promise.all(
+      keys.map(key => getSubmissionStore(env).get(key.name, 'json'))
+    )).filter(Boolean);
+
+    return jsonResponse({
+      submissions,
+      count: submissions.length,
+      status,
+      cursor: page.list_complete ? null : page.cursor
+    });
+  } catch (error) {
+    console.error('Error listing submissions:', error);
+    return jsonResponse({ error: 'Failed to list submissions', message: error.message }, 500);
+  }
+}
+
+function reviewResponse(result) {
+  if (!result.ok) {
+    return jsonResponse({ error: result.error, id: result.id, reasons: result.reasons }, result.status);
+  }
+  return jsonResponse({ status: 'success', submission: result.submission });
+}
+
+// POST /api/admin/submissions/:id/approve
+export async function handleApproveSubmission(env, request, params) {
+  try {
+    const result = await reviewSubmission(env, params.id, 'approve', {
+      reviewer: getApiKey(request)?.name || null,
+      actor: await auditActor(request, 'submissions')
+    });
+    return reviewResponse(result);
+  } catch (error) {
+    console.error('Error approving submission:', error);
+    return jsonResponse({ error: 'Failed to approve submission', message: error.message }, 500);
+  }
+}
+
+// POST /api/admin/submissions/:id/reject (body: { reason })
+export async function handleRejectSubmission(env, request, params) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const reason = optionalText(body?.reason, 'reason', MAX_NOTE_LENGTH);
+    if (reason.error) {
+      return jsonResponse({ error: reason.error }, 400);
+    }
+
+    const result = await reviewSubmission(env, params.id, 'reject', {
+      reason: reason.value,
+      reviewer: getApiKey(request)?.name || null
+    });
+    return reviewResponse(result);
+  } catch (error) {
+    console.error('Error rejecting submission:', error);
+    return jsonResponse({ error: 'Failed to reject submission', message: error.message }, 500);
+  }
+}
+
+// POST /api/admin/submissions/bulk (body: { action: 'approve' | 'reject', ids: [...], reason })
+export async function handleBulkSubmissions(env, request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const { action, ids } = body || {};
+
+    if (action !== 'approve' && action !== 'reject') {
+      return jsonResponse({ error: 'action must be "approve" or "reject"' }, 400);
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || ids.some(id => typeof id !== 'string')) {
+      return jsonResponse({ error: `ids must be an array of 1 to ${MAX_BULK_IDS} submission IDs` }, 400);
+    }
+    const reason = optionalText(body.reason, 'reason', MAX_NOTE_LENGTH);
+    if (reason.error) {
+      return jsonResponse({ error: reason.error }, 400);
+    }
+
+    const reviewer = getApiKey(request)?.name || null;
+    const actor = await auditActor(request, 'submissions');
+    const results = [];
+
+    // Sequential on purpose: approvals write to the same playlist
+    for (const id of [...new Set(ids)]) {
+      try {
+        const result = await reviewSubmission(env, id, action, { reason: reason.value, reviewer, actor });
+        results.push(result.ok
+          ? { id, ok: true, status: result.submission.status }
+          : { id, ok: false, error: result.error, reasons: result.reasons });
+      } catch (error) {
+        console.error(`Error processing submission ${id}:`, error);
+        results.push({ id, ok: false, error: error.message });
+      }
+    }
+
+    return jsonResponse({
+      action,
+      processed: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok).length,
+      results
+    });
+  } catch (error) {
+    console.error('Error processing submissions:', error);
+    return jsonResponse({ error: 'Failed to process submissions', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,411 @@
+// Offline stand-in for accounts.spotify.com and api.spotify.com
+// Start it, then point the handlers at it through env.SPOTIFY_ACCOUNTS_URL and
+// env.SPOTIFY_API_URL (see fake.env()). Serves the data in ./fixtures.js.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import * as fixtures from './fixtures.js';
+
+function createState() {
+  return {
+    refreshToken: fixtures.REFRESH_TOKEN,
+    accessTokens: new Map(),
+    tokenCounter: 0,
+    // Codes handed out by authorize(), keyed by code
+    authCodes: new Map(),
+    snapshotCounter: 0,
+    grants: { refresh_token: 0, client_credentials: 0, authorization_code: 0 },
+    // Seconds until issued access tokens expire
+    expiresIn: 3600,
+    // When true, every refresh_token grant returns a new refresh token
+    rotateRefreshToken: false,
+    // { trackId, progressMs, isPlaying } or null for the 204 "nothing playing" case
+    nowPlaying: null,
+    tracks: { ...fixtures.tracks },
+    playlists: fixtures.createPlaylists(),
+    recentlyPlayed: fixtures.createRecentlyPlayed(),
+    requests: []
+  };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: { status, message } });
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+export async function startFakeSpotify() {
+  let state = createState();
+  let baseUrl = null;
+
+  const issueToken = (kind) => {
+    state.tokenCounter += 1;
+    const token = `${kind}-token-${state.tokenCounter}`;
+    state.accessTokens.set(token, { kind, expiresAt: Date.now() + (state.expiresIn * 1000) });
+    return token;
+  };
+
+  const nextSnapshot = () => {
+    state.snapshotCounter += 1;
+    return `snapshot-${state.snapshotCounter}`;
+  };
+
+  const playlistItem = (item) => ({
+    added_at: item.addedAt,
+    added_by: { id: 'blogowner' },
+    is_local: false,
+    track: state.tracks[item.trackId] || null
+  });
+
+  const paged = (url, items, defaultLimit, maxLimit) => {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || defaultLimit, maxLimit);
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    const page = items.slice(offset, offset + limit);
+    const pageUrl = (pageOffset) => {
+      const next = new URL(url.href);
+      next.searchParams.set('offset', pageOffset);
+      next.searchParams.set('limit', limit);
+      return `${baseUrl}${next.pathname}${next.search}`;
+    };
+
+    return {
+      items: page,
+      total: items.length,
+      limit,
+      offset,
+      next: offset + limit < items.length ? pageUrl(offset + limit) : null,
+      previous: offset > 0 ? pageUrl(Math.max(offset - limit, 0)) : null
+    };
+  };
+
+  const handleToken = async (req, res) => {
+    const expectedAuth = 'Basic ' + Buffer.from(`${fixtures.CLIENT_ID}:${fixtures.CLIENT_SECRET}`).toString('base64');
+    if (req.headers.authorization !== expectedAuth) {
+      return sendJson(res, 401, { error: 'invalid_client', error_description: 'Invalid client' });
+    }
+
+    const form = new URLSearchParams(await readBody(req));
+    const grantType = form.get('grant_type');
+
+    if (grantType === 'client_credentials') {
+      state.grants.client_credentials += 1;
+      return sendJson(res, 200, {
+        access_token: issueToken('client'),
+        token_type: 'Bearer',
+        expires_in: state.expiresIn
+      });
+    }
+
+    if (grantType === 'refresh_token') {
+      if (form.get('refresh_token') !== state.refreshToken) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid refresh token' });
+      }
+      state.grants.refresh_token += 1;
+
+      const data = {
+        access_token: issueToken('user'),
+        token_type: 'Bearer',
+        expires_in: state.expiresIn
+      };
+      if (state.rotateRefreshToken) {
+        state.refreshToken = `rotated-refresh-token-${state.grants.refresh_token}`;
+        data.refresh_token = state.refreshToken;
+      }
+      return sendJson(res, 200, data);
+    }
+
+    if (grantType === 'authorization_code') {
+      const pending = state.authCodes.get(form.get('code'));
+      state.authCodes.delete(form.get('code'));
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!pending || pending.redirectUri !== form.get('redirect_uri') || pending.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid authorization code' });
+      }
+      state.grants.authorization_code += 1;
+
+      // The newly minted refresh token replaces the old one
+      state.refreshToken = `authorized-refresh-token-${state.grants.authorization_code}`;
+      return sendJson(res, 200, {
+        access_token: issueToken('user'),
+        token_type: 'Bearer',
+        expires_in: state.expiresIn,
+        refresh_token: state.refreshToken,
+        scope: pending.scope
+      });
+    }
+
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  };
+
+  const handleApi = async (req, res, url) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const tokenInfo = state.accessTokens.get(token);
+    if (!tokenInfo || Date.now() >= tokenInfo.expiresAt) {
+      return sendError(res, 401, 'The access token expired');
+    }
+
+    const path = url.pathname.replace(/^\/v1/, '');
+    const segments = path.split('/').filter(Boolean);
+    const requireUser = () => {
+      if (tokenInfo.kind !== 'user') {
+        sendError(res, 401, 'Valid user authentication required');
+        return false;
+      }
+      return true;
+    };
+
+    // GET /search, with the track:, artist: and isrc: field filters
+    if (req.method === 'GET' && path === '/search') {
+      const filters = {};
+      const q = (url.searchParams.get('q') || '')
+        .replace(/(track|artist|isrc):(?:"([^"]*)"|(\S+))/gi, (match, field, quoted, bare) => {
+          filters[field.toLowerCase()] = (quoted ?? bare).toLowerCase();
+          return '';
+        })
+        .trim()
+        .toLowerCase();
+      const limit = parseInt(url.searchParams.get('limit')) || 20;
+      const items = Object.values(state.tracks)
+        .filter(track => !q || track.name.toLowerCase().includes(q) ||
+          track.artists.some(artist => artist.name.toLowerCase().includes(q)))
+        .filter(track => !filters.track || track.name.toLowerCase().includes(filters.track))
+        .filter(track => !filters.artist || track.artists.some(artist => artist.name.toLowerCase().includes(filters.artist)))
+        .filter(track => !filters.isrc || track.external_ids.isrc.toLowerCase() === filters.isrc)
+        .slice(0, limit);
+      return sendJson(res, 200, { tracks: { items, total: items.length, limit, offset: 0 } });
+    }
+
+    // GET /tracks?ids=a,b,c (at most 50; unknown IDs come back as null)
+    if (req.method === 'GET' && path === '/tracks') {
+      const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+      if (ids.length === 0 || ids.length > 50 || ids.some(id => !/^[A-Za-z0-9]+$/.test(id))) {
+        return sendError(res, 400, 'Invalid ids');
+      }
+      return sendJson(res, 200, { tracks: ids.map(id => state.tracks[id] || null) });
+    }
+
+    // GET /tracks/:id
+    if (req.method === 'GET' && segments[0] === 'tracks' && segments.length === 2) {
+      const track = state.tracks[segments[1]];
+      return track ? sendJson(res, 200, track) : sendError(res, 404, 'Non existing id');
+    }
+
+    // GET /playlists/:id
+    if (req.method === 'GET' && segments[0] === 'playlists' && segments.length === 2) {
+      const playlist = state.playlists[segments[1]];
+      if (!playlist) {
+        return sendError(res, 404, 'Not found.');
+      }
+      const { items, writable, ...details } = playlist;
+      return sendJson(res, 200, {
+        ...details,
+        external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` },
+        tracks: { total: items.length }
+      });
+    }
+
+    // /playlists/:id/tracks
+    if (segments[0] === 'playlists' && segments[2] === 'tracks' && segments.length === 3) {
+      const playlist = state.playlists[segments[1]];
+      if (!playlist) {
+        return sendError(res, 404, 'Not found.');
+      }
+
+      if (req.method === 'GET') {
+        return sendJson(res, 200, paged(url, playlist.items.map(playlistItem), 100, 100));
+      }
+
+      if (!requireUser()) {
+        return;
+      }
+      if (!playlist.writable) {
+        return sendError(res, 403, 'You cannot modify a playlist you don\'t own.');
+      }
+
+      const body = JSON.parse((await readBody(req)) || '{}');
+
+      if (req.method === 'POST') {
+        const trackIds = (body.uris || []).map(uri => uri.replace('spotify:track:', ''));
+        if (trackIds.length === 0 || trackIds.length > 100 || trackIds.some(id => !state.tracks[id])) {
+          return sendError(res, 400, 'Invalid track uri');
+        }
+        const addedAt = new Date().toISOString();
+        const position = Number.isInteger(body.position) ? body.position : playlist.items.length;
+        playlist.items.splice(position, 0, ...trackIds.map(trackId => ({ trackId, addedAt })));
+        return sendJson(res, 201, { snapshot_id: nextSnapshot() });
+      }
+
+      if (req.method === 'PUT') {
+        const rangeStart = body.range_start;
+        const rangeLength = body.range_length || 1;
+        const insertBefore = body.insert_before;
+        const length = playlist.items.length;
+        if (!Number.isInteger(rangeStart) || !Number.isInteger(insertBefore) ||
+          rangeStart < 0 || rangeStart + rangeLength > length || insertBefore < 0 || insertBefore > length) {
+          return sendError(res, 400, 'Invalid range');
+        }
+        const moved = playlist.items.splice(rangeStart, rangeLength);
+        const insertAt = insertBefore > rangeStart ? insertBefore - rangeLength : insertBefore;
+        playlist.items.splice(insertAt, 0, ...moved);
+        return sendJson(res, 200, { snapshot_id: nextSnapshot() });
+      }
+
+      if (req.method === 'DELETE') {
+        const removeIds = new Set((body.tracks || []).map(item => item.uri.replace('spotify:track:', '')));
+        playlist.items = playlist.items.filter(item => !removeIds.has(item.trackId));
+        return sendJson(res, 200, { snapshot_id: nextSnapshot() });
+      }
+    }
+
+    // /me/* endpoints need a user token
+    if (segments[0] === 'me') {
+      if (!requireUser()) {
+        return;
+      }
+
+      if (req.method === 'GET' && path === '/me') {
+        return sendJson(res, 200, { id: 'blogowner', display_name: 'Blog Owner' });
+      }
+
+      if (req.method === 'GET' && path === '/me/player/currently-playing') {
+        if (!state.nowPlaying) {
+          res.writeHead(204);
+          return res.end();
+        }
+        return sendJson(res, 200, {
+          is_playing: state.nowPlaying.isPlaying ?? true,
+          progress_ms: state.nowPlaying.progressMs ?? 0,
+          item: state.tracks[state.nowPlaying.trackId]
+        });
+      }
+
+      if (req.method === 'GET' && path === '/me/player/recently-played') {
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 50);
+        const after = parseInt(url.searchParams.get('after')) || 0;
+        const items = state.recentlyPlayed
+          .filter(play => new Date(play.playedAt).getTime() > after)
+          .slice(0, limit)
+          .map(play => ({ track: state.tracks[play.trackId], played_at: play.playedAt }));
+        return sendJson(res, 200, {
+          items,
+          limit,
+          cursors: items.length > 0
+            ? {
+              after: String(new Date(items[0].played_at).getTime()),
+              before: String(new Date(items[items.length - 1].played_at).getTime())
+            }
+            : null
+        });
+      }
+
+      if (req.method === 'GET' && path === '/me/top/tracks') {
+        return sendJson(res, 200, paged(url, fixtures.topTrackIds.map(id => state.tracks[id]), 20, 50));
+      }
+
+      if (req.method === 'GET' && path === '/me/top/artists') {
+        return sendJson(res, 200, paged(url, fixtures.topArtistIds.map(id => fixtures.artists[id]), 20, 50));
+      }
+
+      if (req.method === 'GET' && path === '/me/playlists') {
+        const playlists = Object.values(state.playlists).map(playlist => ({
+          id: playlist.id,
+          name: playlist.name,
+          description: playlist.description,
+          images: playlist.images,
+          tracks: { total: playlist.items.length },
+          public: playlist.public,
+          collaborative: playlist.collaborative,
+          external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` },
+          owner: playlist.owner
+        }));
+        return sendJson(res, 200, paged(url, playlists, 20, 50));
+      }
+    }
+
+    return sendError(res, 404, 'Service not found');
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, baseUrl);
+    state.requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/api/token') {
+        return await handleToken(req, res);
+      }
+      if (url.pathname.startsWith('/v1/')) {
+        return await handleApi(req, res, url);
+      }
+      sendError(res, 404, 'Service not found');
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+
+    get state() {
+      return state;
+    },
+
+    // env bindings that point the handlers at this server
+    env(overrides = {}) {
+      return {
+        CLIENT_ID: fixtures.CLIENT_ID,
+        CLIENT_SECRET: fixtures.CLIENT_SECRET,
+        REFRESH_TOKEN: fixtures.REFRESH_TOKEN,
+        PLAYLIST_ID: fixtures.PLAYLIST_ID,
+        ADMIN_API_KEYS: fixtures.ADMIN_API_KEYS,
+        NEWSLETTER_SECRET: fixtures.NEWSLETTER_SECRET,
+        SPOTIFY_ACCOUNTS_URL: baseUrl,
+        SPOTIFY_API_URL: `${baseUrl}/v1`,
+        ...overrides
+      };
+    },
+
+    // Play the user's part of the authorize step: approve the request described by
+    // an /authorize URL and return the redirect URL Spotify would send the browser to
+    authorize(authorizeUrl) {
+      const params = new URL(authorizeUrl).searchParams;
+      const code = `auth-code-${state.authCodes.size + 1}-${Date.now()}`;
+      state.authCodes.set(code, {
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        scope: params.get('scope')
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      return redirect.toString();
+    },
+
+    // Invalidate every issued access token, as if they had all expired
+    expireTokens() {
+      state.accessTokens.clear();
+    },
+
+    reset() {
+      state = createState();
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,195 @@
+// Fixture data served by the fake Spotify server
+
+export const CLIENT_ID = 'test-client-id';
+export const CLIENT_SECRET = 'test-client-secret';
+export const REFRESH_TOKEN = 'test-refresh-token';
+export const PLAYLIST_ID = 'testplaylist000000000001';
+export const SOUNDTRACK_PLAYLIST_ID = 'testplaylist000000000002';
+export const NEWSLETTER_SECRET = 'test-newsletter-secret';
+
+// Admin API keys; ADMIN_API_KEYS holds their SHA-256 hashes as the handlers expect
+export const ADMIN_API_KEY = 'test-admin-key';
+export const NEWSLETTER_API_KEY = 'test-readonly-key';
+export const ADMIN_API_KEYS = JSON.stringify([
+  {
+    name: 'test-admin',
+    hash: '944650a7cd0f9e14d5c4fb15edbffb7fa45fb9ed36a4fa9be3d7e5476ae51bd9',
+    scopes: ['playlist:write', 'playlist:delete', 'newsletter:read', 'newsletter:send', 'spotify:connect', 'submissions:review', 'audit:read']
+  },
+  {
+    name: 'test-newsletter',
+    hash: '3f3e31d288586d3421a7b9a34b74ce20429cbf872a40b8e60f57ee3e501cf8de',
+    scopes: ['newsletter:read']
+  }
+]);
+
+export const artists = {
+  artist1: {
+    id: 'artist1',
+    name: 'The Fixtures',
+    images: [{ url: 'https://i.scdn.co/image/artist1' }],
+    genres: ['indie rock'],
+    popularity: 61,
+    external_urls: { spotify: 'https://open.spotify.com/artist/artist1' }
+  },
+  artist2: {
+    id: 'artist2',
+    name: 'Mock Orchestra',
+    images: [],
+    genres: ['modern classical', 'ambient'],
+    popularity: 44,
+    external_urls: { spotify: 'https://open.spotify.com/artist/artist2' }
+  }
+};
+
+export const albums = {
+  album1: {
+    id: 'album1',
+    name: 'Offline Sessions',
+    images: [{ url: 'https://i.scdn.co/image/album1' }],
+    release_date: '2021-03-05',
+    artists: [artists.artist1]
+  },
+  single1: {
+    id: 'single1',
+    name: 'Loopback Lullaby',
+    images: [{ url: 'https://i.scdn.co/image/single1' }],
+    release_date: '2020-12-01',
+    artists: [artists.artist1]
+  },
+  album2: {
+    id: 'album2',
+    name: 'Stub Suites',
+    images: [{ url: 'https://i.scdn.co/image/album2' }],
+    release_date: '2019-11-22',
+    artists: [artists.artist2]
+  }
+};
+
+function makeTrack({ id, name, artistIds, albumId, duration = 200000, isrc, explicit = false, popularity = 50 }) {
+  return {
+    id,
+    name,
+    artists: artistIds.map(artistId => ({ id: artistId, name: artists[artistId].name })),
+    album: albums[albumId],
+    duration_ms: duration,
+    external_urls: { spotify: `https://open.spotify.com/track/${id}` },
+    external_ids: { isrc },
+    uri: `spotify:track:${id}`,
+    preview_url: `https://p.scdn.co/mp3-preview/${id}`,
+    popularity,
+    explicit,
+    available_markets: ['US', 'GB', 'DE']
+  };
+}
+
+export const tracks = {
+  track0000000000000000001: makeTrack({
+    id: 'track0000000000000000001',
+    name: 'Loopback Lullaby',
+    artistIds: ['artist1'],
+    albumId: 'album1',
+    isrc: 'USTST2100001',
+    popularity: 72
+  }),
+  track0000000000000000002: makeTrack({
+    id: 'track0000000000000000002',
+    name: 'Localhost Nights',
+    artistIds: ['artist1'],
+    albumId: 'album1',
+    duration: 245000,
+    isrc: 'USTST2100002',
+    explicit: true
+  }),
+  track0000000000000000003: makeTrack({
+    id: 'track0000000000000000003',
+    name: 'Prelude in Mock Minor',
+    artistIds: ['artist2'],
+    albumId: 'album2',
+    duration: 412000,
+    isrc: 'GBTST1900003',
+    popularity: 31
+  }),
+  track0000000000000000004: makeTrack({
+    id: 'track0000000000000000004',
+    name: 'Fugue for Fixtures',
+    artistIds: ['artist2', 'artist1'],
+    albumId: 'album2',
+    duration: 330000,
+    isrc: 'GBTST1900004'
+  }),
+  // Same recording as track 1, released earlier as a single
+  track0000000000000000005: makeTrack({
+    id: 'track0000000000000000005',
+    name: 'Loopback Lullaby',
+    artistIds: ['artist1'],
+    albumId: 'single1',
+    isrc: 'USTST2100001'
+  }),
+  // Remaster of track 3 with a new ISRC
+  track0000000000000000006: makeTrack({
+    id: 'track0000000000000000006',
+    name: 'Prelude in Mock Minor - Remastered 2023',
+    artistIds: ['artist2'],
+    albumId: 'album2',
+    isrc: 'GBTST2300006'
+  })
+};
+
+// Playlists keyed by ID; items hold track IDs in playlist order
+export function createPlaylists() {
+  return {
+    [PLAYLIST_ID]: {
+      id: PLAYLIST_ID,
+      name: 'Blog Suggestions',
+      description: 'Songs suggested by readers',
+      images: [{ url: 'https://i.scdn.co/image/playlist1' }],
+      public: true,
+      collaborative: false,
+      owner: { id: 'blogowner', display_name: 'Blog Owner' },
+      writable: true,
+      items: [
+        { trackId: 'track0000000000000000001', addedAt: '2024-01-10T12:00:00Z' },
+        { trackId: 'track0000000000000000003', addedAt: '2024-02-02T08:30:00Z' }
+      ]
+    },
+    [SOUNDTRACK_PLAYLIST_ID]: {
+      id: SOUNDTRACK_PLAYLIST_ID,
+      name: 'Road Trip Post Soundtrack',
+      description: 'Songs for the road trip post',
+      images: [],
+      public: true,
+      collaborative: false,
+      owner: { id: 'blogowner', display_name: 'Blog Owner' },
+      writable: true,
+      items: [
+        { trackId: 'track0000000000000000004', addedAt: '2024-04-01T09:00:00Z' }
+      ]
+    },
+    readonlyplaylist0000001: {
+      id: 'readonlyplaylist0000001',
+      name: 'Someone Else\'s Mix',
+      description: '',
+      images: [],
+      public: true,
+      collaborative: false,
+      owner: { id: 'someoneelse', display_name: 'Someone Else' },
+      writable: false,
+      items: [
+        { trackId: 'track0000000000000000002', addedAt: '2023-12-24T18:00:00Z' }
+      ]
+    }
+  };
+}
+
+// Listening history, newest first
+export function createRecentlyPlayed() {
+  return [
+    { trackId: 'track0000000000000000002', playedAt: '2024-03-01T21:15:00.000Z' },
+    { trackId: 'track0000000000000000001', playedAt: '2024-03-01T21:10:30.000Z' },
+    { trackId: 'track0000000000000000004', playedAt: '2024-03-01T20:40:00.000Z' }
+  ];
+}
+
+export const topTrackIds = ['track0000000000000000001', 'track0000000000000000004', 'track0000000000000000002'];
+export const topArtistIds = ['artist1', 'artist2'];
@@ -0,0 +1,1956 @@
+// End-to-end route suite shared by the Express and Worker test files
+// Each runtime supplies start(env) -> send(path, init) -> Response and stop()
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSpotify } from './fake-spotify.js';
+import { PLAYLIST_ID, SOUNDTRACK_PLAYLIST_ID, NEWSLETTER_SECRET, ADMIN_API_KEY, NEWSLETTER_API_KEY } from './fixtures.js';
+import { clearTokenCache } from '../spotify.js';
+import { createMemoryKV } from '../kv.js';
+import { createMemoryTransport } from '../mail.js';
+import { signToken, sha256Hex } from '../crypto.js';
+import { newsletterLinks, writeSubscriber } from '../newsletter.js';
+import { handleScheduled } from '../index.js';
+
+export function describeRoutes(name, { start, stop }) {
+  describe(name, () => {
+    let fake;
+    let env;
+    let send;
+
+    const json = async (path, init) => {
+      const response = await send(path, init);
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const sendJson = (path, method, body, apiKey) => json(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+
+    before(async () => {
+      fake = await startFakeSpotify();
+      env = fake.env();
+      // Lets tests act as other clients through X-Forwarded-For (Express) or CF-Connecting-IP (Worker)
+      env.TRUST_PROXY = 'loopback';
+      send = await start(env);
+    });
+
+    after(async () => {
+      await stop();
+      await fake.close();
+    });
+
+    beforeEach(() => {
+      fake.reset();
+      clearTokenCache();
+      env.RATE_LIMIT_STORE = createMemoryKV();
+      env.TOKEN_STORE = createMemoryKV();
+      env.SUBMISSIONS_STORE = createMemoryKV();
+      env.DEDICATIONS_STORE = createMemoryKV();
+      env.VOTES_STORE = createMemoryKV();
+      env.AUDIT_STORE = createMemoryKV();
+      env.PLAYLISTS_STORE = createMemoryKV();
+      env.NEWSLETTER_STORE = createMemoryKV();
+      env.HISTORY_STORE = createMemoryKV();
+      env.MAIL_TRANSPORT = createMemoryTransport();
+      delete env.PLAYLIST_RULES;
+      delete env.PLAYLISTS;
+      delete env.BLOG_FEED_URL;
+      delete env.NEWSLETTER_NORMALIZE_ADDRESSES;
+      delete env.NEWSLETTER_REJECT_ROLE_ADDRESSES;
+      delete env.BLOCKED_EMAIL_DOMAINS;
+      delete env.ARCHIVE_HISTORY;
+    });
+
+    describe('public catalog routes', () => {
+      it('GET / serves the index page', async () => {
+        const response = await send('/');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/html/);
+        assert.match(await response.text(), /Spotify Integration Server/);
+      });
+
+      it('GET /api/search maps matching tracks', async () => {
+        const { status, body } = await json('/api/search?q=fixtures&limit=3');
+        assert.equal(status, 200);
+        assert.equal(body.query, 'fixtures');
+        assert.equal(body.count, body.suggestions.length);
+        assert.ok(body.count > 0);
+        assert.deepEqual(Object.keys(body.suggestions[0]).sort(),
+          ['album', 'albumArt', 'artist', 'duration', 'id', 'name', 'previewUrl', 'url']);
+        assert.equal(fake.state.grants.client_credentials, 1);
+      });
+
+      it('GET /api/search rejects short queries', async () => {
+        const { status, body } = await json('/api/search?q=a');
+        assert.equal(status, 400);
+        assert.match(body.error, /at least 2 characters/);
+      });
+
+      it('GET /api/getTrack returns full metadata', async () => {
+        const { status, body } = await json('/api/getTrack?id=track0000000000000000002');
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Localhost Nights');
+        assert.equal(body.isrc, 'USTST2100002');
+        assert.equal(body.explicit, true);
+        assert.equal(body.availableMarkets, 3);
+      });
+
+      it('GET /api/getTrack answers 404 for unknown tracks and 400 without an id', async () => {
+        assert.equal((await json('/api/getTrack?id=doesnotexist')).status, 404);
+        assert.equal((await json('/api/getTrack')).status, 400);
+      });
+
+      it('GET /api/preview/:id returns the preview URL', async () => {
+        const { status, body } = await json('/api/preview/track0000000000000000003');
+        assert.equal(status, 200);
+        assert.equal(body.preview_url, 'https://p.scdn.co/mp3-preview/track0000000000000000003');
+      });
+
+      it('GET /api/preview/:id answers 404 for unknown tracks', async () => {
+        assert.equal((await json('/api/preview/doesnotexist')).status, 404);
+      });
+
+      it('GET /api/playlist-tracks pages through the default playlist', async () => {
+        const { status, body } = await json('/api/playlist-tracks?limit=1');
+        assert.equal(status, 200);
+        assert.equal(body.playlistId, PLAYLIST_ID);
+        assert.equal(body.total, 2);
+        assert.equal(body.tracks.length, 1);
+        assert.ok(body.next);
+      });
+
+      it('GET /api/playlist-tracks answers 404 for unknown playlists', async () => {
+        assert.equal((await json('/api/playlist-tracks?id=missing')).status, 404);
+      });
+    });
+
+    describe('listening routes', () => {
+      it('GET /api/now-playing handles the 204 nothing-playing response', async () => {
+        const { status, body } = await json('/api/now-playing');
+        assert.equal(status, 200);
+        assert.deepEqual(body, { isPlaying: false, message: 'No song currently playing' });
+      });
+
+      it('GET /api/now-playing maps the current track', async () => {
+        fake.state.nowPlaying = { trackId: 'track0000000000000000001', progressMs: 42000 };
+        const { body } = await json('/api/now-playing');
+        assert.equal(body.isPlaying, true);
+        assert.equal(body.name, 'Loopback Lullaby');
+        assert.equal(body.progress, 42000);
+      });
+
+      it('GET /api/recent-tracks and /api/last-played read the history', async () => {
+        const recent = await json('/api/recent-tracks');
+        assert.equal(recent.status, 200);
+        assert.equal(recent.body.tracks.length, 3);
+
+        const last = await json('/api/last-played');
+        assert.equal(last.body.name, 'Localhost Nights');
+        assert.equal(last.body.playedAtTimestamp, Date.parse('2024-03-01T21:15:00.000Z'));
+      });
+
+      it('GET /api/last-played handles an empty history', async () => {
+        fake.state.recentlyPlayed = [];
+        const { body } = await json('/api/last-played');
+        assert.equal(body.message, 'No recently played tracks found');
+      });
+
+      it('GET /api/top-tracks, /api/top-artists and /api/playlists map their items', async () => {
+        assert.equal((await json('/api/top-tracks?limit=2')).body.tracks.length, 2);
+        assert.equal((await json('/api/top-artists')).body.artists[0].name, 'The Fixtures');
+        assert.equal((await json('/api/playlists')).body.playlists.length, 3);
+      });
+
+      it('GET /api/status reports the user token', async () => {
+        await json('/api/now-playing');
+        const { body } = await json('/api/status');
+        assert.equal(body.authenticated, true);
+        assert.ok(body.tokenExpires);
+      });
+    });
+
+    describe('tokens', () => {
+      it('reuses cached tokens until they are about to expire', async () => {
+        await json('/api/now-playing');
+        await json('/api/now-playing');
+        assert.equal(fake.state.grants.refresh_token, 1);
+
+        // Tokens expiring within the 60s safety margin are refreshed on every call
+        clearTokenCache();
+        env.TOKEN_STORE = createMemoryKV();
+        fake.state.expiresIn = 30;
+        await json('/api/now-playing');
+        await json('/api/now-playing');
+        assert.equal(fake.state.grants.refresh_token, 3);
+      });
+
+      it('shares access tokens across cold starts through TOKEN_STORE', async () => {
+        await json('/api/now-playing');
+        await json('/api/search?q=mock');
+
+        // A new isolate starts with empty memory caches
+        clearTokenCache();
+        assert.equal((await json('/api/now-playing')).status, 200);
+        assert.equal((await json('/api/getTrack?id=track0000000000000000001')).status, 200);
+        assert.equal(fake.state.grants.refresh_token, 1);
+        assert.equal(fake.state.grants.client_credentials, 1);
+      });
+
+      it('deduplicates concurrent token refreshes', async () => {
+        const responses = await Promise.all([
+          json('/api/now-playing'),
+          json('/api/recent-tracks'),
+          json('/api/top-tracks'),
+          json('/api/getTrack?id=track0000000000000000001'),
+          json('/api/preview/track0000000000000000002')
+        ]);
+        assert.ok(responses.every(response => response.status === 200));
+        assert.equal(fake.state.grants.refresh_token, 1);
+        assert.equal(fake.state.grants.client_credentials, 1);
+      });
+
+      it('keeps using a rotated refresh token', async () => {
+        fake.state.rotateRefreshToken = true;
+        fake.state.expiresIn = 30;
+        assert.equal((await json('/api/now-playing')).status, 200);
+        assert.equal((await json('/api/now-playing')).status, 200);
+        assert.equal(fake.state.refreshToken, 'rotated-refresh-token-2');
+      });
+
+      it('picks up a refresh token rotated by another isolate', async () => {
+        fake.state.rotateRefreshToken = true;
+        fake.state.expiresIn = 30;
+        assert.equal((await json('/api/now-playing')).status, 200);
+
+        // Another isolate refreshes and stores the next rotation
+        fake.state.refreshToken = 'rotated-elsewhere';
+        await env.TOKEN_STORE.put('spotify:refresh_token', 'rotated-elsewhere');
+        assert.equal((await json('/api/now-playing')).status, 200);
+        assert.equal(fake.state.refreshToken, 'rotated-refresh-token-2');
+      });
+
+      it('surfaces an invalid refresh token as a 500', async () => {
+        fake.state.refreshToken = 'revoked';
+        const { status, body } = await json('/api/now-playing');
+        assert.equal(status, 500);
+        assert.match(body.message, /invalid_grant/);
+      });
+    });
+
+    describe('Spotify authorization', () => {
+      const login = async () => json('/auth/login', {
+        headers: { 'Authorization': `Bearer ${ADMIN_API_KEY}` }
+      });
+
+      const pathOf = (url) => {
+        const parsed = new URL(url);
+        return `${parsed.pathname}${parsed.search}`;
+      };
+
+      it('GET /auth/login requires an admin key', async () => {
+        assert.equal((await json('/auth/login')).status, 401);
+      });
+
+      it('mints and stores a refresh token through the PKCE flow', async () => {
+        const { status, body } = await login();
+        assert.equal(status, 200);
+        const authorizeParams = new URL(body.authorizeUrl).searchParams;
+        assert.equal(authorizeParams.get('code_challenge_method'), 'S256');
+        assert.match(authorizeParams.get('scope'), /user-read-currently-playing/);
+        assert.match(authorizeParams.get('scope'), /playlist-modify-public/);
+
+        const callback = await send(pathOf(fake.authorize(body.authorizeUrl)));
+        assert.equal(callback.status, 200);
+        assert.match(await callback.text(), /Spotify connected/);
+        assert.equal(await env.TOKEN_STORE.get('spotify:refresh_token'), 'authorized-refresh-token-1');
+
+        // env.REFRESH_TOKEN is now stale; the stored token is used instead
+        clearTokenCache();
+        await env.TOKEN_STORE.delete('spotify:access_token');
+        assert.equal((await json('/api/now-playing')).status, 200);
+        assert.equal(fake.state.grants.refresh_token, 1);
+      });
+
+      it('rejects unknown and replayed states', async () => {
+        const { body } = await login();
+        const callbackPath = pathOf(fake.authorize(body.authorizeUrl));
+
+        assert.equal((await send('/auth/callback?code=abc&state=forged')).status, 400);
+        assert.equal((await send(callbackPath)).status, 200);
+        assert.equal((await send(callbackPath)).status, 400);
+      });
+
+      it('persists rotated refresh tokens', async () => {
+        fake.state.rotateRefreshToken = true;
+        await json('/api/now-playing');
+        assert.equal(await env.TOKEN_STORE.get('spotify:refresh_token'), 'rotated-refresh-token-1');
+      });
+    });
+
+    describe('playlist mutations', () => {
+      it('POST /api/addTrack appends a new track', async () => {
+        const { status, body } = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.status, 'success');
+        assert.ok(body.snapshot_id);
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 3);
+      });
+
+      it('POST /api/addTrack answers 409 for tracks already in the playlist', async () => {
+        const { status } = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000001' }, ADMIN_API_KEY);
+        assert.equal(status, 409);
+      });
+
+      it('POST /api/addTrack detects the same recording by ISRC and by normalized title', async () => {
+        const single = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000005' }, ADMIN_API_KEY);
+        assert.equal(single.status, 409);
+        assert.equal(single.body.existing.matchedBy, 'isrc');
+        assert.equal(single.body.existing.id, 'track0000000000000000001');
+        assert.equal(single.body.existing.position, 0);
+
+        const remaster = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000006' }, ADMIN_API_KEY);
+        assert.equal(remaster.status, 409);
+        assert.equal(remaster.body.existing.matchedBy, 'title');
+        assert.equal(remaster.body.existing.name, 'Prelude in Mock Minor');
+      });
+
+      it('POST /api/addTrack scans playlists longer than one page', async () => {
+        const playlist = fake.state.playlists[PLAYLIST_ID];
+        for (let i = 0; i < 150; i++) {
+          const id = `filler${String(i).padStart(18, '0')}`;
+          fake.state.tracks[id] = { ...fake.state.tracks.track0000000000000000002, id, name: `Filler ${i}`, external_ids: { isrc: `FILLER${i}` } };
+          playlist.items.push({ trackId: id, addedAt: '2024-04-01T00:00:00Z' });
+        }
+        playlist.items.push({ trackId: 'track0000000000000000004', addedAt: '2024-04-02T00:00:00Z' });
+
+        const { status, body } = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000004' }, ADMIN_API_KEY);
+        assert.equal(status, 409);
+        assert.equal(body.existing.position, 152);
+      });
+
+      it('POST /api/addTrack answers 403 when the playlist is not writable', async () => {
+        fake.state.playlists[PLAYLIST_ID].writable = false;
+        const { status } = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' }, ADMIN_API_KEY);
+        assert.equal(status, 403);
+      });
+
+      it('POST /api/addTrack validates the body', async () => {
+        assert.equal((await sendJson('/api/addTrack', 'POST', {}, ADMIN_API_KEY)).status, 400);
+      });
+
+      it('rejects mutations with an invalid API key', async () => {
+        const addTrack = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' }, 'not-a-key');
+        assert.equal(addTrack.status, 401);
+        assert.match(addTrack.headers.get('www-authenticate'), /^Bearer/);
+
+        const anonymous = await sendJson('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' });
+        assert.equal(anonymous.status, 401);
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 2);
+      });
+
+      it('rejects mutations when the API key lacks the scope', async () => {
+        const { status, body } = await sendJson('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' }, NEWSLETTER_API_KEY);
+        assert.equal(status, 403);
+        assert.match(body.message, /playlist:delete/);
+      });
+
+      it('DELETE /api/removeTrack removes the track', async () => {
+        const { status, body } = await sendJson('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.removed_track.spotify_id, 'track0000000000000000001');
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 1);
+      });
+    });
+
+    describe('batch playlist mutations', () => {
+      const items = () => fake.state.playlists[PLAYLIST_ID].items.map(item => item.trackId);
+
+      it('POST /api/addTracks reports a result per item', async () => {
+        const { status, body } = await sendJson('/api/addTracks', 'POST', {
+          tracks: [
+            'spotify:track:track0000000000000000002',
+            'https://open.spotify.com/track/track0000000000000000004?si=abc',
+            'track0000000000000000005',
+            'track0000000000000000002',
+            'doesnotexist',
+            'not a track'
+          ]
+        }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(result => result.status),
+          ['added', 'added', 'duplicate', 'duplicate', 'not_found', 'invalid']);
+        assert.equal(body.results[2].existing.matchedBy, 'isrc');
+        assert.deepEqual(body.summary, { added: 2, duplicate: 2, not_found: 1, invalid: 1 });
+        assert.equal(body.snapshot_id, body.results[1].snapshot_id);
+        assert.deepEqual(items().slice(2), ['track0000000000000000002', 'track0000000000000000004']);
+      });
+
+      it('POST /api/addTracks chunks large batches into 100-track requests', async () => {
+        const ids = [];
+        for (let i = 0; i < 120; i++) {
+          const id = `batch${String(i).padStart(19, '0')}`;
+          fake.state.tracks[id] = { ...fake.state.tracks.track0000000000000000002, id, name: `Batch ${i}`, external_ids: { isrc: `BATCH${i}` } };
+          ids.push(id);
+        }
+
+        const { body } = await sendJson('/api/addTracks', 'POST', { tracks: ids }, ADMIN_API_KEY);
+        assert.equal(body.summary.added, 120);
+        const posts = fake.state.requests.filter(request => request.method === 'POST' && request.path.endsWith('/tracks'));
+        assert.equal(posts.length, 2);
+        assert.equal(items().length, 122);
+      });
+
+      it('POST /api/addTracks looks up track details 50 at a time', async () => {
+        const ids = [];
+        for (let i = 0; i < 120; i++) {
+          const id = `lookup${String(i).padStart(18, '0')}`;
+          fake.state.tracks[id] = { ...fake.state.tracks.track0000000000000000002, id, name: `Lookup ${i}`, external_ids: { isrc: `LOOKUP${i}` } };
+          ids.push(id);
+        }
+
+        const { body } = await sendJson('/api/addTracks', 'POST', { tracks: [...ids, 'doesnotexist'] }, ADMIN_API_KEY);
+        assert.equal(body.summary.added, 120);
+        assert.equal(body.summary.not_found, 1);
+        const lookups = fake.state.requests.filter(request => request.method === 'GET' && request.path.startsWith('/v1/tracks'));
+        assert.equal(lookups.length, 3);
+        assert.ok(lookups.every(request => request.path === '/v1/tracks'));
+      });
+
+      it('POST /api/addTracks applies the playlist rules item by item', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ maxTracksPerArtist: 1, blockExplicit: true });
+        const { body } = await sendJson('/api/addTracks', 'POST', {
+          tracks: ['track0000000000000000002', 'track0000000000000000004']
+        }, ADMIN_API_KEY);
+        assert.deepEqual(body.results.map(result => result.status), ['rejected', 'rejected']);
+        assert.deepEqual(body.results[0].reasons.map(reason => reason.rule), ['blockExplicit', 'maxTracksPerArtist']);
+      });
+
+      it('DELETE /api/removeTracks removes listed tracks and reports the rest', async () => {
+        const { status, body } = await sendJson('/api/removeTracks', 'DELETE', {
+          tracks: ['spotify:track:track0000000000000000001', 'track0000000000000000002', 'track0000000000000000001']
+        }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(result => result.status), ['removed', 'not_in_playlist', 'duplicate']);
+        assert.ok(body.snapshot_id);
+        assert.deepEqual(items(), ['track0000000000000000003']);
+      });
+
+      it('PUT /api/reorderTracks moves a range of tracks', async () => {
+        fake.state.playlists[PLAYLIST_ID].items.push({ trackId: 'track0000000000000000004', addedAt: '2024-03-01T00:00:00Z' });
+        const { status, body } = await sendJson('/api/reorderTracks', 'PUT', { range_start: 2, insert_before: 0 }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.moved_tracks[0].spotify_id, 'track0000000000000000004');
+        assert.deepEqual(items(), ['track0000000000000000004', 'track0000000000000000001', 'track0000000000000000003']);
+
+        assert.equal((await sendJson('/api/reorderTracks', 'PUT', { range_start: 5, insert_before: 0 }, ADMIN_API_KEY)).status, 400);
+        assert.equal((await sendJson('/api/reorderTracks', 'PUT', { range_start: -1, insert_before: 0 }, ADMIN_API_KEY)).status, 400);
+      });
+
+      it('requires an API key with the right scope', async () => {
+        assert.equal((await sendJson('/api/addTracks', 'POST', { tracks: ['track0000000000000000002'] })).status, 401);
+        assert.equal((await sendJson('/api/removeTracks', 'DELETE', { tracks: ['track0000000000000000001'] }, NEWSLETTER_API_KEY)).status, 403);
+        assert.equal((await sendJson('/api/addTracks', 'POST', { tracks: [] }, ADMIN_API_KEY)).status, 400);
+      });
+    });
+
+    describe('managed playlists', () => {
+      const items = (playlistId) => fake.state.playlists[playlistId].items.map(item => item.trackId);
+      const register = (slug, body) => sendJson(`/api/admin/playlists/${slug}`, 'PUT', body, ADMIN_API_KEY);
+
+      it('registers playlists by slug and lists them', async () => {
+        assert.equal((await sendJson('/api/admin/playlists/road-trip', 'PUT', { playlist_id: SOUNDTRACK_PLAYLIST_ID })).status, 401);
+        assert.equal((await register('Road Trip', { playlist_id: SOUNDTRACK_PLAYLIST_ID })).status, 400);
+        assert.equal((await register('road-trip', { playlist_id: 'not a playlist' })).status, 400);
+
+        const { status, body } = await register('road-trip', {
+          playlist_id: `https://open.spotify.com/playlist/${SOUNDTRACK_PLAYLIST_ID}?si=abc`,
+          title: 'Road trip soundtrack'
+        });
+        assert.equal(status, 200);
+        assert.equal(body.playlist.playlistId, SOUNDTRACK_PLAYLIST_ID);
+
+        const list = await json('/api/managed-playlists');
+        assert.deepEqual(list.body.playlists.map(playlist => [playlist.slug, playlist.playlistId, playlist.isDefault]), [
+          ['default', PLAYLIST_ID, true],
+          ['road-trip', SOUNDTRACK_PLAYLIST_ID, false]
+        ]);
+      });
+
+      it('adds, lists and removes tracks on the playlist named by slug', async () => {
+        await register('road-trip', { playlist_id: SOUNDTRACK_PLAYLIST_ID });
+
+        const added = await sendJson('/api/addTrack', 'POST', {
+          track_id: 'track0000000000000000001',
+          playlist: 'road-trip',
+          name: 'Sam',
+          dedication: 'For the drive'
+        }, ADMIN_API_KEY);
+        assert.equal(added.status, 200);
+        assert.equal(added.body.playlist, 'road-trip');
+        assert.deepEqual(items(SOUNDTRACK_PLAYLIST_ID), ['track0000000000000000004', 'track0000000000000000001']);
+        assert.equal(items(PLAYLIST_ID).length, 2);
+
+        // Dedications belong to one playlist, even for a track that is in both
+        const tracks = await json('/api/playlist-tracks?playlist=road-trip');
+        assert.equal(tracks.body.playlist, 'road-trip');
+        assert.equal(tracks.body.tracks[1].dedication, 'For the drive');
+        assert.equal((await json('/api/playlist-tracks')).body.tracks[0].dedication, null);
+
+        const removed = await sendJson('/api/removeTrack?playlist=road-trip', 'DELETE', { track_id: 'track0000000000000000004' }, ADMIN_API_KEY);
+        assert.equal(removed.status, 200);
+        assert.deepEqual(items(SOUNDTRACK_PLAYLIST_ID), ['track0000000000000000001']);
+
+        assert.equal((await json('/api/playlist-tracks?playlist=missing')).status, 404);
+        assert.equal((await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002', playlist: 'missing' }, ADMIN_API_KEY)).status, 404);
+      });
+
+      it('applies each playlist\'s own rules and submission setting', async () => {
+        env.PLAYLISTS = JSON.stringify({
+          'road-trip': { id: SOUNDTRACK_PLAYLIST_ID, rules: { blockExplicit: true } },
+          'closed-post': { id: SOUNDTRACK_PLAYLIST_ID, open: false }
+        });
+
+        const rejected = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002', playlist: 'road-trip' }, ADMIN_API_KEY);
+        assert.equal(rejected.status, 422);
+        assert.equal((await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' }, ADMIN_API_KEY)).status, 200);
+
+        assert.equal((await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000003', playlist: 'closed-post' })).status, 403);
+
+        const submitted = await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000003', playlist: 'road-trip' });
+        assert.equal(submitted.status, 202);
+        assert.equal(submitted.body.submission.playlist, 'road-trip');
+        const approved = await sendJson(`/api/admin/submissions/${submitted.body.submission_id}/approve`, 'POST', {}, ADMIN_API_KEY);
+        assert.equal(approved.status, 200);
+        assert.deepEqual(items(SOUNDTRACK_PLAYLIST_ID), ['track0000000000000000004', 'track0000000000000000003']);
+
+        assert.equal((await sendJson('/api/admin/playlists/road-trip', 'DELETE', undefined, ADMIN_API_KEY)).status, 409);
+      });
+
+      it('deletes playlists registered through the API', async () => {
+        await register('road-trip', { playlist_id: SOUNDTRACK_PLAYLIST_ID });
+        assert.equal((await sendJson('/api/admin/playlists/road-trip', 'DELETE', undefined, ADMIN_API_KEY)).status, 200);
+        assert.equal((await sendJson('/api/admin/playlists/road-trip', 'DELETE', undefined, ADMIN_API_KEY)).status, 404);
+        assert.equal((await json('/api/playlist-tracks?playlist=road-trip')).status, 404);
+      });
+
+      it('falls back to the built-in playlist without PLAYLIST_ID and warns once', async (t) => {
+        const warned = t.mock.method(console, 'warn', () => {});
+        const playlistId = env.PLAYLIST_ID;
+        delete env.PLAYLIST_ID;
+        try {
+          const first = await json('/api/managed-playlists');
+          assert.equal(first.body.playlists.find(playlist => playlist.slug === 'default').playlistId, '5iw7Tk89Q0p9a5waGqJFLG');
+          await json('/api/managed-playlists');
+        } finally {
+          env.PLAYLIST_ID = playlistId;
+        }
+        const deprecations = warned.mock.calls.filter(call => /PLAYLIST_ID is not set/.test(call.arguments[0]));
+        assert.equal(deprecations.length, 1);
+      });
+    });
+
+    describe('playlist export and import', () => {
+      const items = () => fake.state.playlists[PLAYLIST_ID].items.map(item => item.trackId);
+      const importFile = (query, body, contentType = 'text/csv') => json(`/api/playlist-tracks/import${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType, 'Authorization': `Bearer ${ADMIN_API_KEY}` },
+        body
+      });
+
+      it('GET /api/playlist-tracks/export returns every track as JSON', async () => {
+        const { status, headers, body } = await json('/api/playlist-tracks/export');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /attachment; filename="playlist-.+\.json"/);
+        assert.equal(body.playlist.name, 'Blog Suggestions');
+        assert.equal(body.total, 2);
+        assert.deepEqual(body.tracks[0], {
+          title: 'Loopback Lullaby',
+          artist: 'The Fixtures',
+          album: body.tracks[0].album,
+          duration: 200000,
+          isrc: 'USTST2100001',
+          url: 'https://open.spotify.com/track/track0000000000000000001',
+          addedAt: '2024-01-10T12:00:00Z'
+        });
+      });
+
+      it('exports CSV, extended M3U and XSPF', async () => {
+        const csv = await send('/api/playlist-tracks/export?format=csv');
+        assert.match(csv.headers.get('content-type'), /text\/csv/);
+        const rows = (await csv.text()).trim().split('\r\n');
+        assert.equal(rows[0], 'title,artist,album,duration_ms,isrc,url,added_at');
+        assert.match(rows[2], /^Prelude in Mock Minor,Mock Orchestra,.*,412000,GBTST1900003,/);
+
+        const m3u = (await (await send('/api/playlist-tracks/export?format=m3u')).text()).split('\n');
+        assert.equal(m3u[0], '#EXTM3U');
+        assert.equal(m3u[2], '#EXTINF:200,The Fixtures - Loopback Lullaby');
+        assert.equal(m3u[3], 'https://open.spotify.com/track/track0000000000000000001');
+
+        const xspf = await (await send('/api/playlist-tracks/export?format=xspf')).text();
+        assert.match(xspf, /<playlist version="1" xmlns="http:\/\/xspf.org\/ns\/0\/">/);
+        assert.match(xspf, /<title>Prelude in Mock Minor<\/title>\s*<creator>Mock Orchestra<\/creator>/);
+        assert.match(xspf, /<duration>412000<\/duration>/);
+
+        assert.equal((await json('/api/playlist-tracks/export?format=pls')).status, 400);
+        assert.equal((await json('/api/playlist-tracks/export?id=missingplaylist00000001')).status, 404);
+      });
+
+      it('POST /api/playlist-tracks/import resolves CSV lines and adds the matches', async () => {
+        const { status, body } = await importFile('', [
+          'title,artist,isrc',
+          'Localhost Nights,The Fixtures,',
+          ',,GBTST1900004',
+          'Prelude in Mock Minor,Mock Orchestra,',
+          'Nonexistent Song,Nobody,'
+        ].join('\n'));
+        assert.equal(status, 200);
+        assert.equal(body.format, 'csv');
+        assert.deepEqual(body.results.map(result => [result.line, result.status, result.match]), [
+          [2, 'added', 'exact'],
+          [3, 'added', 'isrc'],
+          [4, 'duplicate', 'exact'],
+          [5, 'unresolved', null]
+        ]);
+        assert.deepEqual(body.summary, { added: 2, duplicate: 1, unresolved: 1 });
+        assert.deepEqual(items().slice(2), ['track0000000000000000002', 'track0000000000000000004']);
+      });
+
+      it('imports extended M3U and supports dry runs', async () => {
+        const { body } = await importFile('?dry_run=true', [
+          '#EXTM3U',
+          '#EXTINF:245,The Fixtures - Localhost Nights',
+          '/music/localhost-nights.mp3',
+          'https://open.spotify.com/track/track0000000000000000004'
+        ].join('\n'), 'audio/x-mpegurl');
+        assert.equal(body.format, 'm3u');
+        assert.deepEqual(body.results.map(result => [result.line, result.track_id, result.match]), [
+          [2, 'track0000000000000000002', 'exact'],
+          [4, 'track0000000000000000004', 'url']
+        ]);
+        assert.deepEqual(body.summary, { resolved: 2 });
+        assert.equal(items().length, 2);
+      });
+
+      it('works through large files a page at a time without looking tracks up again', async () => {
+        const lines = ['Localhost Nights,The Fixtures'];
+        for (let i = 0; i < 25; i++) {
+          lines.push(`Nonexistent Song ${i},Nobody`);
+        }
+        lines.push('GBTST1900004');
+        const file = lines.join('\n');
+
+        const first = await importFile('', file);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.total, 27);
+        assert.equal(first.body.next_offset, 25);
+        assert.equal(first.body.results.length, 25);
+        assert.deepEqual(first.body.summary, { added: 1, unresolved: 24 });
+        assert.ok(!fake.state.requests.some(request => request.path.startsWith('/v1/tracks')));
+
+        const second = await importFile(`?offset=${first.body.next_offset}`, file);
+        assert.deepEqual(second.body.results.map(result => [result.line, result.status]), [[26, 'unresolved'], [27, 'added']]);
+        assert.equal(second.body.next_offset, null);
+        assert.deepEqual(items().slice(2), ['track0000000000000000002', 'track0000000000000000004']);
+
+        assert.equal((await importFile('?offset=27', file)).status, 400);
+      });
+
+      it('requires playlist:write and a non-empty file', async () => {
+        assert.equal((await json('/api/playlist-tracks/import', { method: 'POST', body: 'Song,Artist' })).status, 401);
+        assert.equal((await importFile('', '\n\n')).status, 400);
+        assert.equal((await importFile('?format=xspf', 'Song,Artist')).status, 400);
+      });
+    });
+
+    describe('audit log', () => {
+      const admin = (path, method = 'GET', body) => sendJson(path, method, body, ADMIN_API_KEY);
+      const items = () => fake.state.playlists[PLAYLIST_ID].items.map(item => item.trackId);
+
+      it('records who changed what, newest first', async () => {
+        await admin('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' });
+        await admin('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' });
+
+        const { status, body } = await admin('/api/admin/audit');
+        assert.equal(status, 200);
+        assert.deepEqual(body.entries.map(entry => entry.action), ['remove', 'add']);
+
+        const [removed, added] = body.entries;
+        assert.equal(added.actor, 'test-admin');
+        assert.equal(added.via, 'addTrack');
+        assert.match(added.ipHash, /^[0-9a-f]{64}$/);
+        assert.ok(added.snapshotId);
+        assert.deepEqual(added.tracks[0], {
+          id: 'track0000000000000000002',
+          name: 'Localhost Nights',
+          artist: 'The Fixtures',
+          album: 'Offline Sessions',
+          isrc: 'USTST2100002',
+          uri: 'spotify:track:track0000000000000000002',
+          position: 2
+        });
+        assert.equal(removed.tracks[0].position, 0);
+        assert.equal(removed.undoneBy, null);
+
+        const filtered = await admin('/api/admin/audit?action=add&track=track0000000000000000002');
+        assert.equal(filtered.body.count, 1);
+        assert.equal((await admin('/api/admin/audit?action=rename')).status, 400);
+      });
+
+      it('records approvals and batch changes', async () => {
+        const submitted = await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000004' });
+        await admin(`/api/admin/submissions/${submitted.body.submission_id}/approve`, 'POST');
+        await admin('/api/removeTracks', 'DELETE', { tracks: ['track0000000000000000003', 'track0000000000000000004'] });
+
+        const { body } = await admin('/api/admin/audit');
+        assert.deepEqual(body.entries.map(entry => [entry.action, entry.via]), [
+          ['remove', 'removeTracks'],
+          ['add', `submission:${submitted.body.submission_id}`]
+        ]);
+        assert.equal(body.entries[0].tracks.length, 2);
+      });
+
+      it('undoes additions, removals and moves once', async () => {
+        await admin('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' });
+        await admin('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' });
+        await admin('/api/reorderTracks', 'PUT', { range_start: 1, insert_before: 0 });
+        assert.deepEqual(items(), ['track0000000000000000002', 'track0000000000000000003']);
+
+        const [move, remove, add] = (await admin('/api/admin/audit')).body.entries;
+
+        const undoMove = await admin(`/api/admin/audit/${move.id}/undo`, 'POST');
+        assert.equal(undoMove.status, 200);
+        assert.deepEqual(items(), ['track0000000000000000003', 'track0000000000000000002']);
+
+        await admin(`/api/admin/audit/${remove.id}/undo`, 'POST');
+        assert.deepEqual(items(), ['track0000000000000000001', 'track0000000000000000003', 'track0000000000000000002']);
+
+        const undoAdd = await admin(`/api/admin/audit/${add.id}/undo`, 'POST');
+        assert.equal(undoAdd.body.entry.action, 'undo');
+        assert.equal(undoAdd.body.entry.details.undoes, add.id);
+        assert.deepEqual(items(), ['track0000000000000000001', 'track0000000000000000003']);
+
+        const again = await admin(`/api/admin/audit/${add.id}/undo`, 'POST');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.undoneBy, undoAdd.body.entry.id);
+
+        const undoOfUndo = await admin(`/api/admin/audit/${undoAdd.body.entry.id}/undo`, 'POST');
+        assert.equal(undoOfUndo.status, 400);
+        assert.equal((await admin('/api/admin/audit/missing/undo', 'POST')).status, 404);
+      });
+
+      it('refuses to undo a move once the moved tracks have been moved again', async () => {
+        fake.state.playlists[PLAYLIST_ID].items.push({ trackId: 'track0000000000000000004', addedAt: '2024-03-01T00:00:00Z' });
+        await admin('/api/reorderTracks', 'PUT', { range_start: 2, insert_before: 0 });
+        const [move] = (await admin('/api/admin/audit')).body.entries;
+        // Same length, but track 1 now sits where the move put track 4
+        await admin('/api/reorderTracks', 'PUT', { range_start: 1, insert_before: 0 });
+        assert.deepEqual(items(), ['track0000000000000000001', 'track0000000000000000004', 'track0000000000000000003']);
+
+        const undo = await admin(`/api/admin/audit/${move.id}/undo`, 'POST');
+        assert.equal(undo.status, 409);
+        assert.deepEqual(items(), ['track0000000000000000001', 'track0000000000000000004', 'track0000000000000000003']);
+      });
+
+      it('marks an entry as undone even when the undo entry cannot be written', async (t) => {
+        await admin('/api/addTrack', 'POST', { track_id: 'track0000000000000000002' });
+        const [add] = (await admin('/api/admin/audit')).body.entries;
+
+        t.mock.method(console, 'error', () => {});
+        const put = env.AUDIT_STORE.put.bind(env.AUDIT_STORE);
+        env.AUDIT_STORE.put = (key, ...rest) => (key.startsWith('audit:') ? Promise.reject(new Error('KV unavailable')) : put(key, ...rest));
+
+        const undo = await admin(`/api/admin/audit/${add.id}/undo`, 'POST');
+        assert.equal(undo.status, 200);
+        assert.equal(undo.body.entry, null);
+        const again = await admin(`/api/admin/audit/${add.id}/undo`, 'POST');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.undoneBy, 'unrecorded');
+      });
+
+      it('requires the audit:read scope', async () => {
+        assert.equal((await sendJson('/api/admin/audit', 'GET', undefined, NEWSLETTER_API_KEY)).status, 403);
+        assert.equal((await sendJson('/api/admin/audit/x/undo', 'POST', undefined, NEWSLETTER_API_KEY)).status, 403);
+      });
+    });
+
+    describe('dedications', () => {
+      const playlistTrack = async (trackId) => {
+        const { body } = await json('/api/playlist-tracks');
+        return body.tracks.find(track => track.id === trackId);
+      };
+
+      it('stores the name and dedication sent with addTrack and merges them into playlist-tracks', async () => {
+        const { status, body } = await sendJson('/api/addTrack', 'POST', {
+          track_id: 'track0000000000000000002',
+          name: '  Ada  ',
+          dedication: 'For the shit late shift'
+        }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.deepEqual(body.dedication, { name: 'Ada', message: 'For the **** late shift' });
+
+        const track = await playlistTrack('track0000000000000000002');
+        assert.equal(track.suggestedBy, 'Ada');
+        assert.equal(track.dedication, 'For the **** late shift');
+        assert.equal((await playlistTrack('track0000000000000000001')).suggestedBy, null);
+      });
+
+      it('carries submission dedications over when they are approved', async () => {
+        const submitted = await sendJson('/api/addTrack', 'POST', {
+          track_id: 'track0000000000000000004',
+          name: 'Grace',
+          dedication: 'Happy birthday!'
+        });
+        assert.equal(submitted.body.submission.dedication, 'Happy birthday!');
+
+        await sendJson(`/api/admin/submissions/${submitted.body.submission_id}/approve`, 'POST', undefined, ADMIN_API_KEY);
+        const track = await playlistTrack('track0000000000000000004');
+        assert.equal(track.suggestedBy, 'Grace');
+        assert.equal(track.dedication, 'Happy birthday!');
+      });
+
+      it('validates dedications and drops them when the track is removed', async () => {
+        const tooLong = await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002', dedication: 'x'.repeat(141) }, ADMIN_API_KEY);
+        assert.equal(tooLong.status, 400);
+
+        await sendJson('/api/addTrack', 'POST', { track_id: 'track0000000000000000002', name: 'Ada' }, ADMIN_API_KEY);
+        const key = `dedication:${PLAYLIST_ID}:track0000000000000000002`;
+        assert.notEqual(await env.DEDICATIONS_STORE.get(key), null);
+        await sendJson('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000002' }, ADMIN_API_KEY);
+        assert.equal(await env.DEDICATIONS_STORE.get(key), null);
+      });
+
+      it('still serves and removes dedications stored before playlists were managed', async () => {
+        await env.DEDICATIONS_STORE.put('dedication:track0000000000000000001', JSON.stringify({
+          trackId: 'track0000000000000000001', name: 'Ada', message: 'From the old days', createdAt: '2024-03-01T00:00:00.000Z'
+        }));
+        assert.equal((await playlistTrack('track0000000000000000001')).dedication, 'From the old days');
+
+        // Only the playlist in PLAYLIST_ID owns them
+        env.PLAYLISTS = JSON.stringify({ 'road-trip': { id: SOUNDTRACK_PLAYLIST_ID } });
+        fake.state.playlists[SOUNDTRACK_PLAYLIST_ID].items.push({ trackId: 'track0000000000000000001', addedAt: '2024-04-02T09:00:00Z' });
+        const { body } = await json('/api/playlist-tracks?playlist=road-trip');
+        assert.equal(body.tracks.find(track => track.id === 'track0000000000000000001').dedication, null);
+
+        await sendJson('/api/removeTrack', 'DELETE', { track_id: 'track0000000000000000001' }, ADMIN_API_KEY);
+        assert.equal(await env.DEDICATIONS_STORE.get('dedication:track0000000000000000001'), null);
+      });
+    });
+
+    describe('votes', () => {
+      const vote = async (trackId, value, cookie, ip, query = '') => {
+        const response = await send(`/api/votes/${trackId}${query}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(cookie && { 'Cookie': cookie }),
+            ...(ip && { 'CF-Connecting-IP': ip, 'X-Forwarded-For': ip })
+          },
+          body: JSON.stringify({ vote: value })
+        });
+        const setCookie = response.headers.get('set-cookie');
+        return {
+          status: response.status,
+          body: await response.json(),
+          cookie: setCookie ? setCookie.split(';')[0] : cookie
+        };
+      };
+
+      it('counts one vote per visitor and lets them change it', async () => {
+        const first = await vote('track0000000000000000003', 'up');
+        assert.equal(first.status, 200);
+        assert.match(first.cookie, /^voter_id=[0-9a-f]{32}$/);
+        assert.equal(first.body.score, 1);
+
+        const again = await vote('track0000000000000000003', 'up', first.cookie);
+        assert.equal(again.body.up, 1);
+
+        const changed = await vote('track0000000000000000003', 'down', first.cookie);
+        assert.deepEqual([changed.body.up, changed.body.down, changed.body.score], [0, 1, -1]);
+
+        const other = await vote('track0000000000000000003', 'up', undefined, '203.0.113.7');
+        assert.equal(other.body.score, 0);
+
+        const { body } = await json(`/api/votes/track0000000000000000003`, { headers: { 'Cookie': first.cookie } });
+        assert.equal(body.vote, 'down');
+
+        const cleared = await vote('track0000000000000000003', 'none', first.cookie);
+        assert.equal(cleared.body.score, 1);
+      });
+
+      it('tells visitors apart by cookie, not by address', async () => {
+        // Readers behind one address (an office, a carrier) each have their own vote
+        const first = await vote('track0000000000000000003', 'up', undefined, '203.0.113.7');
+        const second = await vote('track0000000000000000003', 'up', undefined, '203.0.113.7');
+        assert.notEqual(first.cookie, second.cookie);
+        assert.deepEqual([second.body.up, second.body.score], [2, 2]);
+
+        // With the cookie, from another address: still the same vote
+        const moved = await vote('track0000000000000000003', 'down', first.cookie, '198.51.100.20');
+        assert.deepEqual([moved.body.up, moved.body.down], [1, 1]);
+
+        // The address only counts against the vote rate limit
+        env.RATE_LIMITS = JSON.stringify({ vote: { limit: 2, window: 3600 } });
+        try {
+          assert.equal((await vote('track0000000000000000003', 'up', undefined, '203.0.113.7')).status, 429);
+        } finally {
+          delete env.RATE_LIMITS;
+        }
+      });
+
+      it('keeps votes and scores per playlist', async () => {
+        env.PLAYLISTS = JSON.stringify({ 'road-trip': { id: SOUNDTRACK_PLAYLIST_ID } });
+        fake.state.playlists[SOUNDTRACK_PLAYLIST_ID].items.push({ trackId: 'track0000000000000000001', addedAt: '2024-04-02T09:00:00Z' });
+
+        const roadTrip = await vote('track0000000000000000001', 'up', undefined, undefined, '?playlist=road-trip');
+        assert.equal(roadTrip.body.score, 1);
+        const home = await vote('track0000000000000000001', 'down', roadTrip.cookie);
+        assert.equal(home.body.score, -1);
+
+        const scoreOf = async (query) => (await json(`/api/playlist-tracks${query}`)).body.tracks
+          .find(track => track.id === 'track0000000000000000001').votes.score;
+        assert.equal(await scoreOf(''), -1);
+        assert.equal(await scoreOf('?playlist=road-trip'), 1);
+        assert.equal((await json('/api/leaderboard?playlist=road-trip')).body.tracks[0].id, 'track0000000000000000001');
+        assert.equal((await vote('track0000000000000000003', 'up', undefined, undefined, '?playlist=road-trip')).status, 404);
+      });
+
+      it('carries over votes stored before playlists were managed', async () => {
+        const cookie = `voter_id=${'a'.repeat(32)}`;
+        const ip = '203.0.113.50';
+        const legacyHash = await sha256Hex(`${ip}|${'a'.repeat(32)}`);
+        await env.VOTES_STORE.put(`vote:track0000000000000000003:${legacyHash}`, '1', { metadata: { value: 1 } });
+        await env.VOTES_STORE.put('score:track0000000000000000003', JSON.stringify({
+          trackId: 'track0000000000000000003', up: 2, down: 0, score: 2, updatedAt: '2024-03-01T00:00:00.000Z'
+        }));
+
+        assert.equal((await json('/api/leaderboard')).body.tracks[0].score, 2);
+        const { body } = await json('/api/votes/track0000000000000000003', {
+          headers: { 'Cookie': cookie, 'X-Forwarded-For': ip, 'CF-Connecting-IP': ip }
+        });
+        assert.deepEqual([body.score, body.vote], [2, 'up']);
+
+        const changed = await vote('track0000000000000000003', 'down', cookie, ip);
+        assert.deepEqual([changed.body.up, changed.body.down], [1, 1]);
+        assert.equal(await env.VOTES_STORE.get(`vote:track0000000000000000003:${legacyHash}`), null);
+      });
+
+      it('only accepts valid votes on playlist tracks', async () => {
+        assert.equal((await vote('track0000000000000000002', 'up')).status, 404);
+        assert.equal((await vote('track0000000000000000003', 'sideways')).status, 400);
+      });
+
+      it('ranks playlist tracks on the leaderboard and in playlist-tracks', async () => {
+        await vote('track0000000000000000003', 'up');
+        await vote('track0000000000000000001', 'down');
+
+        const { status, body } = await json('/api/leaderboard');
+        assert.equal(status, 200);
+        assert.deepEqual(body.tracks.map(track => [track.rank, track.id, track.score]), [
+          [1, 'track0000000000000000003', 1],
+          [2, 'track0000000000000000001', -1]
+        ]);
+
+        const playlist = await json('/api/playlist-tracks');
+        assert.deepEqual(playlist.body.tracks[1].votes, { up: 1, down: 0, score: 1 });
+      });
+
+      it('reorders the Spotify playlist by score on demand and on schedule', async () => {
+        const playlist = fake.state.playlists[PLAYLIST_ID];
+        playlist.items.push({ trackId: 'track0000000000000000004', addedAt: '2024-03-01T00:00:00Z' });
+        await vote('track0000000000000000004', 'up');
+        await vote('track0000000000000000001', 'down');
+
+        assert.equal((await sendJson('/api/admin/playlist/reorder-by-votes', 'POST')).status, 401);
+        const { status, body } = await sendJson('/api/admin/playlist/reorder-by-votes', 'POST', undefined, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.moves, 2);
+        const order = ['track0000000000000000004', 'track0000000000000000003', 'track0000000000000000001'];
+        assert.deepEqual(playlist.items.map(item => item.trackId), order);
+
+        playlist.items.reverse();
+        env.REORDER_BY_VOTES = 'true';
+        try {
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+        } finally {
+          delete env.REORDER_BY_VOTES;
+        }
+        assert.deepEqual(playlist.items.map(item => item.trackId), order);
+      });
+    });
+
+    describe('playlist rules', () => {
+      const addTrack = (trackId) => sendJson('/api/addTrack', 'POST', { track_id: trackId }, ADMIN_API_KEY);
+
+      it('rejects tracks that break track rules with structured reasons', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ blockExplicit: true, maxDuration: 240000, requiredMarkets: ['US', 'JP'] });
+        const { status, body } = await addTrack('track0000000000000000002');
+        assert.equal(status, 422);
+        assert.deepEqual(body.reasons.map(reason => reason.rule), ['blockExplicit', 'maxDuration', 'requiredMarkets']);
+        assert.deepEqual(body.reasons[2].missingMarkets, ['JP']);
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 2);
+      });
+
+      it('blocks listed artists and tracks and caps tracks per artist', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ blockedTracks: ['track0000000000000000002'] });
+        assert.equal((await addTrack('track0000000000000000002')).body.reasons[0].rule, 'blockedTracks');
+
+        env.PLAYLIST_RULES = JSON.stringify({ blockedArtists: ['artist1'] });
+        assert.deepEqual((await addTrack('track0000000000000000004')).body.reasons[0].artistIds, ['artist1']);
+
+        env.PLAYLIST_RULES = JSON.stringify({ maxTracksPerArtist: 1 });
+        const capped = await addTrack('track0000000000000000002');
+        assert.equal(capped.status, 422);
+        assert.equal(capped.body.reasons[0].rule, 'maxTracksPerArtist');
+        assert.equal(capped.body.reasons[0].artistId, 'artist1');
+      });
+
+      it('rejects tracks when the playlist is full', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ maxLength: 2 });
+        const { status, body } = await addTrack('track0000000000000000002');
+        assert.equal(status, 422);
+        assert.equal(body.reasons[0].rule, 'maxLength');
+      });
+
+      it('removes the oldest tracks to stay under the maximum length', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ maxLength: 2, removeOldest: true });
+        const { status, body } = await addTrack('track0000000000000000002');
+        assert.equal(status, 200);
+        assert.deepEqual(body.removed_tracks.map(track => track.spotify_id), ['track0000000000000000001']);
+        assert.deepEqual(
+          fake.state.playlists[PLAYLIST_ID].items.map(item => item.trackId),
+          ['track0000000000000000003', 'track0000000000000000002']
+        );
+      });
+
+      it('turns away submissions that break track rules', async () => {
+        env.PLAYLIST_RULES = JSON.stringify({ blockExplicit: true });
+        const { status, body } = await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000002' });
+        assert.equal(status, 422);
+        assert.equal(body.reasons[0].rule, 'blockExplicit');
+      });
+    });
+
+    describe('submissions', () => {
+      const admin = (path, method = 'POST', body) => sendJson(path, method, body, ADMIN_API_KEY);
+
+      const submit = async (trackId, extra = {}) => {
+        const { status, body } = await sendJson('/api/addTrack', 'POST', { track_id: trackId, ...extra });
+        assert.equal(status, 202);
+        return body;
+      };
+
+      it('queues anonymous suggestions instead of adding them', async () => {
+        const body = await submit('track0000000000000000002', { name: 'Ada', note: 'For the late shift' });
+        assert.equal(body.status, 'pending');
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 2);
+
+        const { status, body: polled } = await json(new URL(body.status_url).pathname);
+        assert.equal(status, 200);
+        assert.equal(polled.status, 'pending');
+        assert.equal(polled.track.name, 'Localhost Nights');
+        assert.equal(polled.submittedBy, 'Ada');
+        assert.equal(polled.note, undefined);
+      });
+
+      it('returns the existing submission for a track already pending', async () => {
+        const first = await submit('track0000000000000000002');
+        const { status, body } = await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000002' });
+        assert.equal(status, 200);
+        assert.equal(body.submission_id, first.submission_id);
+      });
+
+      it('validates submissions', async () => {
+        assert.equal((await sendJson('/api/submissions', 'POST', { track_id: 'doesnotexist' })).status, 404);
+        assert.equal((await sendJson('/api/submissions', 'POST', { track_id: 'track0000000000000000002', name: 'x'.repeat(51) })).status, 400);
+        assert.equal((await json('/api/submissions/missing')).status, 404);
+      });
+
+      it('lets admins list, approve and reject submissions', async () => {
+        const approved = await submit('track0000000000000000002');
+        const rejected = await submit('track0000000000000000004');
+
+        assert.equal((await json('/api/admin/submissions')).status, 401);
+        const listing = await admin('/api/admin/submissions', 'GET');
+        assert.deepEqual(listing.body.submissions.map(item => item.id), [approved.submission_id, rejected.submission_id]);
+
+        const approval = await admin(`/api/admin/submissions/${approved.submission_id}/approve`);
+        assert.equal(approval.status, 200);
+        assert.equal(approval.body.submission.status, 'approved');
+        assert.ok(approval.body.submission.snapshotId);
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 3);
+
+        const rejection = await admin(`/api/admin/submissions/${rejected.submission_id}/reject`, 'POST', { reason: 'Off topic' });
+        assert.equal(rejection.body.submission.status, 'rejected');
+        assert.equal((await json(`/api/submissions/${rejected.submission_id}`)).body.reason, 'Off topic');
+
+        assert.equal((await admin(`/api/admin/submissions/${approved.submission_id}/approve`)).status, 409);
+        assert.equal((await admin('/api/admin/submissions', 'GET')).body.count, 0);
+      });
+
+      it('bulk-processes submissions with per-item results', async () => {
+        const first = await submit('track0000000000000000002');
+        const second = await submit('track0000000000000000004');
+
+        const { status, body } = await admin('/api/admin/submissions/bulk', 'POST', {
+          action: 'approve',
+          ids: [first.submission_id, second.submission_id, 'missing']
+        });
+        assert.equal(status, 200);
+        assert.equal(body.processed, 2);
+        assert.equal(body.failed, 1);
+        assert.equal(fake.state.playlists[PLAYLIST_ID].items.length, 4);
+      });
+    });
+
+    describe('newsletter', () => {
+      const subscribe = (email) => sendJson('/api/newsletter/subscribe', 'POST', { email });
+      // Path and query of the link in a mail
+      const confirmPath = (mail) => {
+        const url = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+        return url.pathname + url.search;
+      };
+
+      it('POST /api/newsletter/subscribe stores a pending address and mails a confirmation link', async () => {
+        const { status, body } = await subscribe(' Reader@Example.com ');
+        assert.equal(status, 200);
+        assert.equal(body.email, 'reader@example.com');
+        const stored = await env.NEWSLETTER_STORE.get('reader@example.com', 'json');
+        assert.equal(stored.status, 'pending');
+
+        const [mail] = env.MAIL_TRANSPORT.sent;
+        assert.equal(mail.to, 'reader@example.com');
+        assert.match(confirmPath(mail), /^\/api\/newsletter\/confirm\?token=/);
+      });
+
+      it('GET /api/newsletter/confirm confirms the address from the mailed link', async () => {
+        await subscribe('reader@example.com');
+        const response = await send(confirmPath(env.MAIL_TRANSPORT.sent[0]));
+        assert.equal(response.status, 200);
+        assert.match(await response.text(), /Subscription confirmed/);
+
+        const stored = await env.NEWSLETTER_STORE.get('reader@example.com', 'json');
+        assert.equal(stored.status, 'confirmed');
+        assert.ok(stored.confirmedAt);
+
+        // Confirmed addresses are not mailed again, and the response does not tell
+        const again = await subscribe('reader@example.com');
+        assert.equal(again.status, 200);
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 1);
+      });
+
+      it('does not resend the confirmation mail within the cooldown', async () => {
+        await subscribe('reader@example.com');
+        await subscribe('reader@example.com');
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 1);
+
+        const stored = await env.NEWSLETTER_STORE.get('reader@example.com', 'json');
+        stored.confirmationSentAt = new Date(Date.now() - 16 * 60000).toISOString();
+        await env.NEWSLETTER_STORE.put('reader@example.com', JSON.stringify(stored));
+        await subscribe('reader@example.com');
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 2);
+      });
+
+      it('unsubscribes in one click from a signed link and keeps the record', async () => {
+        await subscribe('reader@example.com');
+        const confirm = confirmPath(env.MAIL_TRANSPORT.sent[0]);
+        await send(confirm);
+
+        const links = await newsletterLinks(env, 'reader@example.com', 'http://blog.example');
+        assert.equal(links.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+        assert.equal(links.headers['List-Unsubscribe'], `<${links.unsubscribeUrl}>`);
+        const url = new URL(links.unsubscribeUrl);
+        const path = url.pathname + url.search;
+
+        // Opening the link only asks; the RFC 8058 POST unsubscribes
+        const page = await send(path);
+        assert.match(await page.text(), /<form method="POST"/);
+        assert.equal((await env.NEWSLETTER_STORE.get('reader@example.com', 'json')).status, 'confirmed');
+
+        const response = await send(path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: 'List-Unsubscribe=One-Click'
+        });
+        assert.equal(response.status, 200);
+        const stored = await env.NEWSLETTER_STORE.get('reader@example.com', 'json');
+        assert.equal(stored.status, 'unsubscribed');
+        assert.ok(stored.unsubscribedAt);
+        assert.deepEqual(stored.history.map(change => [change.status, change.via]), [
+          ['pending', 'subscribe'],
+          ['confirmed', 'confirm'],
+          ['unsubscribed', 'unsubscribe']
+        ]);
+
+        // The old confirmation link does not sign the address back up
+        assert.equal((await send(confirm)).status, 410);
+        assert.equal((await send(`/api/newsletter/unsubscribe?token=nope`, { method: 'POST' })).status, 400);
+      });
+
+      it('logs subscribers by a keyed hash instead of their address', async (t) => {
+        const logged = t.mock.method(console, 'log', () => {});
+        await subscribe('reader@example.com');
+        await send(confirmPath(env.MAIL_TRANSPORT.sent[0]));
+        const url = new URL((await newsletterLinks(env, 'reader@example.com', 'http://blog.example')).unsubscribeUrl);
+        await send(url.pathname + url.search, { method: 'POST' });
+
+        const lines = logged.mock.calls.map(call => call.arguments.join(' '));
+        const events = lines.filter(line => line.startsWith('Newsletter'));
+        assert.equal(events.length, 3);
+        const ids = events.map(line => line.match(/subscriber ([0-9a-f]{12})$/)[1]);
+        assert.equal(new Set(ids).size, 1);
+        assert.ok(!lines.some(line => line.includes('reader@example.com')));
+      });
+
+      it('GET and PUT /api/newsletter/preferences manage topics, frequency and status', async () => {
+        await subscribe('reader@example.com');
+        await send(confirmPath(env.MAIL_TRANSPORT.sent[0]));
+        const url = new URL((await newsletterLinks(env, 'reader@example.com', 'http://blog.example')).preferencesUrl);
+        const path = url.pathname + url.search;
+
+        const { body } = await json(path);
+        assert.deepEqual(body.preferences, { topics: ['posts', 'music-roundups'], frequency: 'weekly' });
+
+        assert.equal((await sendJson(path, 'PUT', { topics: ['gossip'] })).status, 400);
+        assert.equal((await sendJson(path, 'PUT', { frequency: 'hourly' })).status, 400);
+
+        const updated = await sendJson(path, 'PUT', { topics: ['music-roundups'], frequency: 'monthly' });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(updated.body.preferences, { topics: ['music-roundups'], frequency: 'monthly' });
+
+        assert.equal((await sendJson(path, 'PUT', { subscribed: false })).body.status, 'unsubscribed');
+        const back = await sendJson(path, 'PUT', { subscribed: true });
+        assert.equal(back.body.status, 'confirmed');
+        assert.deepEqual(back.body.preferences.topics, ['music-roundups']);
+
+        // Confirmation tokens are not preference tokens
+        const confirmToken = new URL(env.MAIL_TRANSPORT.sent[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+        assert.equal((await json(`/api/newsletter/preferences?token=${encodeURIComponent(confirmToken)}`)).status, 400);
+      });
+
+      it('rejects tampered, expired and foreign tokens', async () => {
+        await subscribe('reader@example.com');
+        // Someone else's address under the mailed signature
+        const token = new URL(confirmPath(env.MAIL_TRANSPORT.sent[0]), 'http://x').searchParams.get('token');
+        const payload = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+        const forged = Buffer.from(JSON.stringify({ ...payload, email: 'victim@example.com' })).toString('base64url');
+        assert.equal((await send(`/api/newsletter/confirm?token=${forged}.${token.split('.')[1]}`)).status, 400);
+
+        const expired = await signToken(NEWSLETTER_SECRET, 'newsletter-confirm', { email: 'reader@example.com' }, -1);
+        assert.equal((await send(`/api/newsletter/confirm?token=${expired}`)).status, 410);
+
+        const foreign = await signToken('another-secret', 'newsletter-confirm', { email: 'reader@example.com' }, 3600);
+        assert.equal((await send(`/api/newsletter/confirm?token=${foreign}`)).status, 400);
+        assert.equal((await send('/api/newsletter/confirm')).status, 400);
+        assert.equal((await env.NEWSLETTER_STORE.get('reader@example.com', 'json')).status, 'pending');
+      });
+
+      it('POST /api/newsletter/subscribe rejects invalid addresses', async () => {
+        assert.equal((await sendJson('/api/newsletter/subscribe', 'POST', { email: 'nope' })).status, 400);
+        assert.equal((await subscribe('a..b@example.com')).status, 400);
+        assert.equal((await subscribe('reader@example.com/path')).status, 400);
+        assert.equal((await subscribe('reader@127.0.0.1')).status, 400);
+
+        const typo = await subscribe('reader@gmailcom');
+        assert.equal(typo.status, 400);
+        assert.equal(typo.body.suggestion, 'reader@gmail.com');
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 0);
+      });
+
+      it('stores internationalized domains in punycode and suggests fixes for typos', async () => {
+        const { body } = await subscribe('Reader@Bücher.example');
+        assert.equal(body.email, 'reader@xn--bcher-kva.example');
+        assert.ok(await env.NEWSLETTER_STORE.get('reader@xn--bcher-kva.example', 'json'));
+        assert.equal(body.suggestion, undefined);
+
+        const typo = await subscribe('reader@gmial.com');
+        assert.equal(typo.status, 200);
+        assert.equal(typo.body.suggestion, 'reader@gmail.com');
+        assert.equal((await subscribe('reader@example.con')).body.suggestion, 'reader@example.com');
+      });
+
+      it('refuses disposable domains, and role addresses when configured', async () => {
+        const disposable = await subscribe('reader@mailinator.com');
+        assert.equal(disposable.status, 400);
+        assert.equal(disposable.body.reason, 'disposable');
+        assert.equal((await subscribe('reader@inbox.mailinator.com')).status, 400);
+
+        env.BLOCKED_EMAIL_DOMAINS = 'throwaway.example';
+        assert.equal((await subscribe('reader@throwaway.example')).body.reason, 'disposable');
+
+        assert.equal((await subscribe('info@example.com')).status, 200);
+        env.NEWSLETTER_REJECT_ROLE_ADDRESSES = 'true';
+        const role = await subscribe('support+blog@example.com');
+        assert.equal(role.status, 400);
+        assert.equal(role.body.reason, 'role');
+      });
+
+      it('treats provider aliases of a subscriber as that subscriber when normalizing', async () => {
+        await subscribe('First.Last@gmail.com');
+        await send(confirmPath(env.MAIL_TRANSPORT.sent[0]));
+
+        // Without normalization an alias is a separate address
+        assert.equal((await subscribe('firstlast+blog@googlemail.com')).status, 200);
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 2);
+        await env.NEWSLETTER_STORE.delete('firstlast+blog@googlemail.com');
+
+        env.NEWSLETTER_NORMALIZE_ADDRESSES = 'true';
+        // The first request records the alias of the confirmed address
+        await subscribe('first.last@gmail.com');
+        const { status, body } = await subscribe('firstlast+blog@googlemail.com');
+        assert.equal(status, 200);
+        assert.equal(body.email, 'firstlast+blog@googlemail.com');
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 2);
+        assert.equal(await env.NEWSLETTER_STORE.get('firstlast+blog@googlemail.com'), null);
+
+        // Pending aliases get their confirmation mail at the address that subscribed
+        env.RATE_LIMIT_STORE = createMemoryKV();
+        await subscribe('other.reader@gmail.com');
+        env.MAIL_TRANSPORT.sent.length = 0;
+        const stored = await env.NEWSLETTER_STORE.get('other.reader@gmail.com', 'json');
+        stored.confirmationSentAt = new Date(Date.now() - 16 * 60000).toISOString();
+        await env.NEWSLETTER_STORE.put('other.reader@gmail.com', JSON.stringify(stored));
+        await subscribe('otherreader+x@gmail.com');
+        assert.equal(env.MAIL_TRANSPORT.sent[0].to, 'other.reader@gmail.com');
+        assert.equal(await env.NEWSLETTER_STORE.get('otherreader+x@gmail.com'), null);
+      });
+    });
+
+    describe('newsletter admin', () => {
+      const admin = (path) => sendJson(path, 'GET', undefined, NEWSLETTER_API_KEY);
+
+      beforeEach(async () => {
+        const subscriber = (email, status, subscribedAt) => writeSubscriber(env, {
+          email, status, subscribedAt, updatedAt: subscribedAt, history: [{ status, at: subscribedAt, via: 'subscribe' }]
+        });
+        await subscriber('alice@example.com', 'confirmed', '2024-01-05T10:00:00.000Z');
+        await subscriber('bob@example.org', 'pending', '2024-02-10T10:00:00.000Z');
+        await subscriber('carol@example.com', 'unsubscribed', '2024-03-15T10:00:00.000Z');
+        // Written before double opt-in: no metadata, status "active"
+        await env.NEWSLETTER_STORE.put('dave@example.com', JSON.stringify({
+          email: 'dave@example.com', status: 'active', subscribedAt: '2023-12-01T00:00:00.000Z', updatedAt: '2023-12-01T00:00:00.000Z'
+        }));
+      });
+
+      it('GET /api/admin/newsletter/subscribers filters by status, date, prefix and domain', async () => {
+        const emails = async (query) => (await admin(`/api/admin/newsletter/subscribers${query}`)).body.subscribers.map(s => s.email);
+
+        assert.deepEqual(await emails(''), ['alice@example.com', 'bob@example.org', 'carol@example.com', 'dave@example.com']);
+        assert.deepEqual(await emails('?status=confirmed'), ['alice@example.com', 'dave@example.com']);
+        assert.deepEqual(await emails('?domain=example.org'), ['bob@example.org']);
+        assert.deepEqual(await emails('?prefix=CA'), ['carol@example.com']);
+        assert.deepEqual(await emails('?since=2024-01-01&until=2024-02-28'), ['alice@example.com', 'bob@example.org']);
+
+        assert.equal((await admin('/api/admin/newsletter/subscribers?status=bogus')).status, 400);
+      });
+
+      it('pages with cursors', async () => {
+        const first = await admin('/api/admin/newsletter/subscribers?limit=3');
+        assert.equal(first.body.count, 3);
+        assert.ok(first.body.cursor);
+        const second = await admin(`/api/admin/newsletter/subscribers?limit=3&cursor=${encodeURIComponent(first.body.cursor)}`);
+        assert.deepEqual(second.body.subscribers.map(s => s.email), ['dave@example.com']);
+        assert.equal(second.body.cursor, null);
+      });
+
+      it('streams CSV and JSON exports', async () => {
+        const csv = await send('/api/admin/newsletter/subscribers/export?status=confirmed', {
+          headers: { 'Authorization': `Bearer ${NEWSLETTER_API_KEY}` }
+        });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-disposition'), /attachment; filename="subscribers-.+\.csv"/);
+        const rows = (await csv.text()).trim().split('\r\n');
+        assert.equal(rows[0], 'email,status,subscribed_at,confirmed_at,unsubscribed_at,updated_at,topics,frequency');
+        assert.deepEqual(rows.slice(1).map(row => row.split(',').slice(0, 2).join(',')), [
+          'alice@example.com,confirmed',
+          'dave@example.com,confirmed'
+        ]);
+
+        const exported = await send('/api/admin/newsletter/subscribers/export?format=json&domain=example.com', {
+          headers: { 'Authorization': `Bearer ${NEWSLETTER_API_KEY}` }
+        });
+        const records = await exported.json();
+        assert.deepEqual(records.map(record => record.email), ['alice@example.com', 'carol@example.com', 'dave@example.com']);
+        assert.deepEqual(records[0].preferences, { topics: ['posts', 'music-roundups'], frequency: 'weekly' });
+      });
+
+      it('requires the newsletter:read scope', async () => {
+        assert.equal((await json('/api/admin/newsletter/subscribers')).status, 401);
+        assert.equal((await json('/api/admin/newsletter/subscribers/export')).status, 401);
+      });
+    });
+
+    describe('newsletter digests', () => {
+      const window = { since: '2024-03-25T00:00:00.000Z', until: '2024-04-05T00:00:00.000Z' };
+      const feed = `<?xml version="1.0"?>
+        <rss version="2.0"><channel>
+          <item>
+            <title>Road trip &amp; playlists</title>
+            <link>https://blog.example/road-trip</link>
+            <pubDate>Mon, 01 Apr 2024 08:00:00 GMT</pubDate>
+            <description><![CDATA[<p>Where we went.</p>]]></description>
+          </item>
+          <item>
+            <title>Older post</title>
+            <link>https://blog.example/older</link>
+            <pubDate>Fri, 01 Dec 2023 08:00:00 GMT</pubDate>
+          </item>
+        </channel></rss>`;
+
+      beforeEach(async () => {
+        env.BLOG_FEED_URL = `data:application/rss+xml,${encodeURIComponent(feed)}`;
+        env.PLAYLISTS = JSON.stringify({ 'road-trip': { id: SOUNDTRACK_PLAYLIST_ID, title: 'Road trip soundtrack' } });
+        fake.state.playlists[PLAYLIST_ID].items.push({ trackId: 'track0000000000000000002', addedAt: '2024-04-02T00:00:00Z' });
+
+        const subscriber = (email, status, preferences) => writeSubscriber(env, {
+          email, status, subscribedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z', preferences
+        });
+        await subscriber('alice@example.com', 'confirmed');
+        await subscriber('bob@example.com', 'confirmed', { topics: ['posts'], frequency: 'weekly' });
+        await subscriber('carol@example.com', 'confirmed', { topics: ['posts', 'music-roundups'], frequency: 'monthly' });
+        await subscriber('dave@example.com', 'pending');
+      });
+
+      it('previews posts, top tracks and playlist additions for the window', async () => {
+        const query = `since=${window.since}&until=${window.until}`;
+        const { status, body } = await sendJson(`/api/admin/newsletter/digest/preview?format=json&${query}`, 'GET', undefined, NEWSLETTER_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.digest.id, 'weekly-2024-W14');
+        assert.deepEqual(body.digest.posts, [{
+          title: 'Road trip & playlists',
+          url: 'https://blog.example/road-trip',
+          publishedAt: '2024-04-01T08:00:00.000Z',
+          summary: 'Where we went.'
+        }]);
+        assert.deepEqual(body.digest.topTracks.map(track => track.name), ['Loopback Lullaby', 'Fugue for Fixtures', 'Localhost Nights']);
+        assert.deepEqual(body.digest.additions.map(playlist => [playlist.title, playlist.tracks.map(track => track.name)]), [
+          ['Blog Suggestions', ['Localhost Nights']],
+          ['Road trip soundtrack', ['Fugue for Fixtures']]
+        ]);
+
+        const html = await send(`/api/admin/newsletter/digest/preview?${query}`, {
+          headers: { 'Authorization': `Bearer ${NEWSLETTER_API_KEY}` }
+        });
+        assert.match(html.headers.get('content-type'), /text\/html/);
+        assert.match(await html.text(), /Road trip &amp; playlists/);
+      });
+
+      it('sends each weekly subscriber the topics they chose, with their own unsubscribe link', async () => {
+        const { status, body } = await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.digest.status, 'sent');
+        assert.deepEqual(body.digest.counts, { sent: 2, failed: 0, skipped: 0 });
+
+        const sent = env.MAIL_TRANSPORT.sent;
+        assert.deepEqual(sent.map(mail => mail.to).sort(), ['alice@example.com', 'bob@example.com']);
+        const alice = sent.find(mail => mail.to === 'alice@example.com');
+        const bob = sent.find(mail => mail.to === 'bob@example.com');
+        assert.match(alice.text, /Road trip & playlists[\s\S]*ON REPEAT[\s\S]*NEW IN ROAD TRIP SOUNDTRACK/);
+        assert.doesNotMatch(bob.text, /ON REPEAT/);
+        assert.notEqual(alice.headers['List-Unsubscribe'], bob.headers['List-Unsubscribe']);
+
+        const unsubscribe = new URL(alice.headers['List-Unsubscribe'].slice(1, -1));
+        assert.equal((await send(`${unsubscribe.pathname}${unsubscribe.search}`, { method: 'POST' })).status, 200);
+
+        assert.equal((await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY)).status, 409);
+
+        const list = await sendJson('/api/admin/newsletter/digests', 'GET', undefined, NEWSLETTER_API_KEY);
+        assert.deepEqual(list.body.digests.map(digest => [digest.id, digest.status]), [['weekly-2024-W14', 'sent']]);
+        const log = await sendJson('/api/admin/newsletter/digests/weekly-2024-W14', 'GET', undefined, NEWSLETTER_API_KEY);
+        assert.deepEqual(log.body.digest.deliveries.map(delivery => delivery.status), ['sent', 'sent']);
+      });
+
+      it('retries only the recipients that failed', async () => {
+        const delivered = [];
+        env.MAIL_TRANSPORT = {
+          async send(message) {
+            if (message.to === 'bob@example.com') {
+              throw new Error('Mailbox unavailable');
+            }
+            delivered.push(message.to);
+          }
+        };
+
+        const first = await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY);
+        assert.equal(first.body.digest.status, 'partial');
+        assert.deepEqual(first.body.digest.failures.map(failure => [failure.email, failure.error]), [
+          ['bob@example.com', 'Mailbox unavailable']
+        ]);
+
+        env.MAIL_TRANSPORT = createMemoryTransport();
+        const retry = await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY);
+        assert.equal(retry.body.digest.status, 'sent');
+        assert.deepEqual(retry.body.digest.counts, { sent: 2, failed: 0, skipped: 0 });
+        assert.deepEqual(delivered, ['alice@example.com']);
+        assert.deepEqual(env.MAIL_TRANSPORT.sent.map(mail => mail.to), ['bob@example.com']);
+      });
+
+      it('supports dry runs with posts given in the request', async () => {
+        const { status, body } = await sendJson('/api/admin/newsletter/digest/send', 'POST', {
+          ...window,
+          dry_run: true,
+          subject: 'Spring roundup',
+          posts: [{ title: 'Hand-picked', url: 'https://blog.example/picked' }]
+        }, ADMIN_API_KEY);
+        assert.equal(status, 200);
+        assert.equal(body.digest.subject, 'Spring roundup');
+        assert.deepEqual(body.digest.recipients, ['alice@example.com', 'bob@example.com']);
+        assert.equal(env.MAIL_TRANSPORT.sent.length, 0);
+        assert.equal((await env.NEWSLETTER_STORE.list({ prefix: 'digest:' })).keys.length, 0);
+
+        const invalid = await sendJson('/api/admin/newsletter/digest/send', 'POST', { posts: [{ title: 'x', url: 'javascript:alert(1)' }] }, ADMIN_API_KEY);
+        assert.equal(invalid.status, 400);
+        assert.equal((await sendJson('/api/admin/newsletter/digest/send', 'POST', { frequency: 'hourly' }, ADMIN_API_KEY)).status, 400);
+      });
+
+      it('sends each frequency once per period on schedule', async () => {
+        env.NEWSLETTER_DIGEST = 'true';
+        env.PUBLIC_URL = 'https://blog.example';
+        try {
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+        } finally {
+          delete env.NEWSLETTER_DIGEST;
+          delete env.PUBLIC_URL;
+        }
+
+        // The old posts and additions are out of the window, so only music subscribers get the top tracks
+        const sent = env.MAIL_TRANSPORT.sent;
+        assert.deepEqual(sent.map(mail => mail.to).sort(), ['alice@example.com', 'carol@example.com']);
+        assert.ok(sent.every(mail => mail.headers['List-Unsubscribe'].startsWith('<https://blog.example/')));
+
+        const { keys } = await env.NEWSLETTER_STORE.list({ prefix: 'digest:' });
+        // Nobody gets immediate mails, which is logged as empty so the period is not retried
+        assert.deepEqual(keys.map(key => [key.metadata.frequency, key.metadata.status]).sort(), [
+          ['immediate', 'empty'],
+          ['monthly', 'sent'],
+          ['weekly', 'sent']
+        ]);
+      });
+
+      it('stops at NEWSLETTER_MAX_PER_RUN mails and resumes on the next run', async () => {
+        env.NEWSLETTER_MAX_PER_RUN = '1';
+        env.NEWSLETTER_DIGEST = 'true';
+        env.PUBLIC_URL = 'https://blog.example';
+        try {
+          const first = await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY);
+          assert.equal(first.body.digest.status, 'partial');
+          assert.equal(first.body.digest.remaining, 1);
+          assert.deepEqual(first.body.digest.counts, { sent: 1, failed: 0, skipped: 0 });
+
+          const second = await sendJson('/api/admin/newsletter/digest/send', 'POST', window, ADMIN_API_KEY);
+          assert.equal(second.body.digest.status, 'sent');
+          assert.equal(second.body.digest.remaining, 0);
+          assert.deepEqual(env.MAIL_TRANSPORT.sent.map(mail => mail.to).sort(), ['alice@example.com', 'bob@example.com']);
+
+          // The scheduled job shares one limit between the frequencies
+          env.MAIL_TRANSPORT = createMemoryTransport();
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+          assert.equal(env.MAIL_TRANSPORT.sent.length, 1);
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+          await handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+          assert.deepEqual(env.MAIL_TRANSPORT.sent.map(mail => mail.to).sort(), ['alice@example.com', 'carol@example.com']);
+        } finally {
+          delete env.NEWSLETTER_MAX_PER_RUN;
+          delete env.NEWSLETTER_DIGEST;
+          delete env.PUBLIC_URL;
+        }
+      });
+
+      it('requires the newsletter:send scope to send', async () => {
+        assert.equal((await sendJson('/api/admin/newsletter/digest/send', 'POST', window)).status, 401);
+        assert.equal((await sendJson('/api/admin/newsletter/digest/send', 'POST', window, NEWSLETTER_API_KEY)).status, 403);
+        assert.equal((await json('/api/admin/newsletter/digest/preview')).status, 401);
+      });
+    });
+
+    describe('newsletter privacy requests', () => {
+      let submissionId;
+
+      const linkPath = (mail) => {
+        const url = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+        return `${url.pathname}${url.search}`;
+      };
+
+      const requestLink = async (action, extra = {}) => {
+        const { status } = await sendJson('/api/newsletter/privacy', 'POST', { email: 'Alice@Example.com', action, ...extra });
+        assert.equal(status, 200);
+        return linkPath(env.MAIL_TRANSPORT.sent.at(-1));
+      };
+
+      beforeEach(async () => {
+        await writeSubscriber(env, {
+          email: 'alice@example.com', status: 'confirmed', subscribedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z'
+        });
+        await env.NEWSLETTER_STORE.put('digest:weekly-2024-W14', JSON.stringify({
+          id: 'weekly-2024-W14', frequency: 'weekly', subject: 'Weekly digest', status: 'sent', startedAt: '2024-04-05T00:00:00.000Z',
+          deliveries: [
+            { email: 'alice@example.com', status: 'sent', at: '2024-04-05T00:00:01.000Z' },
+            { email: 'bob@example.com', status: 'sent', at: '2024-04-05T00:00:01.000Z' }
+          ]
+        }));
+
+        const submitted = await sendJson('/api/addTrack', 'POST', {
+          track_id: 'track0000000000000000004', name: 'Alice', dedication: 'For the road', note: 'Found it on the radio'
+        });
+        submissionId = submitted.body.submission_id;
+        await sendJson(`/api/admin/submissions/${submissionId}/approve`, 'POST', undefined, ADMIN_API_KEY);
+      });
+
+      it('only mails addresses it holds data about, with the same answer either way', async () => {
+        const unknown = await sendJson('/api/newsletter/privacy', 'POST', { email: 'nobody@example.com', action: 'export' });
+        const known = await sendJson('/api/newsletter/privacy', 'POST', { email: 'alice@example.com', action: 'export' });
+        assert.deepEqual(unknown.body, known.body);
+        assert.deepEqual(env.MAIL_TRANSPORT.sent.map(mail => mail.to), ['alice@example.com']);
+
+        assert.equal((await sendJson('/api/newsletter/privacy', 'POST', { email: 'alice@example.com', action: 'delete' })).status, 400);
+        assert.equal((await sendJson('/api/newsletter/privacy', 'POST', { email: 'alice@example.com', action: 'export', submissions: 'x' })).status, 400);
+      });
+
+      it('exports the record, digest deliveries, listed submissions and their audit entries once', async () => {
+        const path = await requestLink('export', { submissions: [submissionId, 'unknown-0000'] });
+
+        const page = await send(path);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /Download my data/);
+
+        const response = await send(path, { method: 'POST' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /attachment; filename="my-data-.+\.json"/);
+        const data = await response.json();
+        assert.equal(data.email, 'alice@example.com');
+        assert.equal(data.subscriber.status, 'confirmed');
+        assert.deepEqual(data.digestDeliveries, [
+          { digest: 'weekly-2024-W14', subject: 'Weekly digest', status: 'sent', at: '2024-04-05T00:00:01.000Z' }
+        ]);
+        assert.deepEqual(data.submissions.map(submission => [submission.id, submission.submitter.note]), [[submissionId, 'Found it on the radio']]);
+        assert.equal(data.submissions[0].storedDedication.message, 'For the road');
+        assert.deepEqual(data.auditEntries.map(entry => entry.via), [`submission:${submissionId}`]);
+
+        assert.equal((await send(path, { method: 'POST' })).status, 410);
+      });
+
+      it('erases everything it covers and leaves only a tombstone that stops replays', async () => {
+        const oldLinks = await newsletterLinks(env, 'alice@example.com', 'http://blog.example');
+        const path = await requestLink('erase', { submissions: [submissionId] });
+
+        const page = await send(path);
+        assert.match(await page.text(), /Erase my data/);
+        assert.ok(await env.NEWSLETTER_STORE.get('alice@example.com'));
+
+        const erased = await send(path, { method: 'POST' });
+        assert.equal(erased.status, 200);
+        assert.match(await erased.text(), /Data erased/);
+
+        assert.equal(await env.NEWSLETTER_STORE.get('alice@example.com'), null);
+        const log = await env.NEWSLETTER_STORE.get('digest:weekly-2024-W14', 'json');
+        assert.deepEqual(log.deliveries.map(delivery => delivery.email), ['bob@example.com']);
+        assert.equal((await json(`/api/submissions/${submissionId}`)).status, 404);
+        const tracks = (await json('/api/playlist-tracks')).body.tracks;
+        assert.equal(tracks.find(track => track.id === 'track0000000000000000004').dedication, null);
+        const audit = await sendJson('/api/admin/audit', 'GET', undefined, ADMIN_API_KEY);
+        assert.deepEqual(audit.body.entries.map(entry => entry.via), ['submission:erased']);
+
+        // The tombstone holds no address
+        const { keys } = await env.NEWSLETTER_STORE.list({ prefix: 'tombstone:' });
+        assert.equal(keys.length, 1);
+        assert.doesNotMatch(await env.NEWSLETTER_STORE.get(keys[0].name), /alice/);
+
+        // Links and requests from before the erasure no longer work
+        const preferences = new URL(oldLinks.preferencesUrl);
+        assert.equal((await json(`${preferences.pathname}${preferences.search}`)).status, 400);
+        assert.equal((await sendJson(`${preferences.pathname}${preferences.search}`, 'PUT', { subscribed: true })).status, 400);
+        assert.equal((await send(path, { method: 'POST' })).status, 400);
+
+        // Subscribing again, replayed or not, stores nothing until a fresh link is confirmed
+        const sentBefore = env.MAIL_TRANSPORT.sent.length;
+        const replayed = await sendJson('/api/newsletter/subscribe', 'POST', { email: 'alice@example.com', subscribedAt: '2024-01-01T00:00:00.000Z' });
+        assert.equal(replayed.status, 200);
+        assert.equal(env.MAIL_TRANSPORT.sent.length, sentBefore + 1);
+        assert.equal(await env.NEWSLETTER_STORE.get('alice@example.com'), null);
+        await sendJson('/api/newsletter/subscribe', 'POST', { email: 'alice@example.com' });
+        assert.equal(env.MAIL_TRANSPORT.sent.length, sentBefore + 1);
+        assert.equal(await env.NEWSLETTER_STORE.get('alice@example.com'), null);
+        assert.doesNotMatch(await env.NEWSLETTER_STORE.get(keys[0].name), /alice/);
+
+        // Using the fresh link is new consent
+        assert.equal((await send(linkPath(env.MAIL_TRANSPORT.sent.at(-1)))).status, 200);
+        assert.equal((await env.NEWSLETTER_STORE.get('alice@example.com', 'json')).status, 'confirmed');
+      });
+    });
+
+    describe('listening history', () => {
+      const archive = () => handleScheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env);
+      const playedAt = (body) => body.plays.map(play => play.playedAt);
+
+      beforeEach(() => {
+        env.ARCHIVE_HISTORY = 'true';
+      });
+
+      it('archives recently played tracks from the scheduled job without duplicates', async () => {
+        await archive();
+        const day = await env.HISTORY_STORE.getWithMetadata('day:2024-03-01', 'json');
+        assert.deepEqual(day.value.map(play => play.playedAt), [
+          '2024-03-01T20:40:00.000Z',
+          '2024-03-01T21:10:30.000Z',
+          '2024-03-01T21:15:00.000Z'
+        ]);
+        assert.equal(day.value[1].name, 'Loopback Lullaby');
+        assert.equal(day.metadata.plays, 3);
+        assert.equal(day.metadata.duration, day.value.reduce((sum, play) => sum + play.duration, 0));
+
+        // The next poll only asks for plays after the newest archived one
+        fake.state.recentlyPlayed.unshift({ trackId: 'track0000000000000000003', playedAt: '2024-03-02T08:00:00.000Z' });
+        await archive();
+        const polls = fake.state.requests.filter(request => request.path.endsWith('/me/player/recently-played'));
+        assert.match(polls.at(-1).query, new RegExp(`after=${Date.parse('2024-03-01T21:15:00.000Z')}`));
+        assert.equal((await env.HISTORY_STORE.get('day:2024-03-02', 'json')).length, 1);
+
+        // Overlapping polls store each play once
+        await env.HISTORY_STORE.delete('state');
+        await archive();
+        assert.equal((await env.HISTORY_STORE.get('day:2024-03-01', 'json')).length, 3);
+        assert.equal((await env.HISTORY_STORE.get('state', 'json')).lastAdded, 0);
+      });
+
+      it('archives even when an earlier scheduled job fails', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        // Digests cannot be sent without PUBLIC_URL, and that job runs before the archive
+        env.NEWSLETTER_DIGEST = 'true';
+        try {
+          await archive();
+        } finally {
+          delete env.NEWSLETTER_DIGEST;
+        }
+
+        assert.match(logged.mock.calls[0].arguments[0], /scheduled newsletter digests/);
+        assert.equal((await env.HISTORY_STORE.get('day:2024-03-01', 'json')).length, 3);
+      });
+
+      it('GET /api/history pages through archived plays newest first', async () => {
+        fake.state.recentlyPlayed.unshift(
+          { trackId: 'track0000000000000000003', playedAt: '2024-03-03T09:00:00.000Z' },
+          { trackId: 'track0000000000000000001', playedAt: '2024-03-02T23:59:00.000Z' }
+        );
+        await archive();
+
+        const first = await json('/api/history?limit=2');
+        assert.equal(first.status, 200);
+        assert.deepEqual(playedAt(first.body), ['2024-03-03T09:00:00.000Z', '2024-03-02T23:59:00.000Z']);
+        assert.equal(first.body.plays[0].artist, 'Mock Orchestra');
+        assert.ok(first.body.cursor);
+
+        const second = await json(`/api/history?limit=2&cursor=${encodeURIComponent(first.body.cursor)}`);
+        assert.deepEqual(playedAt(second.body), ['2024-03-01T21:15:00.000Z', '2024-03-01T21:10:30.000Z']);
+        const third = await json(`/api/history?limit=2&cursor=${encodeURIComponent(second.body.cursor)}`);
+        assert.deepEqual(playedAt(third.body), ['2024-03-01T20:40:00.000Z']);
+        assert.equal(third.body.cursor, null);
+      });
+
+      it('GET /api/history filters by date range', async () => {
+        fake.state.recentlyPlayed.unshift(
+          { trackId: 'track0000000000000000003', playedAt: '2024-03-03T09:00:00.000Z' },
+          { trackId: 'track0000000000000000001', playedAt: '2024-03-02T23:59:00.000Z' }
+        );
+        await archive();
+
+        // A bare date as until includes the whole day
+        const day = await json('/api/history?since=2024-03-02&until=2024-03-02');
+        assert.deepEqual(playedAt(day.body), ['2024-03-02T23:59:00.000Z']);
+        const evening = await json('/api/history?since=2024-03-01T21:00:00Z&until=2024-03-01T21:12:00Z');
+        assert.deepEqual(playedAt(evening.body), ['2024-03-01T21:10:30.000Z']);
+        assert.equal((await json('/api/history?since=2025-01-01')).body.count, 0);
+
+        assert.equal((await json('/api/history?since=yesterday')).status, 400);
+        assert.equal((await json('/api/history?since=2024-03-02&until=2024-03-01')).status, 400);
+        assert.equal((await json('/api/history?cursor=nope')).status, 400);
+      });
+
+      describe('statistics', () => {
+        beforeEach(async () => {
+          fake.state.recentlyPlayed.unshift(
+            { trackId: 'track0000000000000000003', playedAt: '2024-03-05T23:30:00.000Z' },
+            { trackId: 'track0000000000000000001', playedAt: '2024-03-03T09:00:00.000Z' },
+            { trackId: 'track0000000000000000003', playedAt: '2024-03-02T08:00:00.000Z' }
+          );
+          await archive();
+        });
+
+        const march = 'since=2024-03-01&until=2024-03-31';
+
+        it('GET /api/stats counts plays and minutes per day, week and month', async () => {
+          const { status, body } = await json(`/api/stats?${march}`);
+          assert.equal(status, 200);
+          assert.equal(body.timeZone, 'UTC');
+          assert.deepEqual(body.totals, {
+            plays: 6,
+            minutes: 30,
+            tracks: 4,
+            artists: 2,
+            albums: 2,
+            days: 4,
+            firstPlayedAt: '2024-03-01T20:40:00.000Z',
+            lastPlayedAt: '2024-03-05T23:30:00.000Z'
+          });
+          assert.deepEqual(body.perDay, [
+            { date: '2024-03-01', plays: 3, minutes: 12.9 },
+            { date: '2024-03-02', plays: 1, minutes: 6.9 },
+            { date: '2024-03-03', plays: 1, minutes: 3.3 },
+            { date: '2024-03-05', plays: 1, minutes: 6.9 }
+          ]);
+          assert.deepEqual(body.perWeek.map(week => [week.week, week.plays]), [['2024-W09', 5], ['2024-W10', 1]]);
+          assert.deepEqual(body.perMonth.map(month => [month.month, month.plays]), [['2024-03', 6]]);
+        });
+
+        it('GET /api/stats builds heatmaps, top lists and streaks', async () => {
+          const { body } = await json('/api/stats?until=2024-03-05');
+          const hours = Object.fromEntries(body.heatmaps.hourOfDay.map((plays, hour) => [hour, plays]).filter(([, plays]) => plays > 0));
+          assert.deepEqual(hours, { 8: 1, 9: 1, 20: 1, 21: 2, 23: 1 });
+          // Monday first: Friday 1 March, Saturday, Sunday, Tuesday 5 March
+          assert.deepEqual(body.heatmaps.weekday, [0, 1, 0, 0, 3, 1, 1]);
+          assert.equal(body.heatmaps.weekdayHour[4][21], 2);
+
+          assert.deepEqual(body.top.artists.map(artist => [artist.name, artist.plays]), [['The Fixtures', 4], ['Mock Orchestra', 3]]);
+          // Equal plays rank by listening time
+          assert.deepEqual(body.top.tracks.slice(0, 2).map(track => [track.id, track.plays]), [
+            ['track0000000000000000003', 2],
+            ['track0000000000000000001', 2]
+          ]);
+          assert.equal(body.top.albums[0].name, 'Stub Suites');
+          assert.equal((await json(`/api/stats?${march}&limit=1`)).body.top.tracks.length, 1);
+
+          assert.deepEqual(body.streaks, {
+            longest: { days: 3, from: '2024-03-01', to: '2024-03-03' },
+            current: { days: 1, from: '2024-03-05', to: '2024-03-05' }
+          });
+        });
+
+        it('GET /api/stats buckets by local day in the requested time zone', async () => {
+          // 23:30 UTC on 5 March is half past midnight on 6 March in Berlin
+          const berlin = await json('/api/stats?since=2024-03-06&until=2024-03-06&tz=Europe/Berlin');
+          assert.equal(berlin.body.totals.plays, 1);
+          assert.deepEqual(berlin.body.perDay.map(day => day.date), ['2024-03-06']);
+          assert.equal(berlin.body.heatmaps.hourOfDay[0], 1);
+          assert.equal((await json('/api/stats?since=2024-03-05&until=2024-03-05&tz=Europe/Berlin')).body.totals.plays, 0);
+          assert.equal((await json('/api/stats?since=2024-03-05&until=2024-03-05')).body.totals.plays, 1);
+
+          assert.equal((await json('/api/stats?tz=Mars/Olympus')).status, 400);
+          assert.equal((await json('/api/stats?until=soon')).status, 400);
+        });
+
+        it('GET /api/stats counts artists heard for the first time in the range', async () => {
+          const all = await json(`/api/stats?${march}`);
+          assert.equal(all.body.discoveries.newArtists, 2);
+          assert.deepEqual(all.body.discoveries.perMonth, [{ month: '2024-03', newArtists: 2 }]);
+          assert.equal((await json('/api/stats?since=2024-03-02&until=2024-03-31')).body.discoveries.newArtists, 0);
+
+          // An archive without the artist index gets one on the next run
+          await env.HISTORY_STORE.delete('artists');
+          await archive();
+          const index = await env.HISTORY_STORE.get('artists', 'json');
+          assert.deepEqual(index.artist1, { name: 'The Fixtures', firstPlayedAt: '2024-03-01T20:40:00.000Z' });
+        });
+
+        it('GET /api/stats covers the last 30 days by default and at most 366', async () => {
+          const { status, body } = await json('/api/stats');
+          assert.equal(status, 200);
+          const today = new Date().toISOString().slice(0, 10);
+          assert.equal(body.until, today);
+          assert.equal(Date.parse(body.until) - Date.parse(body.since), 29 * 24 * 3600 * 1000);
+          assert.equal(body.totals.plays, 0);
+
+          assert.equal((await json('/api/stats?until=2024-03-05')).body.since, '2024-02-05');
+          assert.equal((await json('/api/stats?since=2024-01-01&until=2024-12-31')).status, 200);
+          assert.equal((await json('/api/stats?since=2024-01-01&until=2025-01-01')).status, 400);
+          assert.equal((await json('/api/stats?since=2024-03-02')).status, 400);
+        });
+
+        it('GET /api/stats answers repeated queries from its cache until the next archive run', async () => {
+          const first = await json(`/api/stats?${march}`);
+          assert.equal((await env.HISTORY_STORE.list({ prefix: 'stats:' })).keys.length, 1);
+
+          // Stored plays are not read again for the same query
+          await env.HISTORY_STORE.delete('day:2024-03-01');
+          assert.deepEqual((await json(`/api/stats?${march}`)).body, first.body);
+
+          fake.state.recentlyPlayed.unshift({ trackId: 'track0000000000000000002', playedAt: '2024-03-06T10:00:00.000Z' });
+          await archive();
+          assert.equal((await json(`/api/stats?${march}`)).body.totals.plays, 4);
+        });
+
+        it('GET /api/stats caches whole-day ranges once per canonical query and is rate limited', async () => {
+          const stored = async () => (await env.HISTORY_STORE.list({ prefix: 'stats:' })).keys.length;
+          const berlin = await json('/api/stats?since=2024-03-01&until=2024-03-31&tz=europe/berlin');
+          assert.equal(berlin.body.timeZone, 'Europe/Berlin');
+          await json('/api/stats?since=2024-03-01&until=2024-03-31&tz=Europe/Berlin');
+          // 2024-02-30 is read as 2024-03-01
+          await json('/api/stats?since=2024-02-30&until=2024-03-31&tz=Europe/Berlin');
+          assert.equal(await stored(), 1);
+
+          await json('/api/stats?since=2024-03-01T00:00:00Z&until=2024-03-31T12:00:00Z');
+          assert.equal(await stored(), 1);
+
+          const { status, headers } = await json('/api/stats');
+          assert.equal(status, 200);
+          assert.equal(headers.get('x-ratelimit-limit'), '30');
+          assert.equal(headers.get('x-ratelimit-remaining'), '25');
+        });
+      });
+    });
+
+    describe('rate limiting', () => {
+      it('reports the remaining budget on limited routes', async () => {
+        const { status, headers } = await json('/api/search?q=mock');
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-ratelimit-limit'), '30');
+        assert.equal(headers.get('x-ratelimit-remaining'), '29');
+        assert.ok(Number(headers.get('x-ratelimit-reset')) > Date.now() / 1000);
+      });
+
+      it('answers 429 with Retry-After once the limit is reached', async () => {
+        env.RATE_LIMITS = JSON.stringify({ newsletterSubscribe: { limit: 2, window: 3600 } });
+        try {
+          for (const email of ['one@example.com', 'two@example.com']) {
+            assert.equal((await sendJson('/api/newsletter/subscribe', 'POST', { email })).status, 200);
+          }
+          const { status, headers } = await sendJson('/api/newsletter/subscribe', 'POST', { email: 'three@example.com' });
+          assert.equal(status, 429);
+          assert.equal(headers.get('x-ratelimit-remaining'), '0');
+          assert.ok(Number(headers.get('retry-after')) > 0);
+          assert.equal(await env.NEWSLETTER_STORE.get('three@example.com'), null);
+        } finally {
+          delete env.RATE_LIMITS;
+        }
+      });
+    });
+
+    describe('routing', () => {
+      it('answers 404 for unknown paths', async () => {
+        assert.equal((await json('/api/unknown')).status, 404);
+      });
+
+      it('answers 405 with an Allow header for unsupported methods', async () => {
+        const { status, headers } = await json('/api/addTrack');
+        assert.equal(status, 405);
+        assert.equal(headers.get('allow'), 'POST, OPTIONS');
+      });
+
+      it('serves HEAD from GET routes without a body', async () => {
+        const response = await send('/api/status', { method: 'HEAD' });
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), '');
+      });
+
+      it('answers CORS preflight requests', async () => {
+        const response = await send('/api/addTrack', { method: 'OPTIONS' });
+        assert.equal(response.status, 204);
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+      });
+    });
+  });
+}
@@ -0,0 +1,215 @@
+// Track lookups shared by handlers that need full track metadata
+
+import { getClientCredentialsToken, spotifyApiUrl } from './spotify.js';
+
+// Cache for track details (longer TTL)
+const trackCache = new Map();
+const TRACK_CACHE_TTL = 86400000; // 24 hours
+
+// Spotify's Get Several Tracks endpoint takes at most 50 IDs per call
+const TRACKS_PER_LOOKUP = 50;
+
+// Simple in-memory cache for search results
+const searchCache = new Map();
+const SEARCH_CACHE_TTL = 120000; // 120 seconds
+
+// Track ID from a bare ID, a spotify:track: URI or an open.spotify.com track URL, or null
+export function parseTrackRef(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const ref = value.trim();
+  const match = ref.match(/^spotify:track:([A-Za-z0-9]+)$/) ||
+    ref.match(/^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]+)(?:[?#].*)?$/i) ||
+    ref.match(/^([A-Za-z0-9]+)$/);
+  return match ? match[1] : null;
+}
+
+// Map a Spotify track object to the metadata format returned by /api/getTrack
+export function mapTrackDetails(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artist: track.artists.map(artist => artist.name).join(', '),
+    artistIds: track.artists.map(artist => artist.id),
+    album: track.album.name,
+    albumId: track.album.id,
+    albumArt: track.album.images[0]?.url || null,
+    duration: track.duration_ms,
+    url: track.external_urls.spotify,
+    uri: track.uri,
+    previewUrl: track.preview_url,
+    isrc: track.external_ids?.isrc || null,
+    releaseDate: track.album.release_date,
+    popularity: track.popularity,
+    explicit: track.explicit,
+    availableMarkets: track.available_markets?.length || 0,
+    markets: track.available_markets || []
+  };
+}
+
+// Fetch track metadata, or null if Spotify does not know the track
+export async function fetchTrackDetails(env, trackId, { force = false } = {}) {
+  // Create cache key
+  const cacheKey = `track:${trackId}`;
+
+  // Check cache (unless force refresh)
+  if (!force) {
+    const cached = trackCache.get(cacheKey);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.data;
+    }
+  }
+
+  // Get client credentials token
+  const token = await getClientCredentialsToken(env);
+
+  // Call Spotify Get Track endpoint
+  const spotifyResponse = await fetch(spotifyApiUrl(env, `/tracks/${encodeURIComponent(trackId)}`), {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!spotifyResponse.ok) {
+    if (spotifyResponse.status === 404 || spotifyResponse.status === 400) {
+      return null;
+    }
+    throw new Error(`Spotify API error: ${spotifyResponse.status}`);
+  }
+
+  const trackData = mapTrackDetails(await spotifyResponse.json());
+
+  // Cache the result with 24h TTL
+  trackCache.set(cacheKey, {
+    data: trackData,
+    expiresAt: Date.now() + TRACK_CACHE_TTL
+  });
+
+  // Clean old cache entries (simple cleanup)
+  if (trackCache.size > 200) {
+    const now = Date.now();
+    for (const [key, value] of trackCache.entries()) {
+      if (now >= value.expiresAt) {
+        trackCache.delete(key);
+      }
+    }
+  }
+
+  return trackData;
+}
+
+// Fetch metadata for many tracks through /tracks?ids=, 50 per call, so a batch costs a
+// handful of subrequests instead of one per track. Resolves to a Map of track ID to
+// metadata, or to null for tracks Spotify does not know.
+export async function fetchTracksDetails(env, trackIds) {
+  const details = new Map();
+  const missing = [];
+
+  for (const trackId of new Set(trackIds)) {
+    const cached = trackCache.get(`track:${trackId}`);
+    if (cached && Date.now() < cached.expiresAt) {
+      details.set(trackId, cached.data);
+    } else {
+      missing.push(trackId);
+    }
+  }
+
+  if (missing.length === 0) {
+    return details;
+  }
+
+  const token = await getClientCredentialsToken(env);
+
+  for (let i = 0; i < missing.length; i += TRACKS_PER_LOOKUP) {
+    const ids = missing.slice(i, i + TRACKS_PER_LOOKUP);
+    const spotifyResponse = await fetch(spotifyApiUrl(env, `/tracks?ids=${ids.join(',')}`), {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    // A malformed ID fails the whole call; look that chunk up one by one instead
+    if (spotifyResponse.status === 400) {
+      for (const trackId of ids) {
+        details.set(trackId, await fetchTrackDetails(env, trackId));
+      }
+      continue;
+    }
+    if (!spotifyResponse.ok) {
+      throw new Error(`Spotify API error: ${spotifyResponse.status}`);
+    }
+
+    const data = await spotifyResponse.json();
+    ids.forEach((trackId, index) => {
+      const track = data.tracks[index];
+      const trackData = track ? mapTrackDetails(track) : null;
+      details.set(trackId, trackData);
+      if (trackData) {
+        trackCache.set(`track:${trackId}`, {
+          data: trackData,
+          expiresAt: Date.now() + TRACK_CACHE_TTL
+        });
+      }
+    });
+  }
+
+  return details;
+}
+
+// Search tracks (Spotify query syntax, e.g. 'isrc:USUM71703861' or 'track:"x" artist:"y"')
+// Resolves to mapped track details
+export async function searchTracks(env, query, { limit = 6, market = null } = {}) {
+  // Create cache key
+  const cacheKey = `search:${query.toLowerCase()}:${limit}:${market || 'none'}`;
+
+  // Check cache
+  const cached = searchCache.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.data;
+  }
+
+  // Get client credentials token
+  const token = await getClientCredentialsToken(env);
+
+  // Build Spotify API URL
+  const params = new URLSearchParams({
+    q: query,
+    type: 'track',
+    limit: limit.toString()
+  });
+  if (market) {
+    params.append('market', market);
+  }
+
+  const spotifyResponse = await fetch(spotifyApiUrl(env, `/search?${params.toString()}`), {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!spotifyResponse.ok) {
+    throw new Error(`Spotify API error: ${spotifyResponse.status}`);
+  }
+
+  const data = await spotifyResponse.json();
+  const tracks = data.tracks.items.map(mapTrackDetails);
+
+  // Cache the result
+  searchCache.set(cacheKey, {
+    data: tracks,
+    expiresAt: Date.now() + SEARCH_CACHE_TTL
+  });
+
+  // Clean old cache entries (simple cleanup)
+  if (searchCache.size > 100) {
+    const now = Date.now();
+    for (const [key, value] of searchCache.entries()) {
+      if (now >= value.expiresAt) {
+        searchCache.delete(key);
+      }
+    }
+  }
+
+  return tracks;
+}
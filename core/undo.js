@@ -0,0 +1,149 @@
+// Undo for audit log entries: reverses one recorded playlist mutation
+// - add    -> remove the added tracks that are still in the playlist
+// - remove -> put the removed tracks back at their old positions
+// - move   -> apply the inverse moves in reverse order
+// The undo is itself recorded as an "undo" entry, and audit-undone:<id> marks the
+// original so it cannot be undone twice (even when recording the undo entry failed).
+// Moves are only undone while the moved tracks are still where the move put them.
+
+import { jsonResponse } from './http.js';
+import { getValidAccessToken } from './spotify.js';
+import {
+  fetchPlaylistEntries,
+  removeTracksFromPlaylist,
+  insertTracks,
+  moveTracks
+} from './playlist.js';
+import { getAuditStore, readAuditEntry, recordAudit, auditActor } from './audit.js';
+
+const SPOTIFY_CHUNK_SIZE = 100;
+
+// Move that puts a moved range back where it came from
+function inverseMove({ rangeStart, insertBefore, rangeLength }) {
+  const movedTo = insertBefore > rangeStart ? insertBefore - rangeLength : insertBefore;
+  return {
+    rangeStart: movedTo,
+    insertBefore: rangeStart > movedTo ? rangeStart + rangeLength : rangeStart,
+    rangeLength
+  };
+}
+
+// Whether each range of a move entry still holds the tracks it moved, checked by replaying
+// the inverse moves on the current order. A move of n tracks owns the next n entry tracks.
+function movedTracksInPlace(entry, current) {
+  const forward = entry.details?.moves || [];
+  const uris = current.map(item => item.uri);
+  let offset = entry.tracks.length;
+
+  for (const move of [...forward].reverse()) {
+    offset -= move.rangeLength;
+    const { rangeStart, insertBefore, rangeLength } = inverseMove(move);
+    const expected = entry.tracks.slice(offset, offset + rangeLength).map(track => track.uri);
+    const found = uris.slice(rangeStart, rangeStart + rangeLength);
+    if (offset < 0 || expected.some((uri, index) => uri !== found[index])) {
+      return false;
+    }
+    const block = uris.splice(rangeStart, rangeLength);
+    uris.splice(insertBefore > rangeStart ? insertBefore - rangeLength : insertBefore, 0, ...block);
+  }
+  return true;
+}
+
+async function undoAdd(env, token, entry, current) {
+  const present = new Set(current.map(item => item.id));
+  const reverted = entry.tracks.filter(track => present.has(track.id));
+  const skipped = entry.tracks.filter(track => !present.has(track.id));
+
+  let snapshotId = null;
+  for (let i = 0; i < reverted.length; i += SPOTIFY_CHUNK_SIZE) {
+    const uris = reverted.slice(i, i + SPOTIFY_CHUNK_SIZE).map(track => track.uri);
+    snapshotId = await removeTracksFromPlaylist(env, token, entry.playlistId, uris, { snapshotId });
+  }
+  return { reverted, skipped, snapshotId };
+}
+
+async function undoRemove(env, token, entry, current) {
+  const present = new Set(current.map(item => item.id));
+  const reverted = entry.tracks
+    .filter(track => !present.has(track.id))
+    .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+  const skipped = entry.tracks.filter(track => present.has(track.id));
+
+  // Lowest positions first, so later positions are counted with the earlier tracks back in place
+  let length = current.length;
+  let snapshotId = null;
+  for (const track of reverted) {
+    const position = track.position === null ? length : Math.min(track.position, length);
+    snapshotId = await insertTracks(env, token, entry.playlistId, [track.uri], { position });
+    length += 1;
+  }
+  return { reverted, skipped, snapshotId };
+}
+
+async function undoMove(env, token, entry, current) {
+  const moves = (entry.details?.moves || []).map(inverseMove).reverse();
+  const outOfRange = moves.some(move =>
+    move.rangeStart + move.rangeLength > current.length || move.insertBefore > current.length);
+  if (outOfRange) {
+    return { error: { status: 409, body: { error: 'The playlist has changed too much to undo this move' } } };
+  }
+  if (!movedTracksInPlace(entry, current)) {
+    return { error: { status: 409, body: { error: 'The moved tracks are no longer where this move put them' } } };
+  }
+
+  let snapshotId = null;
+  for (const move of moves) {
+    snapshotId = await moveTracks(env, token, entry.playlistId, { ...move, snapshotId });
+  }
+  return { reverted: entry.tracks, skipped: [], snapshotId, details: { moves } };
+}
+
+const UNDO = { add: undoAdd, remove: undoRemove, move: undoMove };
+
+// POST /api/admin/audit/:id/undo
+export async function handleUndoAudit(env, request, params) {
+  try {
+    const entry = await readAuditEntry(env, params.id);
+    if (!entry) {
+      return jsonResponse({ error: 'Audit entry not found' }, 404);
+    }
+    if (!UNDO[entry.action]) {
+      return jsonResponse({ error: `${entry.action} entries cannot be undone` }, 400);
+    }
+
+    const store = getAuditStore(env);
+    const undoneBy = await store.get(`audit-undone:${entry.id}`);
+    if (undoneBy) {
+      return jsonResponse({ error: 'Audit entry already undone', undoneBy }, 409);
+    }
+
+    const token = await getValidAccessToken(env);
+    const current = await fetchPlaylistEntries(env, token, entry.playlistId);
+    const result = await UNDO[entry.action](env, token, entry, current);
+    if (result.error) {
+      return jsonResponse(result.error.body, result.error.status);
+    }
+
+    const undo = await recordAudit(env, await auditActor(request, 'undo'), {
+      action: 'undo',
+      playlistId: entry.playlistId,
+      tracks: result.reverted,
+      snapshotId: result.snapshotId,
+      details: { undoes: entry.id, undoneAction: entry.action, ...result.details }
+    });
+    // The playlist is already changed back, so mark the entry even without an undo entry
+    await store.put(`audit-undone:${entry.id}`, undo?.id || 'unrecorded');
+
+    return jsonResponse({
+      status: 'success',
+      undone: entry.id,
+      snapshot_id: result.snapshotId,
+      entry: undo,
+      reverted: result.reverted,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Error undoing audit entry:', error);
+    return jsonResponse({ error: 'Failed to undo audit entry', message: error.message }, 500);
+  }
+}
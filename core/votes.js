@@ -0,0 +1,308 @@
+// Reader votes on playlist tracks and the vote-ordered playlist sync
+// A visitor has one vote per track of a managed playlist (?playlist=slug, else the
+// default one; see playlists.js), kept in env.VOTES_STORE. Visitors are recognized by
+// their voter_id cookie only: an address is shared by whole offices and carriers, so the
+// client IP is only used to rate limit votes (see rate-limit.js). Each vote moves the
+// track's tally by the difference to the vote it replaces.
+//
+// Keys:
+// - vote:<playlistId>:<trackId>:<voterHash>   "1" or "-1", metadata { value }
+// - score:<playlistId>:<trackId>              JSON { trackId, up, down, score, updatedAt },
+//                                             metadata { score }
+// Votes from before playlists were managed (vote:<trackId>:<SHA-256 of IP|voter_id> and
+// score:<trackId>) still count for the playlist ownsLegacyData names, and move to the keys above on the next vote.
+
+import { jsonResponse, getClientIp, getCookie } from './http.js';
+import { getStore } from './kv.js';
+import { sha256Hex, randomHex } from './crypto.js';
+import { getValidAccessToken } from './spotify.js';
+import { fetchPlaylistEntries, moveTracks } from './playlist.js';
+import { requireDefaultPlaylist, resolveRequestPlaylist, ownsLegacyData } from './playlists.js';
+import { recordAudit, auditActor, auditTrack } from './audit.js';
+
+const VOTER_COOKIE = 'voter_id';
+const VOTER_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+const VOTE_VALUES = { up: 1, down: -1, none: 0 };
+
+// Votes are only accepted for tracks in the playlist; its track IDs are cached briefly
+// and re-read when a vote names a track the cache does not know yet
+const PLAYLIST_CACHE_TTL = 60 * 1000;
+const playlistCache = new Map();
+
+function getVoteStore(env) {
+  return getStore(env, 'VOTES_STORE');
+}
+
+function emptyScore(trackId) {
+  return { trackId, up: 0, down: 0, score: 0, updatedAt: null };
+}
+
+// Identify the visitor; issues a voter_id cookie on first contact.
+// Returns { voterHash, legacyHash, headers }
+async function identifyVoter(request) {
+  let voterId = getCookie(request, VOTER_COOKIE);
+  let setCookie = null;
+  const known = !!voterId && /^[0-9a-f]{32}$/.test(voterId);
+
+  if (!known) {
+    voterId = randomHex(16);
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    setCookie = `${VOTER_COOKIE}=${voterId}; Path=/; Max-Age=${VOTER_COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax${secure}`;
+  }
+
+  return {
+    voterHash: await sha256Hex(`cookie|${voterId}`),
+    // The pre-playlist vote key, which also hashed the IP
+    legacyHash: known ? await sha256Hex(`${getClientIp(request)}|${voterId}`) : null,
+    headers: setCookie ? { 'Set-Cookie': setCookie } : {}
+  };
+}
+
+// The visitor's vote on a track: { key, value, legacyKey }, value 0 for none
+async function findVote(env, playlistId, trackId, voter) {
+  const store = getVoteStore(env);
+  const key = `vote:${playlistId}:${trackId}:${voter.voterHash}`;
+  const value = parseInt(await store.get(key)) || 0;
+  if (value || !voter.legacyHash || !ownsLegacyData(env, playlistId)) {
+    return { key, value, legacyKey: null };
+  }
+
+  const legacyKey = `vote:${trackId}:${voter.legacyHash}`;
+  const legacy = parseInt(await store.get(legacyKey)) || 0;
+  return { key, value: legacy, legacyKey: legacy ? legacyKey : null };
+}
+
+async function readScore(env, playlistId, trackId) {
+  const store = getVoteStore(env);
+  const score = await store.get(`score:${playlistId}:${trackId}`, 'json');
+  if (score || !ownsLegacyData(env, playlistId)) {
+    return score;
+  }
+  return store.get(`score:${trackId}`, 'json');
+}
+
+// Record a vote and move the track's tally by its difference to the previous one.
+// Returns the new tally.
+async function castVote(env, playlistId, trackId, voter, value) {
+  const store = getVoteStore(env);
+  const prefix = `${playlistId}:${trackId}`;
+  const previous = await findVote(env, playlistId, trackId, voter);
+  const tally = await readScore(env, playlistId, trackId) || emptyScore(trackId);
+
+  if (value === 0) {
+    await store.delete(previous.key);
+  } else {
+    await store.put(previous.key, String(value), { metadata: { value } });
+  }
+  if (previous.legacyKey) {
+    await store.delete(previous.legacyKey);
+  }
+
+  if (value === previous.value) {
+    return tally;
+  }
+  tally.up += (value > 0 ? 1 : 0) - (previous.value > 0 ? 1 : 0);
+  tally.down += (value < 0 ? 1 : 0) - (previous.value < 0 ? 1 : 0);
+  tally.score = tally.up - tally.down;
+  tally.updatedAt = new Date().toISOString();
+
+  await store.put(`score:${prefix}`, JSON.stringify(tally), { metadata: { score: tally.score } });
+  return tally;
+}
+
+async function getPlaylistTrackIds(env, playlistId, { force = false } = {}) {
+  const cached = playlistCache.get(playlistId);
+  if (!force && cached && Date.now() < cached.expiresAt) {
+    return cached.ids;
+  }
+  const token = await getValidAccessToken(env);
+  const entries = await fetchPlaylistEntries(env, token, playlistId);
+  const ids = new Set(entries.map(entry => entry.id).filter(Boolean));
+  playlistCache.set(playlistId, { ids, expiresAt: Date.now() + PLAYLIST_CACHE_TTL });
+  return ids;
+}
+
+// Scores for a set of a playlist's tracks, keyed by track ID; tracks without votes score 0
+export async function getScores(env, playlistId, trackIds) {
+  const scores = await Promise.all(trackIds.map(trackId => readScore(env, playlistId, trackId)));
+  return Object.fromEntries(
+    trackIds.map((trackId, index) => [trackId, scores[index] || emptyScore(trackId)])
+  );
+}
+
+// Playlist entries ranked by score; ties keep their current playlist order
+async function rankEntries(env, playlistId, entries) {
+  const scores = await getScores(env, playlistId, entries.map(entry => entry.id).filter(Boolean));
+  return entries
+    .map(entry => ({ entry, votes: scores[entry.id] || emptyScore(entry.id) }))
+    .sort((a, b) => b.votes.score - a.votes.score || a.entry.position - b.entry.position);
+}
+
+// Reorder a Spotify playlist (the default one unless given) by score, one move per misplaced track
+export async function reorderPlaylistByVotes(env, { playlist = null, actor = null } = {}) {
+  const { playlistId } = playlist || await requireDefaultPlaylist(env);
+  const token = await getValidAccessToken(env);
+  const entries = await fetchPlaylistEntries(env, token, playlistId);
+  const desired = (await rankEntries(env, playlistId, entries)).map(ranked => ranked.entry);
+
+  const current = [...entries];
+  let snapshotId = null;
+  const moves = [];
+  const moved = [];
+
+  for (let target = 0; target < desired.length; target++) {
+    const from = current.indexOf(desired[target]);
+    if (from === target) {
+      continue;
+    }
+    snapshotId = await moveTracks(env, token, playlistId, {
+      rangeStart: from,
+      insertBefore: target,
+      snapshotId
+    });
+    current.splice(from, 1);
+    current.splice(target, 0, desired[target]);
+    moves.push({ rangeStart: from, insertBefore: target, rangeLength: 1 });
+    moved.push(auditTrack(desired[target], from));
+  }
+
+  if (moves.length > 0) {
+    await recordAudit(env, actor, {
+      action: 'move',
+      playlistId,
+      tracks: moved,
+      snapshotId,
+      details: { moves }
+    });
+  }
+
+  return {
+    playlist_id: playlistId,
+    snapshot_id: snapshotId,
+    moves: moves.length,
+    order: desired.map(entry => entry.id)
+  };
+}
+
+// POST /api/votes/:trackId?playlist=slug (body: { vote: 'up' | 'down' | 'none' })
+export async function handleVote(env, request, params) {
+  try {
+    const body = await request.json().catch(() => null);
+    const vote = body?.vote;
+
+    if (!Object.hasOwn(VOTE_VALUES, vote)) {
+      return jsonResponse({ error: 'vote must be "up", "down" or "none"' }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+    const { playlistId } = target.playlist;
+
+    const trackId = params.trackId;
+    let playlistTrackIds = await getPlaylistTrackIds(env, playlistId);
+    if (!playlistTrackIds.has(trackId)) {
+      playlistTrackIds = await getPlaylistTrackIds(env, playlistId, { force: true });
+    }
+    if (!playlistTrackIds.has(trackId)) {
+      return jsonResponse({ error: 'Track is not in the playlist' }, 404);
+    }
+
+    const voter = await identifyVoter(request);
+    const tally = await castVote(env, playlistId, trackId, voter, VOTE_VALUES[vote]);
+    return jsonResponse({ status: 'success', vote, ...tally }, 200, voter.headers);
+  } catch (error) {
+    console.error('Error recording vote:', error);
+    return jsonResponse({ error: 'Failed to record vote', message: error.message }, 500);
+  }
+}
+
+// GET /api/votes/:trackId?playlist=slug - the track's tally and this visitor's vote
+export async function handleGetVotes(env, request, params) {
+  try {
+    const target = await resolveRequestPlaylist(env, request);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+    const { playlistId } = target.playlist;
+
+    const trackId = params.trackId;
+    const voter = await identifyVoter(request);
+    const [tally, { value }] = await Promise.all([
+      readScore(env, playlistId, trackId),
+      findVote(env, playlistId, trackId, voter)
+    ]);
+
+    return jsonResponse({
+      ...(tally || emptyScore(trackId)),
+      vote: value > 0 ? 'up' : value < 0 ? 'down' : 'none'
+    }, 200, voter.headers);
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    return jsonResponse({ error: 'Failed to fetch votes', message: error.message }, 500);
+  }
+}
+
+// GET /api/leaderboard?playlist=slug&limit=20&order=top|bottom
+export async function handleLeaderboard(env, request) {
+  try {
+    const urlParams = new URL(request.url).searchParams;
+    const limit = Math.min(Math.max(parseInt(urlParams.get('limit')) || 20, 1), 100);
+    const order = urlParams.get('order') || 'top';
+
+    if (order !== 'top' && order !== 'bottom') {
+      return jsonResponse({ error: 'order must be "top" or "bottom"' }, 400);
+    }
+
+    const target = await resolveRequestPlaylist(env, request);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+    const { slug, playlistId } = target.playlist;
+
+    const token = await getValidAccessToken(env);
+    const entries = (await fetchPlaylistEntries(env, token, playlistId)).filter(entry => entry.id);
+    let ranked = await rankEntries(env, playlistId, entries);
+    if (order === 'bottom') {
+      ranked = ranked.reverse();
+    }
+
+    const tracks = ranked.slice(0, limit).map(({ entry, votes }, index) => ({
+      rank: order === 'top' ? index + 1 : ranked.length - index,
+      id: entry.id,
+      name: entry.name,
+      artist: entry.artist,
+      url: `https://open.spotify.com/track/${entry.id}`,
+      addedAt: entry.addedAt,
+      position: entry.position,
+      up: votes.up,
+      down: votes.down,
+      score: votes.score
+    }));
+
+    return jsonResponse({ playlist: slug, order, tracks, total: ranked.length });
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+    return jsonResponse({ error: 'Failed to build leaderboard', message: error.message }, 500);
+  }
+}
+
+// POST /api/admin/playlist/reorder-by-votes?playlist=slug
+export async function handleReorderByVotes(env, request) {
+  try {
+    const target = await resolveRequestPlaylist(env, request);
+    if (target.error) {
+      return jsonResponse(target.error.body, target.error.status);
+    }
+    const result = await reorderPlaylistByVotes(env, {
+      playlist: target.playlist,
+      actor: await auditActor(request, 'reorder-by-votes')
+    });
+    return jsonResponse({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Error reordering playlist by votes:', error);
+    return jsonResponse({ error: 'Failed to reorder playlist', message: error.message }, 500);
+  }
+}
@@ -0,0 +1,65 @@
+import express from 'express';
+import { handleRequest } from '../core/index.js';
+
+// Convert an Express request into a standard Request
+const toRequest = (req) => {
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const headers = new Headers();
+
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => headers.append(name, item));
+    } else if (value !== undefined) {
+      headers.set(name, value);
+    }
+  }
+
+  // The shared handlers read the client IP from CF-Connecting-IP; never trust a client-sent value
+  headers.set('CF-Connecting-IP', req.ip || req.socket.remoteAddress || 'unknown');
+
+  const hasBody = !['GET', 'HEAD'].includes(req.method) && Buffer.isBuffer(req.body) && req.body.length > 0;
+
+  return new Request(url, {
+    method: req.method,
+    headers,
+    body: hasBody ? req.body : undefined
+  });
+};
+
+// Write a standard Response back through Express
+const sendResponse = async (res, response) => {
+  res.status(response.status);
+  response.headers.forEach((value, name) => {
+    res.setHeader(name, value);
+  });
+
+  const body = Buffer.from(await response.arrayBuffer());
+  res.end(body);
+};
+
+// Build the Express app around the shared handlers
+// env plays the role of the Worker's env bindings
+export const createApp = (env) => {
+  const app = express();
+
+  // Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the real client
+  if (env.TRUST_PROXY) {
+    const trustProxy = env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+  }
+
+  // Keep the raw body so it can be forwarded untouched to the shared handlers
+  app.use(express.raw({ type: '*/*' }));
+
+  app.use(async (req, res) => {
+    try {
+      const response = await handleRequest(toRequest(req), env);
+      await sendResponse(res, response);
+    } catch (error) {
+      console.error('Unhandled error:', error);
+      res.status(500).json({ error: 'Internal Server Error', message: error.message });
+    }
+  });
+
+  return app;
+};
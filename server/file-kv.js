@@ -0,0 +1,30 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createMemoryKV } from '../core/kv.js';
+
+// KV-compatible store persisted to a JSON file, for bindings the Worker keeps in Cloudflare KV
+// Reads happen in memory; every write rewrites the file (via a temp file + rename).
+// Files may hold subscriber addresses and tokens, so they are only readable by their owner.
+export const createFileKV = (filePath) => {
+  let initialEntries = {};
+  if (fs.existsSync(filePath)) {
+    initialEntries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Serialize writes so an older snapshot never lands after a newer one
+  let pendingWrite = Promise.resolve();
+
+  const persist = (entries) => {
+    const write = pendingWrite.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    });
+    // A failed write must not block the ones queued after it
+    pendingWrite = write.catch(() => {});
+    return write;
+  };
+
+  return createMemoryKV({ entries: initialEntries, onChange: persist });
+};
@@ -0,0 +1,160 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import { formatMimeMessage, mailAddress } from '../core/mail.js';
+
+// Mail transports that need Node: SMTP, and a mailbox directory for development
+// Both implement the transport interface from core/mail.js: send({ to, subject, text, html, headers }).
+
+const SMTP_TIMEOUT = 30 * 1000;
+
+// Collects SMTP replies ({ code, lines }) from a socket, one multi-line reply at a time
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure ??= error;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+};
+
+// Idle timeout for a socket, from before it connects, so an unreachable host fails too
+const limitIdle = (socket, timeout) => {
+  socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+  return socket;
+};
+
+const connect = ({ host, port, secure, timeout }) => new Promise((resolve, reject) => {
+  const socket = limitIdle(secure
+    ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+    : net.connect({ host, port }, () => resolve(socket)), timeout);
+  socket.once('error', reject);
+});
+
+const upgradeToTls = (socket, host, timeout) => new Promise((resolve, reject) => {
+  const secureSocket = limitIdle(tls.connect({ socket, servername: host }, () => resolve(secureSocket)), timeout);
+  secureSocket.once('error', reject);
+});
+
+// Delivers each message over its own SMTP connection, one message at a time.
+// Port 465 uses implicit TLS; otherwise STARTTLS is used when the server offers it, and
+// credentials are never sent over an unencrypted connection.
+export const createSmtpTransport = ({ host, port = 587, secure = port === 465, user = null, pass = null, from, name = os.hostname(), timeout = SMTP_TIMEOUT }) => {
+  let queue = Promise.resolve();
+
+  const deliver = async (message) => {
+    const raw = formatMimeMessage({ from, ...message });
+    let socket = await connect({ host, port, secure, timeout });
+    let reader = createReplyReader(socket);
+
+    const command = async (line, expected, logLine = line) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${logLine || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      let features = (await command(`EHLO ${name}`, [250])).lines;
+
+      if (!secure && features.some(feature => /^STARTTLS\b/i.test(feature))) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket.setTimeout(0);
+        socket = await upgradeToTls(socket, host, timeout);
+        reader = createReplyReader(socket);
+        features = (await command(`EHLO ${name}`, [250])).lines;
+      } else if (!secure && user) {
+        throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+      }
+
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      }
+
+      await command(`MAIL FROM:<${mailAddress(from)}>`, [250]);
+      await command(`RCPT TO:<${mailAddress(message.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      // Dot-stuffing: a line starting with "." gets a second one
+      await command(`${raw.replace(/^\./gm, '..')}\r\n.`, [250], 'DATA');
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      reader.detach();
+      socket.on('error', () => {});
+      socket.end();
+    }
+  };
+
+  return {
+    send(message) {
+      const result = queue.then(() => deliver(message));
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+};
+
+// Writes every message to dir as an .eml file that any mail client can open
+export const createMailboxTransport = ({ dir, from }) => ({
+  async send(message) {
+    const raw = formatMimeMessage({ from, ...message });
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`;
+    await fs.promises.writeFile(path.join(dir, fileName), raw, { mode: 0o600 });
+  }
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileKV } from '../file-kv.js';
+import { writeSubscriber, readSubscriber, transitionSubscriber } from '../../core/newsletter.js';
+
+describe('file-backed KV', () => {
+  let dir;
+  let filePath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-kv-'));
+    filePath = path.join(dir, 'newsletter.json');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps newsletter records, metadata and expiry across restarts', async () => {
+    const env = { NEWSLETTER_STORE: createFileKV(filePath) };
+    const now = new Date().toISOString();
+    await writeSubscriber(env, transitionSubscriber(
+      { email: 'reader@example.com', subscribedAt: now },
+      'pending', 'subscribe', now
+    ));
+    const pending = await readSubscriber(env, 'reader@example.com');
+    await writeSubscriber(env, transitionSubscriber(pending, 'confirmed', 'confirm'));
+    await writeSubscriber(env, transitionSubscriber(
+      { email: 'other@example.com', subscribedAt: now },
+      'pending', 'subscribe', now
+    ));
+
+    // A new store on the same file sees the same records
+    const restarted = { NEWSLETTER_STORE: createFileKV(filePath) };
+    const stored = await readSubscriber(restarted, 'reader@example.com');
+    assert.equal(stored.status, 'confirmed');
+    assert.deepEqual(stored.history.map(change => change.status), ['pending', 'confirmed']);
+
+    const { keys } = await restarted.NEWSLETTER_STORE.list();
+    assert.deepEqual(keys.map(key => [key.name, key.metadata.status]), [
+      ['other@example.com', 'pending'],
+      ['reader@example.com', 'confirmed']
+    ]);
+
+    // Pending records expire, confirmed ones do not
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.ok(entries['other@example.com'].expiresAt > Date.now());
+    assert.equal(entries['reader@example.com'].expiresAt, null);
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+  });
+
+  it('sweeps out expired entries that are never read again', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-03-01T00:00:00Z') });
+    const sweptPath = path.join(dir, 'ratelimit.json');
+    const store = createFileKV(sweptPath);
+    await store.put('ratelimit:search:a:1', '1', { expirationTtl: 120 });
+    await store.put('kept', 'value');
+
+    t.mock.timers.tick(121 * 1000);
+    await store.put('ratelimit:search:b:2', '1', { expirationTtl: 120 });
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(sweptPath, 'utf8'))).sort(), ['kept', 'ratelimit:search:b:2']);
+  });
+});
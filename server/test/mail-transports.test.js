@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { createSmtpTransport, createMailboxTransport } from '../mail-transports.js';
+
+const message = {
+  to: 'reader@example.com',
+  subject: 'Weekly digest',
+  text: '.leading dot\nsecond line',
+  html: '<p>Hello</p>',
+  headers: { 'List-Unsubscribe': '<https://blog.example/api/newsletter/unsubscribe?token=t>' }
+};
+
+// Minimal SMTP server without TLS that records each session's commands and message data
+const startFakeSmtp = () => new Promise(resolve => {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-fake.smtp\r\n250 8BITMIME\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else if (line.startsWith('RCPT TO:<nobody@')) {
+          socket.write('550 no such user\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port }));
+});
+
+describe('SMTP transport', () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+  });
+
+  after(() => new Promise(resolve => smtp.server.close(resolve)));
+
+  it('delivers a multipart MIME message', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, from: 'Blog <news@blog.example>', name: 'test' });
+    await transport.send(message);
+
+    const session = smtp.sessions.at(-1);
+    assert.deepEqual(session.commands, [
+      'EHLO test',
+      'MAIL FROM:<news@blog.example>',
+      'RCPT TO:<reader@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.match(session.data, /^From: Blog <news@blog\.example>\r\nTo: reader@example\.com\r\nSubject: Weekly digest\r\n/);
+    assert.match(session.data, /List-Unsubscribe: <https:\/\/blog\.example\/api\/newsletter\/unsubscribe\?token=t>/);
+    assert.match(session.data, /Content-Type: multipart\/alternative/);
+    const text = session.data.split('\r\n\r\n')[2].split('\r\n--')[0];
+    assert.equal(Buffer.from(text, 'base64').toString(), message.text);
+  });
+
+  it('rejects refused recipients and never sends credentials without TLS', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, from: 'news@blog.example' });
+    await assert.rejects(transport.send({ ...message, to: 'nobody@example.com' }), /SMTP RCPT TO:<nobody@example\.com> failed: 550/);
+
+    const withAuth = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, from: 'news@blog.example', user: 'u', pass: 'p' });
+    await assert.rejects(withAuth.send(message), /refusing to send credentials/);
+    assert.ok(!smtp.sessions.at(-1).commands.some(command => command.startsWith('AUTH')));
+  });
+
+  it('gives up on a server that never completes the connection', async () => {
+    // Accepts TCP but never answers, so the TLS handshake cannot finish
+    const sockets = [];
+    const silent = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    try {
+      const transport = createSmtpTransport({ host: '127.0.0.1', port: silent.address().port, secure: true, from: 'news@blog.example', timeout: 100 });
+      await assert.rejects(transport.send(message), /SMTP connection timed out/);
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      await new Promise(resolve => silent.close(resolve));
+    }
+  });
+});
+
+describe('mailbox transport', () => {
+  it('writes each message as an .eml file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+    try {
+      await createMailboxTransport({ dir, from: 'news@blog.example' }).send(message);
+      const files = fs.readdirSync(dir);
+      assert.equal(files.length, 1);
+      assert.match(files[0], /\.eml$/);
+      assert.match(fs.readFileSync(path.join(dir, files[0]), 'utf8'), /^From: news@blog\.example\r\nTo: reader@example\.com\r\n/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
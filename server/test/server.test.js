@@ -0,0 +1,18 @@
+import { describeRoutes } from '../../core/testing/route-suite.js';
+import { createApp } from '../app.js';
+
+let server;
+
+describeRoutes('Express server', {
+  async start(env) {
+    server = createApp(env).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return (path, init) => fetch(`${baseUrl}${path}`, init);
+  },
+
+  stop() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+});
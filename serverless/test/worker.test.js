@@ -0,0 +1,15 @@
+import { describeRoutes } from '../../core/testing/route-suite.js';
+import worker from '../index.js';
+
+const ctx = {
+  waitUntil() {},
+  passThroughOnException() {}
+};
+
+describeRoutes('Worker', {
+  async start(env) {
+    return (path, init) => worker.fetch(new Request(`https://worker.test${path}`, init), env, ctx);
+  },
+
+  async stop() {}
+});